@@ -0,0 +1,142 @@
+'use strict'
+
+/*
+  Service Worker
+  --------------
+  Keeps the app usable without a connection. What is cached, and how, is
+  set out in src/js/offline.js, which both this worker and the page load:
+
+    - the app shell is precached on install and served from the cache,
+      refreshed in the background
+    - /assets and the API's GET endpoints are fetched from the network
+      first, falling back to the last copy
+    - campus map tiles are served from the cache first, saved as they are
+      viewed or all at once on a 'save-tiles' message
+
+  Requests that change data (POST, PUT, DELETE) always go to the network;
+  barrier reports made offline wait in report-queue.js instead.
+*/
+
+importScripts('../src/js/offline.js')
+
+const { CACHES } = Offline
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(CACHES.shell)
+    await shell.addAll(Offline.SHELL_URLS)
+
+    const data = await caches.open(CACHES.data)
+    await Promise.all(Offline.DATA_URLS.map(url => data.add(url)
+      .catch(e => console.warn(`Not cached for offline use: ${url} (${e.message})`))))
+
+    await self.skipWaiting()
+  })())
+})
+
+// Drop shells from older versions; data and tiles are kept
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith('ucc-accessibility-map-shell-') && name !== CACHES.shell)
+      .map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+function isCacheable(response) {
+  return response && (response.ok || response.type === 'opaque')
+}
+
+async function cacheFirst(cacheName, request, key = request) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(key)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (isCacheable(response)) await cache.put(key, response.clone())
+  return response
+}
+
+async function networkFirst(cacheName, request) {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await fetch(request)
+    if (response.ok) await cache.put(request, response.clone())
+    return response
+  } catch (e) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+    throw e
+  }
+}
+
+async function staleWhileRevalidate(cacheName, request, event) {
+  const cache = await caches.open(cacheName)
+  // Query strings only change how the page starts (?admin, ?a11y)
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+  const refresh = fetch(request)
+    .then(async (response) => {
+      if (response.ok) await cache.put(cached ? cached.url : request, response.clone())
+      return response
+    })
+
+  if (!cached) return refresh
+  event.waitUntil(refresh.catch(() => {}))
+  return cached
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const tile = Offline.tileKey(request.url)
+  if (tile) {
+    event.respondWith(cacheFirst(CACHES.tiles, request, tile))
+    return
+  }
+
+  const url = new URL(request.url)
+  if (url.origin === self.location.origin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/assets/'))) {
+    event.respondWith(networkFirst(CACHES.data, request))
+    return
+  }
+
+  const path = url.origin === self.location.origin ? url.pathname : url.href
+  if (request.mode === 'navigate' || Offline.SHELL_URLS.includes(path)) {
+    event.respondWith(staleWhileRevalidate(CACHES.shell, request, event))
+  }
+})
+
+// Fetch the campus tiles not yet cached, one at a time, reporting progress
+// on the message's port
+async function saveTiles(port) {
+  const cache = await caches.open(CACHES.tiles)
+  const urls = Offline.tileUrls()
+  let saved = 0
+  let failed = 0
+
+  for (let i = 0; i < urls.length; i++) {
+    if (!(await cache.match(urls[i]))) {
+      try {
+        const response = await fetch(urls[i], { mode: 'cors' })
+        if (!response.ok) throw new Error(`${response.status}`)
+        await cache.put(urls[i], response)
+        saved++
+      } catch (e) {
+        failed++
+      }
+    }
+    port.postMessage({ type: 'progress', done: i + 1, total: urls.length })
+  }
+
+  port.postMessage({ type: 'done', saved, failed, total: urls.length })
+}
+
+self.addEventListener('message', (event) => {
+  const port = event.ports[0]
+  if (!event.data || event.data.type !== 'save-tiles' || !port) return
+  event.waitUntil(saveTiles(port)
+    .catch(e => port.postMessage({ type: 'error', message: e.message })))
+})
@@ -0,0 +1,88 @@
+'use strict'
+
+/*
+  Facility status
+  ---------------
+  The facilities themselves (lifts, automatic doors, accessible toilets,
+  ramps) are listed in assets/facilities.json. Outages reported through the
+  API are kept in data/facility-outages.json and served together with any
+  outages written into the static file, so the client only needs one feed.
+
+  An outage is { id, facilityId, from?, until?, note?, createdAt }; a
+  facility is out of service while one of its outages covers the current
+  time (see src/js/facilities.js).
+*/
+
+const fs = require('fs')
+const crypto = require('crypto')
+const { HttpError, requireObject } = require('./http-helpers')
+
+function createFacilities({ outageStore, facilitiesFile }) {
+
+  function staticFacilities() {
+    try {
+      return JSON.parse(fs.readFileSync(facilitiesFile, 'utf8')).facilities || []
+    } catch (e) {
+      console.error(`Could not read ${facilitiesFile}:`, e.message)
+      return []
+    }
+  }
+
+  function facility(id) {
+    const found = staticFacilities().find(f => f.id === id)
+    if (!found) throw new HttpError(404, 'Facility not found')
+    return found
+  }
+
+  // Every facility with its static and reported outages
+  function list() {
+    const reported = outageStore.all()
+    return {
+      facilities: staticFacilities().map(f => ({
+        ...f,
+        outages: [
+          ...(f.outages || []),
+          ...reported.filter(o => o.facilityId === f.id)
+        ]
+      }))
+    }
+  }
+
+  function parseDate(value, name) {
+    if (value === undefined || value === null || value === '') return null
+    if (Number.isNaN(Date.parse(value))) throw new HttpError(400, `${name} must be an ISO date`)
+    return new Date(value).toISOString()
+  }
+
+  // Mark a facility out of service, from now (or `from`) until `until`
+  // (or further notice)
+  function addOutage(id, body) {
+    facility(id)
+    requireObject(body)
+    const from = parseDate(body.from, 'from')
+    const until = parseDate(body.until, 'until')
+    if (from && until && Date.parse(until) <= Date.parse(from)) {
+      throw new HttpError(400, 'until must be after from')
+    }
+
+    const now = new Date().toISOString()
+    return outageStore.insert({
+      id: crypto.randomUUID(),
+      facilityId: id,
+      from: from || now,
+      until,
+      note: body.note === undefined ? '' : String(body.note).slice(0, 500),
+      createdAt: now
+    })
+  }
+
+  // Back in service: drop the outage
+  function removeOutage(id, outageId) {
+    const removed = outageStore.removeWhere(o => o.facilityId === id && o.id === outageId)
+    if (removed === 0) throw new HttpError(404, 'Outage not found')
+  }
+
+  return { list, addOutage, removeOutage }
+}
+
+module.exports = { createFacilities }
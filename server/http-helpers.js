@@ -0,0 +1,58 @@
+'use strict'
+
+/*
+  Small helpers shared by the API handlers: a typed error that carries an
+  HTTP status, JSON responses and JSON request bodies.
+*/
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(data === undefined ? '' : JSON.stringify(data))
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({})
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+      } catch (e) {
+        reject(new HttpError(400, 'Body must be valid JSON'))
+      }
+    })
+
+    req.on('error', reject)
+  })
+}
+
+// JSON bodies can be any JSON value; handlers expecting fields need an object
+function requireObject(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Body must be a JSON object')
+  }
+  return body
+}
+
+module.exports = { HttpError, sendJson, readJsonBody, requireObject, MAX_BODY_BYTES }
@@ -0,0 +1,170 @@
+'use strict'
+
+/*
+  Report moderation
+  -----------------
+  Barrier reports start out `pending`. A moderator then:
+  - confirms a report: it is promoted into a curated hazard (stored in
+    data/hazards.json and served with the curated list by GET /api/hazards)
+  - merges it into another report of the same barrier (duplicates)
+  - rejects it
+
+  Only pending reports are listed by default and scored as barriers, so each
+  decision shows up on the map and in route scores straight away.
+*/
+
+const fs = require('fs')
+const { HttpError, requireObject } = require('./http-helpers')
+const { HAZARD_TYPES, HAZARD_SEVERITIES } = require('../src/js/accessibility-data')
+const { BARRIER_RADIUS } = require('../src/js/accessibility-scorer')
+
+const STATUSES = ['pending', 'confirmed', 'rejected', 'merged']
+
+function statusOf(barrier) {
+  return barrier.status || 'pending'
+}
+
+// Label, note and reject reason are shown to users and moderators: plain
+// text only, without markup characters or control characters, and of a
+// sensible length
+const MAX_LABEL_LENGTH = 100
+const MAX_NOTE_LENGTH = 1000
+const MAX_REASON_LENGTH = 500
+
+function cleanText(value, maxLength, name) {
+  if (value === undefined || value === null) return ''
+  if (typeof value !== 'string') throw new HttpError(400, `${name} must be text`)
+  return value
+    .replace(/[<>]/g, '')
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, maxLength)
+}
+
+function createModeration({ barrierStore, hazardStore, curatedHazardsFile }) {
+
+  function pendingReport(id) {
+    const report = barrierStore.get(id)
+    if (!report) throw new HttpError(404, 'Barrier not found')
+    if (statusOf(report) !== 'pending') {
+      throw new HttpError(409, `Report has already been ${statusOf(report)}`)
+    }
+    return report
+  }
+
+  function curatedFeatures() {
+    try {
+      return JSON.parse(fs.readFileSync(curatedHazardsFile, 'utf8')).features || []
+    } catch (e) {
+      console.error(`Could not read ${curatedHazardsFile}:`, e.message)
+      return []
+    }
+  }
+
+  // Curated hazards plus every report promoted so far, as one GeoJSON file
+  function hazardsGeoJSON() {
+    return {
+      type: 'FeatureCollection',
+      features: [...curatedFeatures(), ...hazardStore.all()]
+    }
+  }
+
+  // Promote a report into a hazard. `overrides` lets the moderator correct
+  // the label, type, severity, radius or note on the way.
+  function confirm(id, overrides = {}) {
+    const report = pendingReport(id)
+    const type = overrides.type || report.type
+    const severity = overrides.severity || report.severity || 'medium'
+
+    if (typeof type !== 'string' || !Object.hasOwn(HAZARD_TYPES, type)) throw new HttpError(400, 'A confirmed report needs a valid hazard type')
+    if (!HAZARD_SEVERITIES.includes(severity)) throw new HttpError(400, 'Invalid severity')
+
+    const radius = overrides.radius === undefined ? BARRIER_RADIUS : Number(overrides.radius)
+    if (!Number.isFinite(radius) || radius < 0) throw new HttpError(400, 'radius must be 0 or more')
+
+    const label = cleanText(overrides.label, MAX_LABEL_LENGTH, 'label') || HAZARD_TYPES[type].label
+    const note = cleanText(overrides.note ?? report.description, MAX_NOTE_LENGTH, 'note')
+
+    const hazardId = `report-${report.id.slice(0, 8)}`
+    const hazard = {
+      type: 'Feature',
+      id: hazardId,
+      properties: {
+        id: hazardId,
+        type,
+        label,
+        radius,
+        severity,
+        affects: report.affects || [],
+        note,
+        source: 'report',
+        reportId: report.id,
+        confirmedAt: new Date().toISOString()
+      },
+      geometry: { type: 'Point', coordinates: [report.lng, report.lat] }
+    }
+
+    hazardStore.insert(hazard)
+    const updated = barrierStore.update(id, {
+      status: 'confirmed',
+      hazardId,
+      moderatedAt: new Date().toISOString()
+    })
+    return { report: updated, hazard }
+  }
+
+  // Fold a duplicate into the report it repeats: the survivor keeps the
+  // worst severity, collects extra details and takes a photo if it lacks one.
+  function merge(id, intoId) {
+    if (!intoId || intoId === id) throw new HttpError(400, 'into must be the id of another report')
+    const source = pendingReport(id)
+    const target = pendingReport(intoId)
+
+    const worst = [source.severity, target.severity]
+      .filter(Boolean)
+      .sort((a, b) => HAZARD_SEVERITIES.indexOf(a) - HAZARD_SEVERITIES.indexOf(b))[0]
+
+    const description = [target.description, source.description]
+      .filter(Boolean)
+      .filter((text, i, all) => all.indexOf(text) === i)
+      .join('\n')
+
+    const updatedTarget = barrierStore.update(intoId, {
+      severity: worst || target.severity,
+      description,
+      photo: target.photo || source.photo || null,
+      mergedFrom: [...(target.mergedFrom || []), source.id]
+    })
+
+    barrierStore.update(id, {
+      status: 'merged',
+      mergedInto: intoId,
+      moderatedAt: new Date().toISOString()
+    })
+
+    return { report: updatedTarget }
+  }
+
+  function reject(id, reason) {
+    const rejectReason = cleanText(reason, MAX_REASON_LENGTH, 'reason')
+    pendingReport(id)
+    const report = barrierStore.update(id, {
+      status: 'rejected',
+      rejectReason,
+      moderatedAt: new Date().toISOString()
+    })
+    return { report }
+  }
+
+  function handleAction(action, id, body) {
+    requireObject(body)
+    if (action === 'confirm') return confirm(id, body)
+    if (action === 'merge') return merge(id, body.into)
+    if (action === 'reject') return reject(id, body.reason)
+    throw new HttpError(404, `Unknown moderation action: ${action}`)
+  }
+
+  return { handleAction, hazardsGeoJSON }
+}
+
+module.exports = { createModeration, statusOf, STATUSES }
@@ -0,0 +1,315 @@
+'use strict'
+
+/*
+  UCC Accessibility Map – local server
+  ------------------------------------
+  - Serves the app so /public, /src and /assets resolve as they do under
+    Live Server (only those, not the rest of the repo)
+  - Barrier report API, stored in server/data/barriers.json:
+
+      GET    /api/barriers              active reports (?includeExpired=true for all)
+      GET    /api/barriers/:id
+      POST   /api/barriers              { lat, lng, type?, severity?, affects?,
+                                          description?, photo?, expiresAt? }
+      PUT    /api/barriers/:id          any of the POST fields
+      DELETE /api/barriers/:id
+
+  - Moderation (see moderation.js):
+
+      GET    /api/barriers?status=...   pending (default), confirmed, rejected,
+                                        merged or all
+      POST   /api/barriers/:id/confirm  { label?, type?, severity?, radius?, note? }
+      POST   /api/barriers/:id/merge    { into }
+      POST   /api/barriers/:id/reject   { reason? }
+      GET    /api/hazards               curated + confirmed hazards (GeoJSON)
+
+  - Facility status (see facilities.js):
+
+      GET    /api/facilities                      lifts, doors, toilets, ramps
+                                                  with their outages
+      POST   /api/facilities/:id/outages          { from?, until?, note? }
+      DELETE /api/facilities/:id/outages/:outageId
+
+  There is no authentication: run it locally or behind your own access
+  control.
+
+  `type` and `severity` use the same values as curated hazards (see
+  HAZARD_TYPES in accessibility-data.js), `affects` lists profile ids and
+  `photo` is an image data URL.
+
+  Reports expire after DEFAULT_TTL_DAYS (TEMPORARY_TTL_DAYS for temporary
+  types such as construction) unless `expiresAt` says otherwise (null =
+  never). Expired reports are kept on disk but no longer listed, so they
+  stop penalising routes.
+
+  Run with: node server/server.js   (PORT env var, default 5501)
+*/
+
+const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { createStore } = require('./store')
+const { HttpError, sendJson, readJsonBody, requireObject } = require('./http-helpers')
+const { createModeration, statusOf, STATUSES } = require('./moderation')
+const { createFacilities } = require('./facilities')
+const {
+  ACCESSIBILITY_PROFILES,
+  HAZARD_TYPES,
+  HAZARD_SEVERITIES
+} = require('../src/js/accessibility-data')
+
+const PORT = Number(process.env.PORT) || 5501
+const ROOT = path.resolve(__dirname, '..')
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data')
+const DEFAULT_TTL_DAYS = 30
+const TEMPORARY_TTL_DAYS = 14
+const MAX_PHOTO_LENGTH = 1.5 * 1024 * 1024
+
+const barrierStore = createStore(path.join(DATA_DIR, 'barriers.json'))
+const hazardStore = createStore(path.join(DATA_DIR, 'hazards.json'))
+const moderation = createModeration({
+  barrierStore,
+  hazardStore,
+  curatedHazardsFile: path.join(ROOT, 'assets', 'hazards.geojson')
+})
+const facilities = createFacilities({
+  outageStore: createStore(path.join(DATA_DIR, 'facility-outages.json')),
+  facilitiesFile: path.join(ROOT, 'assets', 'facilities.json')
+})
+
+// What serveStatic may hand out; the server code, data and .git stay private
+const STATIC_DIRS = ['public', 'src', 'assets'].map(dir => path.join(ROOT, dir) + path.sep)
+const STATIC_FILES = [path.join(ROOT, 'index.html')]
+
+function isPublicFile(filePath) {
+  return STATIC_FILES.includes(filePath) || STATIC_DIRS.some(dir => filePath.startsWith(dir))
+}
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json'
+}
+
+function isExpired(barrier, now = Date.now()) {
+  return Boolean(barrier.expiresAt) && Date.parse(barrier.expiresAt) <= now
+}
+
+// Pick and check the editable fields of a barrier report.
+// `partial` allows missing fields (for updates).
+function validateBarrier(body, { partial = false } = {}) {
+  requireObject(body)
+  const out = {}
+
+  for (const key of ['lat', 'lng']) {
+    if (body[key] === undefined) {
+      if (!partial) throw new HttpError(400, `${key} is required`)
+      continue
+    }
+    const value = body[key]
+    const limit = key === 'lat' ? 90 : 180
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > limit) {
+      throw new HttpError(400, `${key} must be a number between -${limit} and ${limit}`)
+    }
+    out[key] = value
+  }
+
+  if (body.type !== undefined) {
+    if (typeof body.type !== 'string' || !Object.hasOwn(HAZARD_TYPES, body.type)) {
+      throw new HttpError(400, `type must be one of: ${Object.keys(HAZARD_TYPES).join(', ')}`)
+    }
+    out.type = body.type
+  }
+
+  if (body.severity !== undefined) {
+    if (!HAZARD_SEVERITIES.includes(body.severity)) {
+      throw new HttpError(400, `severity must be one of: ${HAZARD_SEVERITIES.join(', ')}`)
+    }
+    out.severity = body.severity
+  }
+
+  if (body.affects !== undefined) {
+    if (!Array.isArray(body.affects) ||
+        body.affects.some(id => typeof id !== 'string' || !Object.hasOwn(ACCESSIBILITY_PROFILES, id))) {
+      throw new HttpError(400, `affects must be a list of profiles: ${Object.keys(ACCESSIBILITY_PROFILES).join(', ')}`)
+    }
+    out.affects = body.affects
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') throw new HttpError(400, 'description must be text')
+    out.description = body.description.slice(0, 1000)
+  }
+
+  if (body.photo !== undefined) {
+    if (body.photo !== null &&
+        (typeof body.photo !== 'string' || !body.photo.startsWith('data:image/'))) {
+      throw new HttpError(400, 'photo must be an image data URL or null')
+    }
+    if (body.photo && body.photo.length > MAX_PHOTO_LENGTH) {
+      throw new HttpError(413, 'photo is too large')
+    }
+    out.photo = body.photo
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt !== null &&
+        (typeof body.expiresAt !== 'string' || !(Date.parse(body.expiresAt) > Date.now()))) {
+      throw new HttpError(400, 'expiresAt must be a future ISO date or null')
+    }
+    out.expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt).toISOString()
+  }
+
+  return out
+}
+
+// API: barriers
+async function handleBarriers(req, res, id, query) {
+  if (!id && req.method === 'GET') {
+    const includeExpired = query.get('includeExpired') === 'true'
+    const status = query.get('status') || 'pending'
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      throw new HttpError(400, `status must be one of: all, ${STATUSES.join(', ')}`)
+    }
+
+    const list = barrierStore.all().filter(b =>
+      (includeExpired || !isExpired(b)) && (status === 'all' || statusOf(b) === status))
+    return sendJson(res, 200, list)
+  }
+
+  if (!id && req.method === 'POST') {
+    const fields = validateBarrier(await readJsonBody(req))
+    const now = new Date()
+    const ttlDays = HAZARD_TYPES[fields.type]?.temporary ? TEMPORARY_TTL_DAYS : DEFAULT_TTL_DAYS
+    const barrier = {
+      id: crypto.randomUUID(),
+      severity: 'medium',
+      affects: [],
+      description: '',
+      photo: null,
+      status: 'pending',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlDays * 86400000).toISOString(),
+      ...fields
+    }
+    barrierStore.insert(barrier)
+    return sendJson(res, 201, barrier)
+  }
+
+  if (!id) throw new HttpError(405, `Method ${req.method} not allowed`)
+
+  if (req.method === 'GET') {
+    const barrier = barrierStore.get(id)
+    if (!barrier) throw new HttpError(404, 'Barrier not found')
+    return sendJson(res, 200, barrier)
+  }
+
+  if (req.method === 'PUT' || req.method === 'PATCH') {
+    const fields = validateBarrier(await readJsonBody(req), { partial: true })
+    const barrier = barrierStore.update(id, { ...fields, updatedAt: new Date().toISOString() })
+    if (!barrier) throw new HttpError(404, 'Barrier not found')
+    return sendJson(res, 200, barrier)
+  }
+
+  if (req.method === 'DELETE') {
+    if (!barrierStore.remove(id)) throw new HttpError(404, 'Barrier not found')
+    return sendJson(res, 204)
+  }
+
+  throw new HttpError(405, `Method ${req.method} not allowed`)
+}
+
+// Static files from the app's directories
+function serveStatic(req, res, pathname) {
+  if (pathname === '/') {
+    res.writeHead(302, { Location: '/public/index.html' })
+    return res.end()
+  }
+
+  let decoded
+  try {
+    decoded = decodeURIComponent(pathname)
+  } catch (e) {
+    throw new HttpError(400, 'Malformed URL')
+  }
+
+  const filePath = path.join(ROOT, decoded)
+  if (!isPublicFile(filePath) || filePath.startsWith(DATA_DIR)) {
+    throw new HttpError(403, 'Forbidden')
+  }
+
+  fs.stat(filePath, (err, stats) => {
+    if (err || !stats.isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      return res.end('Not found')
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    })
+    fs.createReadStream(filePath).pipe(res)
+  })
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+
+  try {
+    const match = url.pathname.match(/^\/api\/barriers(?:\/([^/]+))?\/?$/)
+    if (match) return await handleBarriers(req, res, match[1], url.searchParams)
+
+    const action = url.pathname.match(/^\/api\/barriers\/([^/]+)\/(confirm|merge|reject)\/?$/)
+    if (action) {
+      if (req.method !== 'POST') throw new HttpError(405, 'Use POST for moderation actions')
+      const result = moderation.handleAction(action[2], action[1], await readJsonBody(req))
+      return sendJson(res, 200, result)
+    }
+
+    if (url.pathname === '/api/hazards') {
+      if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed')
+      return sendJson(res, 200, moderation.hazardsGeoJSON())
+    }
+
+    if (url.pathname === '/api/facilities') {
+      if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed')
+      return sendJson(res, 200, facilities.list())
+    }
+
+    const outage = url.pathname.match(/^\/api\/facilities\/([^/]+)\/outages(?:\/([^/]+))?\/?$/)
+    if (outage) {
+      const [, facilityId, outageId] = outage
+      if (!outageId && req.method === 'POST') {
+        return sendJson(res, 201, facilities.addOutage(facilityId, await readJsonBody(req)))
+      }
+      if (outageId && req.method === 'DELETE') {
+        facilities.removeOutage(facilityId, outageId)
+        return sendJson(res, 204)
+      }
+      throw new HttpError(405, `Method ${req.method} not allowed`)
+    }
+
+    if (url.pathname.startsWith('/api/')) throw new HttpError(404, 'Unknown API endpoint')
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Method not allowed')
+    serveStatic(req, res, url.pathname)
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error('Request failed:', err)
+    sendJson(res, err.status || 500, { message: err instanceof HttpError ? err.message : 'Internal server error' })
+  }
+}
+
+if (require.main === module) {
+  http.createServer(handleRequest).listen(PORT, () => {
+    console.log(`UCC Accessibility Map running at http://localhost:${PORT}/`)
+  })
+}
+
+module.exports = { handleRequest, validateBarrier, isExpired }
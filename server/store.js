@@ -0,0 +1,84 @@
+'use strict'
+
+/*
+  JSON file store
+  ---------------
+  Keeps a collection of records in a single JSON file. Small enough for the
+  number of barrier reports a campus produces, and needs no database install.
+
+  Writes go to a temp file first and are renamed into place, so a crash mid
+  write never leaves a half-written file behind.
+*/
+
+const fs = require('fs')
+const path = require('path')
+
+function createStore(filePath) {
+  let records = null
+
+  function load() {
+    if (records) return records
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      if (!Array.isArray(records)) records = []
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Could not read ${filePath}:`, err.message)
+      records = []
+    }
+    return records
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    const tmp = `${filePath}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2))
+    fs.renameSync(tmp, filePath)
+  }
+
+  function all() {
+    return [...load()]
+  }
+
+  function get(id) {
+    return load().find(r => r.id === id) || null
+  }
+
+  function insert(record) {
+    load().push(record)
+    save()
+    return record
+  }
+
+  function update(id, changes) {
+    const record = get(id)
+    if (!record) return null
+    Object.assign(record, changes)
+    save()
+    return record
+  }
+
+  function remove(id) {
+    const list = load()
+    const index = list.findIndex(r => r.id === id)
+    if (index === -1) return false
+    list.splice(index, 1)
+    save()
+    return true
+  }
+
+  // Drop every record matching `predicate`; returns how many went
+  function removeWhere(predicate) {
+    const list = load()
+    const kept = list.filter(r => !predicate(r))
+    const removed = list.length - kept.length
+    if (removed > 0) {
+      records = kept
+      save()
+    }
+    return removed
+  }
+
+  return { all, get, insert, update, remove, removeWhere }
+}
+
+module.exports = { createStore }
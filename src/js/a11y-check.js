@@ -0,0 +1,206 @@
+'use strict'
+
+/*
+  Accessibility Self-check
+  ------------------------
+  A handful of axe-style rules run against the live page, so the app's own
+  accessibility can be checked without extra tooling. Open the app with
+  ?a11y to run them after it loads (results go to the console), or call
+  A11yCheck.run() from the console or a browser automation script, with a
+  theme switched on to check it too.
+
+  run() returns violations as { rule, impact, message, element }. Rule ids
+  follow axe-core's where they mean the same thing. Hidden elements and the
+  map tiles are skipped.
+*/
+
+const A11yCheck = (() => {
+
+  // WCAG AA contrast: 4.5:1 for normal text, 3:1 for large text
+  const CONTRAST_NORMAL = 4.5
+  const CONTRAST_LARGE = 3
+
+  function isHidden(el) {
+    if (el.closest('[hidden], [aria-hidden="true"], .leaflet-tile-pane')) return true
+    const dialog = el.closest('dialog')
+    if (dialog && !dialog.open) return true
+    const style = getComputedStyle(el)
+    return style.display === 'none' || style.visibility === 'hidden' || el.getClientRects().length === 0
+  }
+
+  // Text from aria-labelledby, aria-label, contents or title, roughly as
+  // browsers work out an accessible name
+  function accessibleName(el) {
+    const labelledBy = el.getAttribute('aria-labelledby')
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ').trim()
+      if (text) return text
+    }
+    const label = (el.getAttribute('aria-label') || '').trim()
+    if (label) return label
+    if (el.labels && el.labels.length > 0) {
+      const text = [...el.labels].map(l => l.textContent).join(' ').trim()
+      if (text) return text
+    }
+    if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) {
+      const text = (el.textContent || '').trim()
+      if (text) return text
+      const img = el.querySelector('img[alt]')
+      if (img && img.alt.trim()) return img.alt.trim()
+    }
+    return (el.getAttribute('title') || '').trim()
+  }
+
+  // [r, g, b, a] from a computed colour
+  function parseColor(value) {
+    const match = /rgba?\(([^)]+)\)/.exec(value)
+    if (!match) return null
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number)
+    return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1]
+  }
+
+  function luminance([r, g, b]) {
+    const channel = (c) => {
+      const s = c / 255
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4
+    }
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b)
+  }
+
+  function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x)
+    return (light + 0.05) / (dark + 0.05)
+  }
+
+  // The first opaque-ish background behind an element; background images
+  // can't be judged, so those elements are skipped (null)
+  function backgroundOf(el) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node)
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null
+      const color = parseColor(style.backgroundColor)
+      if (color && color[3] >= 0.5) return color
+    }
+    return [255, 255, 255, 1]
+  }
+
+  function ownText(el) {
+    return [...el.childNodes].some(n => n.nodeType === 3 && n.textContent.trim())
+  }
+
+  const RULES = [
+    {
+      id: 'html-has-lang',
+      impact: 'serious',
+      check: (root) => (root.documentElement && !root.documentElement.lang
+        ? [{ element: root.documentElement, message: '<html> has no lang attribute' }]
+        : [])
+    },
+    {
+      id: 'document-title',
+      impact: 'serious',
+      check: (root) => (!root.title || !root.title.trim() ? [{ element: root.documentElement, message: 'Page has no title' }] : [])
+    },
+    {
+      id: 'image-alt',
+      impact: 'critical',
+      check: (root) => [...root.querySelectorAll('img:not([alt])')]
+        .filter(el => !isHidden(el))
+        .map(element => ({ element, message: 'Image has no alt text' }))
+    },
+    {
+      id: 'button-name',
+      impact: 'critical',
+      check: (root) => [...root.querySelectorAll('button, [role="button"]')]
+        .filter(el => !isHidden(el) && !accessibleName(el))
+        .map(element => ({ element, message: 'Button has no accessible name' }))
+    },
+    {
+      id: 'label',
+      impact: 'critical',
+      check: (root) => [...root.querySelectorAll('input:not([type="hidden"]), select, textarea')]
+        .filter(el => !isHidden(el) && !accessibleName(el))
+        .map(element => ({ element, message: 'Form field has no label' }))
+    },
+    {
+      id: 'aria-dialog-name',
+      impact: 'serious',
+      check: (root) => [...root.querySelectorAll('dialog, [role="dialog"]')]
+        .filter(el => !el.getAttribute('aria-label') && !el.getAttribute('aria-labelledby'))
+        .map(element => ({ element, message: 'Dialog has no accessible name' }))
+    },
+    {
+      id: 'duplicate-id',
+      impact: 'minor',
+      check: (root) => {
+        const seen = new Set()
+        return [...root.querySelectorAll('[id]')].filter(el => {
+          if (seen.has(el.id)) return true
+          seen.add(el.id)
+          return false
+        }).map(element => ({ element, message: `id "${element.id}" is used more than once` }))
+      }
+    },
+    {
+      id: 'tabindex',
+      impact: 'serious',
+      check: (root) => [...root.querySelectorAll('[tabindex]')]
+        .filter(el => Number(el.getAttribute('tabindex')) > 0)
+        .map(element => ({ element, message: 'tabindex above 0 changes the tab order' }))
+    },
+    {
+      id: 'status-region',
+      impact: 'serious',
+      check: (root) => (root.querySelector('[aria-live], [role="status"], [role="alert"]')
+        ? []
+        : [{ element: root.body, message: 'No live region announces status changes' }])
+    },
+    {
+      id: 'color-contrast',
+      impact: 'serious',
+      check: (root) => [...root.body.querySelectorAll('*')]
+        .filter(el => ownText(el) && !isHidden(el) && !el.closest(':disabled'))
+        .map(element => {
+          const style = getComputedStyle(element)
+          const fg = parseColor(style.color)
+          const bg = backgroundOf(element)
+          if (!fg || !bg || Number(style.opacity) < 1) return null
+
+          const size = parseFloat(style.fontSize)
+          const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700)
+          const ratio = contrastRatio(fg, bg)
+          const needed = large ? CONTRAST_LARGE : CONTRAST_NORMAL
+          return ratio < needed
+            ? { element, message: `Text contrast ${ratio.toFixed(2)}:1, needs ${needed}:1` }
+            : null
+        })
+        .filter(Boolean)
+    }
+  ]
+
+  /**
+   * @param {Document} root
+   * @returns {Array} [{ rule, impact, message, element }]
+   */
+  function run(root = document) {
+    return RULES.flatMap(rule => rule.check(root).map(v => ({ rule: rule.id, impact: rule.impact, ...v })))
+  }
+
+  // Violations as rows for console.table
+  function report(violations) {
+    return violations.map(v => ({
+      rule: v.rule,
+      impact: v.impact,
+      message: v.message,
+      element: v.element.id ? `#${v.element.id}` : v.element.tagName.toLowerCase() +
+        (v.element.className && typeof v.element.className === 'string' ? `.${v.element.className.trim().split(/\s+/).join('.')}` : '')
+    }))
+  }
+
+  // Public API
+  return { run, report, contrastRatio, RULES }
+})()
+
+if (typeof window !== 'undefined') {
+  window.A11yCheck = A11yCheck
+}
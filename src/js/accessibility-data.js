@@ -9,8 +9,25 @@
   Each hazard is a small zone (circle) defined by a center point and radius.
   When a route passes through or near a hazard zone, it gets flagged.
 
-  You can expand this data by walking the campus and adding entries.
-  Eventually this could live in a database / API instead of a static file.
+  Hazards that aren't round can add a GeoJSON `geometry` (LineString or
+  Polygon). The radius then acts as a buffer around that shape, and lat/lng
+  only positions the map marker.
+
+  Temporary closures can be limited in time with `from` / `until` (ISO
+  dates) and `hours` (OSM opening_hours syntax for when the closure is in
+  force, e.g. working hours).
+
+  Where a hazard has been measured it also carries the measurements (see
+  HAZARD_MEASUREMENTS below), e.g. `gradient: 9` or `width: 90`. Those are
+  compared with each profile's limits to decide whether it is passable.
+
+  `advice` is a short instruction for getting past the hazard, e.g. "use
+  the crossing 30 m east"; turn-by-turn directions show it at that point.
+
+  The app loads the same list from /assets/hazards.geojson, which can be
+  edited on the map in admin mode (open the app with ?admin) and exported.
+  This constant is the fallback when that file can't be loaded; keep the
+  two in step when changing either.
 */
 
 const ACCESSIBILITY_HAZARDS = [
@@ -69,6 +86,7 @@ const ACCESSIBILITY_HAZARDS = [
     lng: -8.4935,
     radius: 25,
     severity: 'medium',
+    gradient: 9,
     affects: ['wheelchair', 'gentle-gradient', 'low-energy'],
     note: 'Gradient approx 8-10%. Tiring for manual wheelchair users'
   },
@@ -91,10 +109,22 @@ const ACCESSIBILITY_HAZARDS = [
     label: 'Cobblestones in Quad area',
     lat: 51.8936,
     lng: -8.4920,
-    radius: 20,
+    radius: 0,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [-8.4923, 51.8934],
+        [-8.4917, 51.8934],
+        [-8.4917, 51.8938],
+        [-8.4923, 51.8938],
+        [-8.4923, 51.8934]
+      ]]
+    },
     severity: 'medium',
+    surface: 'cobbles',
     affects: ['wheelchair', 'step-free'],
-    note: 'Uneven cobblestones, difficult for small wheels'
+    note: 'Uneven cobblestones, difficult for small wheels',
+    advice: 'keep left along the paved edge'
   },
   {
     id: 'gravel-presidents-garden',
@@ -104,6 +134,7 @@ const ACCESSIBILITY_HAZARDS = [
     lng: -8.4930,
     radius: 15,
     severity: 'low',
+    surface: 'gravel',
     affects: ['wheelchair'],
     note: 'Loose gravel, passable but slow for wheelchairs'
   },
@@ -115,8 +146,13 @@ const ACCESSIBILITY_HAZARDS = [
     label: 'Narrow path behind Aula Maxima',
     lat: 51.8941,
     lng: -8.4925,
-    radius: 15,
+    radius: 3,
+    geometry: {
+      type: 'LineString',
+      coordinates: [[-8.4929, 51.8941], [-8.4921, 51.8941]]
+    },
     severity: 'medium',
+    width: 90,
     affects: ['wheelchair'],
     note: 'Path narrows to ~90cm at pinch point'
   },
@@ -131,47 +167,173 @@ const ACCESSIBILITY_HAZARDS = [
     radius: 10,
     severity: 'medium',
     affects: ['wheelchair', 'step-free'],
-    note: 'No dropped kerb on south side of crossing'
+    note: 'No dropped kerb on south side of crossing',
+    advice: 'use the crossing 30 m east, which has dropped kerbs'
+  },
+
+  // ---- Scheduled closures ----
+  // Only apply between `from` and `until`, during `hours`
+  {
+    id: 'works-main-gate-avenue',
+    type: 'construction',
+    label: 'Resurfacing works on Main Gate avenue',
+    lat: 51.8944,
+    lng: -8.4918,
+    radius: 8,
+    severity: 'high',
+    affects: ['wheelchair', 'step-free', 'gentle-gradient', 'low-energy'],
+    note: 'Closed to pedestrians during working hours; open evenings and weekends',
+    from: '2026-11-02T07:00:00.000Z',
+    until: '2026-11-20T18:00:00.000Z',
+    hours: 'Mo-Fr 07:00-18:00'
   }
 ]
 
+/*
+  Hazard types
+  The types hazards and barrier reports can have. Every profile needs a
+  penalty row for each of them. `temporary` types are things that get fixed
+  (works, broken lifts), so reports of them expire sooner.
+*/
+const HAZARD_TYPES = {
+  steps:        { label: 'Steps' },
+  steep:        { label: 'Steep gradient' },
+  surface:      { label: 'Poor surface' },
+  narrow:       { label: 'Narrow path' },
+  kerb:         { label: 'Missing dropped kerb' },
+  construction: { label: 'Construction / works', temporary: true },
+  lift:         { label: 'Broken lift', temporary: true },
+  facility:     { label: 'Facility out of service', temporary: true }
+}
+
+const HAZARD_SEVERITIES = ['high', 'medium', 'low']
+
+/*
+  Measurements
+  Optional measured attributes of a hazard, each checked against a profile
+  limit: a hazard that exceeds any limit of the profile is impassable for
+  it, one within all of them never is (whatever its severity). Hazards
+  without measurements are judged by severity alone. Surfaces are ranked
+  from smoothest to roughest in SURFACE_CLASSES.
+*/
+const SURFACE_CLASSES = ['paved', 'compacted', 'cobbles', 'gravel', 'grass']
+
+const HAZARD_MEASUREMENTS = {
+  gradient:   { label: 'Gradient',    unit: '%',  max: 100,  limit: 'maxGradient',   limitLabel: 'Maximum gradient' },
+  width:      { label: 'Width',       unit: 'cm', max: 1000, limit: 'minWidth',      limitLabel: 'Minimum path width', atLeast: true },
+  stepCount:  { label: 'Steps',       unit: '',   max: 500,  limit: 'maxSteps',      limitLabel: 'Most steps in a row' },
+  stepHeight: { label: 'Step height', unit: 'cm', max: 100,  limit: 'maxStepHeight', limitLabel: 'Highest step' },
+  kerbHeight: { label: 'Kerb height', unit: 'cm', max: 100,  limit: 'maxKerbHeight', limitLabel: 'Highest kerb' },
+  surface:    { label: 'Surface',     classes: SURFACE_CLASSES, limit: 'maxSurface', limitLabel: 'Roughest surface' }
+}
+
+/*
+  Travel time and rests
+  Settings a profile can give to turn route length into a realistic travel
+  time (see AccessibilityScorer.estimateTime): a base speed, extra time
+  for climbing and for rests on long routes. Extra time for each hazard
+  passed is set per hazard type in the profile's `timeCosts`.
+  `maxRestGap` is the longest stretch wanted between places to sit down
+  (benches, shelters, cafés; see amenities.js).
+*/
+const PROFILE_TIMING = {
+  speed:        { label: 'Speed on level ground', unit: 'm/s', max: 3 },
+  climbSeconds: { label: 'Extra time per metre climbed', unit: 's', max: 120 },
+  restEvery:    { label: 'Rest every', unit: 'm', max: 5000 },
+  restSeconds:  { label: 'Length of each rest', unit: 's', max: 1800 },
+  maxRestGap:   { label: 'Longest stretch between rest points', unit: 'm', max: 5000 }
+}
+
 /*
   Accessibility profiles
   Each profile defines which hazard types matter and how they affect scoring.
   penalty: how many points to deduct per hazard (out of 100 starting score)
+  impassable: penalty at or above which a hazard is treated as a blocker and
+              the router tries to find a way around it
+  maxGradient, minWidth, maxSteps, ...: limits for measured hazards, one per
+              entry in HAZARD_MEASUREMENTS; a missing limit is not checked
+  speed, climbSeconds, restEvery, restSeconds, maxRestGap: travel time and
+              rest settings (see PROFILE_TIMING); without a speed, walking
+              speed is assumed
+  timeCosts:  seconds added for each hazard of a type on the route
+  Users can add their own profiles of the same shape (profile-store.js).
 */
 const ACCESSIBILITY_PROFILES = {
   'step-free': {
     label: 'Step-free (wheelchair)',
     description: 'Avoids all steps, flags steep gradients and poor surfaces',
+    impassable: 40,
+    maxGradient: 10,
+    minWidth: 90,
+    maxSteps: 0,
+    maxStepHeight: 2,
+    maxKerbHeight: 2,
+    maxSurface: 'gravel',
+    speed: 1.0,
+    climbSeconds: 8,
+    timeCosts: { steps: 60, steep: 90, surface: 45, narrow: 15, kerb: 30, construction: 30, lift: 60, facility: 30 },
     penalties: {
-      steps:   { high: 50, medium: 30, low: 15 },
-      steep:   { high: 25, medium: 15, low: 5  },
-      surface: { high: 20, medium: 10, low: 5  },
-      narrow:  { high: 25, medium: 15, low: 5  },
-      kerb:    { high: 20, medium: 10, low: 5  }
+      steps:        { high: 50, medium: 30, low: 15 },
+      steep:        { high: 25, medium: 15, low: 5  },
+      surface:      { high: 20, medium: 10, low: 5  },
+      narrow:       { high: 25, medium: 15, low: 5  },
+      kerb:         { high: 20, medium: 10, low: 5  },
+      construction: { high: 50, medium: 25, low: 10 },
+      lift:         { high: 50, medium: 30, low: 15 },
+      facility:     { high: 40, medium: 15, low: 5  }
     }
   },
   'gentle-gradient': {
     label: 'Gentle gradient',
     description: 'Avoids steep hills and steps, suitable for crutches or pain/fatigue conditions',
+    impassable: 40,
+    maxGradient: 5,
+    minWidth: 60,
+    maxSteps: 3,
+    maxStepHeight: 18,
+    maxKerbHeight: 15,
+    maxSurface: 'grass',
+    speed: 0.9,
+    climbSeconds: 6,
+    restEvery: 400,
+    restSeconds: 60,
+    timeCosts: { steps: 30, steep: 60, surface: 20, narrow: 5, kerb: 15, construction: 30, lift: 60, facility: 30 },
     penalties: {
-      steps:   { high: 40, medium: 25, low: 10 },
-      steep:   { high: 35, medium: 20, low: 10 },
-      surface: { high: 10, medium: 5,  low: 0  },
-      narrow:  { high: 5,  medium: 0,  low: 0  },
-      kerb:    { high: 15, medium: 10, low: 5  }
+      steps:        { high: 40, medium: 25, low: 10 },
+      steep:        { high: 35, medium: 20, low: 10 },
+      surface:      { high: 10, medium: 5,  low: 0  },
+      narrow:       { high: 5,  medium: 0,  low: 0  },
+      kerb:         { high: 15, medium: 10, low: 5  },
+      construction: { high: 40, medium: 20, low: 10 },
+      lift:         { high: 40, medium: 25, low: 10 },
+      facility:     { high: 30, medium: 10, low: 5  }
     }
   },
   'low-energy': {
     label: 'Low energy / fatigue',
     description: 'Prefers flat, short routes. Flags anything tiring',
+    impassable: 30,
+    maxGradient: 10,
+    minWidth: 60,
+    maxSteps: 10,
+    maxStepHeight: 18,
+    maxKerbHeight: 15,
+    maxSurface: 'grass',
+    speed: 0.8,
+    climbSeconds: 10,
+    restEvery: 250,
+    restSeconds: 120,
+    maxRestGap: 250,
+    timeCosts: { steps: 45, steep: 90, surface: 30, narrow: 5, kerb: 10, construction: 30, lift: 60, facility: 30 },
     penalties: {
-      steps:   { high: 30, medium: 20, low: 10 },
-      steep:   { high: 30, medium: 20, low: 10 },
-      surface: { high: 15, medium: 10, low: 5  },
-      narrow:  { high: 5,  medium: 0,  low: 0  },
-      kerb:    { high: 10, medium: 5,  low: 0  }
+      steps:        { high: 30, medium: 20, low: 10 },
+      steep:        { high: 30, medium: 20, low: 10 },
+      surface:      { high: 15, medium: 10, low: 5  },
+      narrow:       { high: 5,  medium: 0,  low: 0  },
+      kerb:         { high: 10, medium: 5,  low: 0  },
+      construction: { high: 30, medium: 15, low: 5  },
+      lift:         { high: 30, medium: 20, low: 10 },
+      facility:     { high: 20, medium: 10, low: 5  }
     }
   }
 }
@@ -180,4 +342,22 @@ const ACCESSIBILITY_PROFILES = {
 if (typeof window !== 'undefined') {
   window.ACCESSIBILITY_HAZARDS = ACCESSIBILITY_HAZARDS
   window.ACCESSIBILITY_PROFILES = ACCESSIBILITY_PROFILES
+  window.HAZARD_TYPES = HAZARD_TYPES
+  window.HAZARD_SEVERITIES = HAZARD_SEVERITIES
+  window.HAZARD_MEASUREMENTS = HAZARD_MEASUREMENTS
+  window.SURFACE_CLASSES = SURFACE_CLASSES
+  window.PROFILE_TIMING = PROFILE_TIMING
+}
+
+// The local server validates reports against the same tables
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ACCESSIBILITY_HAZARDS,
+    ACCESSIBILITY_PROFILES,
+    HAZARD_TYPES,
+    HAZARD_SEVERITIES,
+    HAZARD_MEASUREMENTS,
+    SURFACE_CLASSES,
+    PROFILE_TIMING
+  }
 }
@@ -5,10 +5,41 @@
   ----------------------------
   Takes a GeoJSON route (LineString) and checks it against known hazards.
   Returns a score (0-100), a confidence level, and a list of warnings.
+  Also builds avoid areas so the router can steer around impassable hazards.
+
+  Hazards can be time-bounded (closures, event setups, roadworks): `from`
+  and `until` (ISO dates) limit when they apply, and `hours` (OSM
+  opening_hours syntax, see opening-hours.js) limits it further to certain
+  days and times. Scoring and avoid areas only use hazards active at the
+  time asked about (by default now).
+
+  Measured hazards (gradient, width, steps, ... see HAZARD_MEASUREMENTS)
+  are passable or not by comparing the measurements with the profile's
+  limits, and the warning says which measurement failed.
+
+  Routes whose coordinates carry heights ([lng, lat, metres]) are also
+  checked for gradient: the route is cut into sections of at least
+  MIN_SECTION_METERS, and runs of sections steeper than 3% become computed
+  'steep' hazards with a measured gradient, scored like curated ones. Where
+  a curated steep hazard already covers a stretch it is left to that entry.
+
+  The route is also split into segments, each with the hazards that touch
+  it and a local score, so the map can colour it piece by piece.
+
+  estimateTime() turns a scored route into a travel time for the profile,
+  from its speed, climbing, rests and per-hazard time costs, and says
+  where the extra time comes from.
 */
 
 const AccessibilityScorer = (() => {
 
+  // User-reported barriers are treated as a fixed-size zone
+  const BARRIER_RADIUS = 20
+  const BARRIER_PENALTY = 15
+
+  // Speed for profiles that don't set their own (≈ 5 km/h)
+  const WALKING_SPEED = 1.4 // m/s
+
   // Haversine distance in meters between two [lng, lat] points
   function haversine(coord1, coord2) {
     const toRad = (deg) => (deg * Math.PI) / 180
@@ -27,20 +58,514 @@ const AccessibilityScorer = (() => {
     return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
   }
 
-  // Check if any point on the route passes within `radius` meters of a hazard
+  // ---- Geometry helpers ----
+  // Distances are measured on a flat projection centred on the hazard, which
+  // is accurate to well under a metre at campus scale.
+
+  const METERS_PER_DEGREE = (6371000 * Math.PI) / 180
+
+  function projector(origin) {
+    const cosLat = Math.cos((origin[1] * Math.PI) / 180)
+    return (coord) => [
+      (coord[0] - origin[0]) * cosLat * METERS_PER_DEGREE,
+      (coord[1] - origin[1]) * METERS_PER_DEGREE
+    ]
+  }
+
+  // Closest point to p on segment a-b: { t (0..1 along a-b), dist }
+  function closestOnSegment(p, a, b) {
+    const dx = b[0] - a[0]
+    const dy = b[1] - a[1]
+    const lenSq = dx * dx + dy * dy
+    let t = lenSq === 0 ? 0 : ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lenSq
+    t = Math.max(0, Math.min(1, t))
+    const x = a[0] + t * dx
+    const y = a[1] + t * dy
+    return { t, dist: Math.hypot(p[0] - x, p[1] - y) }
+  }
+
+  // Parameter along a-b where it crosses c-d, or null if they don't cross
+  function segmentIntersection(a, b, c, d) {
+    const r = [b[0] - a[0], b[1] - a[1]]
+    const s = [d[0] - c[0], d[1] - c[1]]
+    const denom = r[0] * s[1] - r[1] * s[0]
+    if (denom === 0) return null
+
+    const qp = [c[0] - a[0], c[1] - a[1]]
+    const t = (qp[0] * s[1] - qp[1] * s[0]) / denom
+    const u = (qp[0] * r[1] - qp[1] * r[0]) / denom
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null
+  }
+
+  // Ray-casting point-in-polygon test against the outer ring
+  function pointInRing(p, ring) {
+    let inside = false
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i]
+      const [xj, yj] = ring[j]
+      if ((yi > p[1]) !== (yj > p[1]) &&
+          p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+    return inside
+  }
+
+  // Hazards are circles by default; a GeoJSON `geometry` (Point, LineString
+  // or Polygon) overrides that, with `radius` acting as a buffer around it.
+  function hazardGeometry(hazard) {
+    return hazard.geometry || { type: 'Point', coordinates: [hazard.lng, hazard.lat] }
+  }
+
+  // Representative [lng, lat] of a hazard, used for markers and projection
+  function hazardAnchor(hazard) {
+    if (hazard.lat !== undefined && hazard.lng !== undefined) return [hazard.lng, hazard.lat]
+    const geom = hazardGeometry(hazard)
+    if (geom.type === 'Point') return geom.coordinates
+    if (geom.type === 'LineString') return geom.coordinates[0]
+    return geom.coordinates[0][0]
+  }
+
+  // Closest approach of route segment a-b to a projected hazard geometry
+  function segmentToGeometry(a, b, geom) {
+    if (geom.type === 'Point') return closestOnSegment(geom.coordinates, a, b)
+
+    let best = { t: 0, dist: Infinity }
+    // Ties go to the point earliest along the segment
+    const consider = (candidate) => {
+      if (candidate.dist < best.dist || (candidate.dist === best.dist && candidate.t < best.t)) {
+        best = candidate
+      }
+    }
+
+    const lines = geom.type === 'Polygon' ? geom.coordinates : [geom.coordinates]
+
+    if (geom.type === 'Polygon' && pointInRing(a, geom.coordinates[0])) {
+      return { t: 0, dist: 0 }
+    }
+
+    for (const line of lines) {
+      for (let i = 0; i < line.length - 1; i++) {
+        const c = line[i]
+        const d = line[i + 1]
+        const crossing = segmentIntersection(a, b, c, d)
+        if (crossing !== null) consider({ t: crossing, dist: 0 })
+
+        consider(closestOnSegment(c, a, b))
+        consider(closestOnSegment(d, a, b))
+        consider({ t: 0, dist: closestOnSegment(a, c, d).dist })
+        consider({ t: 1, dist: closestOnSegment(b, c, d).dist })
+      }
+    }
+
+    return best
+  }
+
+  function projectGeometry(geom, project) {
+    if (geom.type === 'Point') return { type: 'Point', coordinates: project(geom.coordinates) }
+    if (geom.type === 'LineString') return { type: 'LineString', coordinates: geom.coordinates.map(project) }
+    return { type: 'Polygon', coordinates: geom.coordinates.map(ring => ring.map(project)) }
+  }
+
+  /**
+   * Find where a route comes closest to a hazard, measuring every route
+   * segment (not just its vertices) against the hazard geometry.
+   *
+   * @param {Array} routeCoords - [[lng, lat], ...]
+   * @param {Object} hazard     - { lat, lng, radius } and/or { geometry, radius }
+   *
+   * @returns {Object} { hit, distance, point: [lng, lat] on the route,
+   *                     index: route segment, along: meters from route start }
+   */
   function routePassesNear(routeCoords, hazard) {
-    const hazardCoord = [hazard.lng, hazard.lat] // [lng, lat] to match GeoJSON
-    let minDist = Infinity
-
-    for (const coord of routeCoords) {
-      const dist = haversine(coord, hazardCoord)
-      if (dist < minDist) minDist = dist
-      if (dist <= hazard.radius) {
-        return { hit: true, distance: dist }
+    const miss = { hit: false, distance: Infinity, point: null, index: -1, along: 0 }
+    if (!routeCoords || routeCoords.length === 0) return miss
+
+    const project = projector(hazardAnchor(hazard))
+    const geom = projectGeometry(hazardGeometry(hazard), project)
+    const coords = routeCoords.length === 1 ? [routeCoords[0], routeCoords[0]] : routeCoords
+    const projected = coords.map(project)
+
+    let best = { dist: Infinity, t: 0, index: -1 }
+    for (let i = 0; i < projected.length - 1; i++) {
+      const result = segmentToGeometry(projected[i], projected[i + 1], geom)
+      if (result.dist < best.dist) best = { ...result, index: i }
+      if (best.dist === 0) break
+    }
+
+    // Interpolate the closest point and how far along the route it is
+    let along = 0
+    for (let i = 0; i < best.index; i++) along += haversine(coords[i], coords[i + 1])
+    const from = coords[best.index]
+    const to = coords[best.index + 1]
+    along += best.t * haversine(from, to)
+    const point = [from[0] + best.t * (to[0] - from[0]), from[1] + best.t * (to[1] - from[1])]
+
+    return {
+      hit: best.dist <= (hazard.radius || 0),
+      distance: best.dist,
+      point,
+      index: best.index,
+      along
+    }
+  }
+
+  // Whether a hazard applies at `time`: inside its from/until window and, if
+  // it has `hours`, during them. Hours that can't be read count as active.
+  function isActiveAt(hazard, time = Date.now()) {
+    if (hazard.from && Date.parse(hazard.from) > time) return false
+    if (hazard.until && Date.parse(hazard.until) <= time) return false
+    if (hazard.hours && typeof OpeningHours !== 'undefined') {
+      return OpeningHours.isOpen(hazard.hours, time) !== false
+    }
+    return true
+  }
+
+  function activeHazards(hazards, time = Date.now()) {
+    return hazards.filter(h => isActiveAt(h, time))
+  }
+
+  // Reports with an `expiresAt` in the past no longer count
+  function isExpired(barrier, now = Date.now()) {
+    return Boolean(barrier.expiresAt) && Date.parse(barrier.expiresAt) <= now
+  }
+
+  // Only unexpired reports still awaiting moderation count as barriers:
+  // confirmed ones have become hazards, rejected/merged ones are gone.
+  function activeBarriers(barriers, now = Date.now()) {
+    return barriers.filter(b =>
+      !isExpired(b, now) && (!b.status || b.status === 'pending'))
+  }
+
+  // Stable id for a barrier; reports made before the API existed only have `time`
+  function barrierId(barrier) {
+    return `barrier-${barrier.id || barrier.time}`
+  }
+
+  // Reports can name the profiles they affect; no list means everyone.
+  // A custom profile also gets the reports for the profile it is based on.
+  function barriersForProfile(barriers, profileId, now = Date.now(), profile = null) {
+    const ids = [profileId, profile?.basedOn].filter(Boolean)
+    return activeBarriers(barriers, now).filter(b =>
+      !b.affects || b.affects.length === 0 || b.affects.some(id => ids.includes(id)))
+  }
+
+  // A reported barrier in the same shape as a curated hazard, so both are
+  // scored by the same penalty tables. Reports from before barriers had a
+  // type fall back to a flat penalty.
+  function barrierAsHazard(barrier) {
+    const types = typeof HAZARD_TYPES !== 'undefined' ? HAZARD_TYPES : {}
+    const typeLabel = types[barrier.type]?.label || 'Barrier'
+
+    return {
+      id: barrierId(barrier),
+      type: barrier.type || 'barrier',
+      severity: barrier.severity || 'medium',
+      label: `User-reported: ${typeLabel}`,
+      note: barrier.description || 'No details provided',
+      lat: barrier.lat,
+      lng: barrier.lng,
+      radius: BARRIER_RADIUS,
+      reported: true
+    }
+  }
+
+  function formatMeasurement(measure, value) {
+    return measure.classes ? String(value) : `${value}${measure.unit === '%' ? '' : ' '}${measure.unit}`.trim()
+  }
+
+  /**
+   * Compare a hazard's measurements with a profile's limits. Only
+   * measurements the profile has a limit for are checked.
+   *
+   * @returns {Array} [{ key, value, limit, ok, text }], e.g. text
+   *   "Width 90 cm, needs at least 95 cm"
+   */
+  function measurementChecks(hazard, profile) {
+    const measures = typeof HAZARD_MEASUREMENTS !== 'undefined' ? HAZARD_MEASUREMENTS : {}
+    const checks = []
+
+    for (const [key, measure] of Object.entries(measures)) {
+      const value = hazard[key]
+      const limit = profile[measure.limit]
+      if (value === undefined || value === null || limit === undefined || limit === null) continue
+
+      // Surfaces compare by rank, smoothest first
+      const rank = (v) => (measure.classes ? measure.classes.indexOf(v) : v)
+      const ok = measure.atLeast ? rank(value) >= rank(limit) : rank(value) <= rank(limit)
+      const text = `${measure.label} ${formatMeasurement(measure, value)}`
+        + (ok ? '' : `, ${measure.atLeast ? 'needs at least' : 'limit'} ${formatMeasurement(measure, limit)}`)
+
+      checks.push({ key, value, limit, ok, text })
+    }
+
+    return checks
+  }
+
+  // Points deducted for a hazard under a profile (0 if the profile ignores it).
+  // A measured hazard within the profile's limits stays below the impassable
+  // threshold; one beyond them reaches it.
+  function hazardPenalty(hazard, profile) {
+    let penalty = profile.penalties[hazard.type]?.[hazard.severity]
+    if (penalty === undefined && hazard.type === 'barrier') penalty = BARRIER_PENALTY
+    penalty = penalty || 0
+
+    const checks = measurementChecks(hazard, profile)
+    if (checks.length === 0 || !profile.impassable) return penalty
+    return checks.every(c => c.ok)
+      ? Math.min(penalty, profile.impassable - 1)
+      : Math.max(penalty, profile.impassable)
+  }
+
+  // A hazard blocks a profile once its penalty reaches the profile's
+  // threshold, or if it is measured and beyond one of the profile's limits
+  function isImpassable(hazard, profile) {
+    const checks = measurementChecks(hazard, profile)
+    if (checks.length > 0) return checks.some(c => !c.ok)
+    if (!profile.impassable) return false
+    return hazardPenalty(hazard, profile) >= profile.impassable
+  }
+
+  // Approximate a circular zone as a closed GeoJSON Polygon
+  function circleToPolygon(lat, lng, radius, steps = 16) {
+    const R = 6371000
+    const dLat = (radius / R) * (180 / Math.PI)
+    const dLng = dLat / Math.cos((lat * Math.PI) / 180)
+    const ring = []
+
+    for (let i = 0; i < steps; i++) {
+      const angle = (2 * Math.PI * i) / steps
+      ring.push([lng + dLng * Math.cos(angle), lat + dLat * Math.sin(angle)])
+    }
+    ring.push(ring[0])
+
+    return { type: 'Polygon', coordinates: [ring] }
+  }
+
+  // Corridor polygon `halfWidth` meters either side of segment a-b ([lng, lat])
+  function segmentToPolygon(a, b, halfWidth) {
+    const cosLat = Math.cos((a[1] * Math.PI) / 180)
+    const dx = (b[0] - a[0]) * cosLat * METERS_PER_DEGREE
+    const dy = (b[1] - a[1]) * METERS_PER_DEGREE
+    const len = Math.hypot(dx, dy) || 1
+    const offLng = ((-dy / len) * halfWidth) / (cosLat * METERS_PER_DEGREE)
+    const offLat = ((dx / len) * halfWidth) / METERS_PER_DEGREE
+
+    const ring = [
+      [a[0] + offLng, a[1] + offLat],
+      [b[0] + offLng, b[1] + offLat],
+      [b[0] - offLng, b[1] - offLat],
+      [a[0] - offLng, a[1] - offLat]
+    ]
+    ring.push(ring[0])
+    return { type: 'Polygon', coordinates: [ring] }
+  }
+
+  // Polygons covering a hazard zone, for routers that only understand areas
+  function hazardToPolygons(hazard) {
+    const geom = hazardGeometry(hazard)
+
+    if (geom.type === 'Polygon') return [geom]
+
+    if (geom.type === 'LineString') {
+      const halfWidth = Math.max(hazard.radius || 0, 2)
+      const polygons = []
+      for (let i = 0; i < geom.coordinates.length - 1; i++) {
+        polygons.push(segmentToPolygon(geom.coordinates[i], geom.coordinates[i + 1], halfWidth))
+      }
+      return polygons
+    }
+
+    const [lng, lat] = geom.coordinates
+    return [circleToPolygon(lat, lng, hazard.radius)]
+  }
+
+  /**
+   * Build the areas a route should avoid for a given profile.
+   * Every hazard active at `time` or active (unexpired) user-reported
+   * barrier that is impassable for the profile is included. Filter barriers
+   * with barriersForProfile() first if they may be limited to other profiles.
+   *
+   * @returns {Object} GeoJSON FeatureCollection, each feature with an `id`
+   *                   usable as a GraphHopper custom model area name
+   */
+  function buildAvoidAreas(hazards, barriers, profile, time = Date.now()) {
+    const features = []
+
+    const candidates = [...activeHazards(hazards, time), ...activeBarriers(barriers, time).map(barrierAsHazard)]
+
+    for (const hazard of candidates) {
+      if (!isImpassable(hazard, profile)) continue
+      for (const polygon of hazardToPolygons(hazard)) {
+        features.push({
+          type: 'Feature',
+          id: `avoid_${features.length}`,
+          properties: { source: hazard.id },
+          geometry: polygon
+        })
+      }
+    }
+
+    return { type: 'FeatureCollection', features }
+  }
+
+  // ---- Gradients ----
+
+  // Shorter sections are merged so height noise doesn't read as a cliff
+  const MIN_SECTION_METERS = 10
+
+  // Steepest first; colours are used to draw the route by gradient
+  const GRADIENT_BANDS = [
+    { min: 8, severity: 'high',   color: '#c62828', label: '8% or more' },
+    { min: 5, severity: 'medium', color: '#ef6c00', label: '5–8%' },
+    { min: 3, severity: 'low',    color: '#f9a825', label: '3–5%' },
+    { min: 0, severity: null,     color: '#2e7d32', label: 'Under 3%' }
+  ]
+
+  function gradientBand(gradient) {
+    return GRADIENT_BANDS.find(b => Math.abs(gradient) >= b.min)
+  }
+
+  const hasHeight = (coord) => typeof coord[2] === 'number'
+
+  /**
+   * Cut a route into sections of at least MIN_SECTION_METERS and work out
+   * the gradient of each. Stretches without heights are left out.
+   *
+   * @returns {Array} [{ start, end (coordinate indexes), length (m),
+   *                    rise (m), gradient (%, negative downhill) }]
+   */
+  function gradientSections(coords) {
+    const sections = []
+    let start = null
+    let length = 0
+
+    const close = (end) => {
+      const rise = coords[end][2] - coords[start][2]
+      const last = sections[sections.length - 1]
+      // A short tail joins the section before it
+      if (length < MIN_SECTION_METERS && last && last.end === start) {
+        last.end = end
+        last.length += length
+        last.rise += rise
+        last.gradient = (last.rise / last.length) * 100
+      } else if (length > 0) {
+        sections.push({ start, end, length, rise, gradient: (rise / length) * 100 })
+      }
+    }
+
+    for (let i = 0; i < coords.length - 1; i++) {
+      if (!hasHeight(coords[i]) || !hasHeight(coords[i + 1])) {
+        if (start !== null && i > start) close(i)
+        start = null
+        length = 0
+        continue
+      }
+      if (start === null) start = i
+      length += haversine(coords[i], coords[i + 1])
+      if (length >= MIN_SECTION_METERS) {
+        close(i + 1)
+        start = i + 1
+        length = 0
+      }
+    }
+    if (start !== null && start < coords.length - 1) close(coords.length - 1)
+
+    return sections
+  }
+
+  // Steepest gradient, total climb and descent over a route's sections
+  function elevationSummary(sections) {
+    if (sections.length === 0) return null
+    const round = (v) => Math.round(v * 10) / 10
+    return {
+      maxGradient: round(Math.max(...sections.map(s => Math.abs(s.gradient)))),
+      climb: Math.round(sections.reduce((sum, s) => sum + Math.max(s.rise, 0), 0)),
+      descent: Math.round(sections.reduce((sum, s) => sum - Math.min(s.rise, 0), 0)),
+      sections
+    }
+  }
+
+  // Consecutive sections in the same steep band, as measured hazards along
+  // the route
+  function gradientHazards(coords, sections) {
+    const hazards = []
+    let run = null
+
+    const finish = () => {
+      if (!run) return
+      const steepest = run.sections.reduce((a, b) => (Math.abs(b.gradient) > Math.abs(a.gradient) ? b : a))
+      const gradient = Math.round(Math.abs(steepest.gradient) * 10) / 10
+      const length = run.sections.reduce((sum, s) => sum + s.length, 0)
+      const line = coords.slice(run.sections[0].start, run.sections[run.sections.length - 1].end + 1)
+        .map(c => [c[0], c[1]])
+      hazards.push({
+        id: `gradient-${run.sections[0].start}`,
+        type: 'steep',
+        severity: run.band.severity,
+        label: `Steep section (${gradient}% ${steepest.gradient > 0 ? 'uphill' : 'downhill'})`,
+        note: `About ${Math.round(length)} m at up to ${gradient}%, from elevation data`,
+        gradient,
+        lat: line[0][1],
+        lng: line[0][0],
+        geometry: { type: 'LineString', coordinates: line },
+        radius: 1,
+        computed: true
+      })
+      run = null
+    }
+
+    for (const section of sections) {
+      const band = gradientBand(section.gradient)
+      const contiguous = run && run.sections[run.sections.length - 1].end === section.start
+      if (run && (band !== run.band || !contiguous)) finish()
+      if (!band.severity) continue
+      if (!run) run = { band, sections: [] }
+      run.sections.push(section)
+    }
+    finish()
+
+    return hazards
+  }
+
+  // Level and colour for a score, route-wide or for one segment
+  function levelFor(score) {
+    if (score >= 80) return { level: 'high', color: '#4caf50' } // green
+    if (score >= 50) return { level: 'medium', color: '#ff9800' } // orange
+    return { level: 'low', color: '#f44336' } // red
+  }
+
+  /**
+   * Split a route into runs of coordinates touched by the same hazards.
+   *
+   * @param {Array} hits - [{ hazard, penalty, impassable }] for hazards on the route
+   * @returns {Array} [{ start, end (coordinate indexes), hazardIds, score,
+   *                    level, color }]; impassable segments score 0, and
+   *                    segments with any hazard are at best 'medium'
+   */
+  function routeSegments(routeCoords, hits) {
+    const segments = []
+
+    for (let i = 0; i < routeCoords.length - 1; i++) {
+      const pair = [routeCoords[i], routeCoords[i + 1]]
+      const here = hits.filter(h => routePassesNear(pair, h.hazard).hit)
+      const hazardIds = here.map(h => h.hazard.id)
+
+      const last = segments[segments.length - 1]
+      if (last && last.hazardIds.join('|') === hazardIds.join('|')) {
+        last.end = i + 1
+        continue
       }
+
+      const score = here.some(h => h.impassable)
+        ? 0
+        : Math.max(0, 100 - here.reduce((sum, h) => sum + h.penalty, 0))
+      // Any hazard at all takes a segment out of the green, so it stands out
+      // from the clear stretches around it
+      segments.push({ start: i, end: i + 1, hazardIds, score, ...levelFor(here.length > 0 ? Math.min(score, 79) : score) })
     }
 
-    return { hit: false, distance: minDist }
+    return segments
   }
 
   /**
@@ -49,12 +574,19 @@ const AccessibilityScorer = (() => {
    * @param {Array} routeCoords  - GeoJSON coordinates array [[lng,lat], ...]
    * @param {string} profileId   - Key from ACCESSIBILITY_PROFILES
    * @param {Array} hazards      - ACCESSIBILITY_HAZARDS array
-   * @param {Array} barriers     - User-reported barriers [{lat, lng, time}, ...]
+   * @param {Array} barriers     - User-reported barriers
+   *                               [{id, lat, lng, type, severity, affects, expiresAt}, ...];
+   *                               expired ones and ones for other profiles are ignored
    * @param {Object} profiles    - ACCESSIBILITY_PROFILES object
+   * @param {number} time        - when the route is walked (ms); hazards and
+   *                               reports not active then are ignored
    *
-   * @returns {Object} { score, level, warnings, hazardsHit }
+   * @returns {Object} { score, level, color, warnings, hazardsHit, passable,
+   *                     segments, elevation } (segments: see routeSegments();
+   *                     elevation: { maxGradient, climb, descent,
+   *                     sections }, or null when the route has no heights)
    */
-  function scoreRoute(routeCoords, profileId, hazards, barriers, profiles) {
+  function scoreRoute(routeCoords, profileId, hazards, barriers, profiles, time = Date.now()) {
     const profile = profiles[profileId]
     if (!profile) {
       return {
@@ -62,86 +594,164 @@ const AccessibilityScorer = (() => {
         level: 'unknown',
         color: '#9e9e9e',
         warnings: [{ text: `Unknown profile: ${profileId}`, severity: 'low' }],
-        hazardsHit: []
+        hazardsHit: [],
+        passable: true
       }
     }
 
     let score = 100
     const warnings = []
     const hazardsHit = []
+    const hits = []
+    let passable = true
+
+    // --- Check known hazards and user-reported barriers ---
+    // Reports are scored exactly like curated hazards of the same type
+    const reported = barriersForProfile(barriers, profileId, time, profile).map(barrierAsHazard)
+    const curated = activeHazards(hazards, time)
+
+    // Gradients from elevation, except where a curated steep hazard on the
+    // route already describes the hill
+    const sections = gradientSections(routeCoords)
+    const curatedSteep = curated.filter(h => h.type === 'steep' && routePassesNear(routeCoords, h).hit)
+    const computed = gradientHazards(routeCoords, sections).filter(g =>
+      !curatedSteep.some(h => routePassesNear(g.geometry.coordinates, h).hit))
 
-    // --- Check known hazards ---
-    for (const hazard of hazards) {
+    for (const hazard of [...curated, ...computed, ...reported]) {
       const result = routePassesNear(routeCoords, hazard)
 
       if (result.hit) {
-        const penalty = profile.penalties[hazard.type]?.[hazard.severity] || 0
+        const penalty = hazardPenalty(hazard, profile)
 
         if (penalty > 0) {
+          const impassable = isImpassable(hazard, profile)
+          if (impassable) passable = false
+
           score -= penalty
           hazardsHit.push(hazard)
+          hits.push({ hazard, penalty, impassable })
+
+          // Measurements explain the verdict: the failing ones if blocked
+          const checks = measurementChecks(hazard, profile)
+          const shown = impassable ? checks.filter(c => !c.ok) : checks
 
           warnings.push({
             id: hazard.id,
             text: hazard.label,
             note: hazard.note,
+            advice: hazard.advice,
+            measurements: shown.map(c => c.text),
             type: hazard.type,
             severity: hazard.severity,
-            distance: Math.round(result.distance)
+            impassable,
+            reported: Boolean(hazard.reported),
+            computed: Boolean(hazard.computed),
+            distance: Math.round(result.distance),
+            location: result.point,
+            along: Math.round(result.along)
           })
         }
       }
     }
 
-    // --- Check user-reported barriers ---
-    // Barriers within 20m of route get a flat penalty
-    const BARRIER_RADIUS = 20
-    const BARRIER_PENALTY = 15
+    // Clamp score
+    score = Math.max(0, Math.min(100, score))
 
-    for (const barrier of barriers) {
-      const barrierAsHazard = { lat: barrier.lat, lng: barrier.lng, radius: BARRIER_RADIUS }
-      const result = routePassesNear(routeCoords, barrierAsHazard)
+    const { level, color } = levelFor(score)
 
-      if (result.hit) {
-        score -= BARRIER_PENALTY
-        warnings.push({
-          id: `barrier-${barrier.time}`,
-          text: 'User-reported barrier nearby',
-          note: barrier.description || 'No details provided',
-          type: 'barrier',
-          severity: 'medium',
-          distance: Math.round(result.distance)
-        })
-      }
+    // Sort warnings by severity (high first)
+    const severityOrder = { high: 0, medium: 1, low: 2 }
+    warnings.sort((a, b) => (severityOrder[a.severity] ?? 2) - (severityOrder[b.severity] ?? 2))
+
+    return {
+      score,
+      level,
+      color,
+      warnings,
+      hazardsHit,
+      passable,
+      segments: routeSegments(routeCoords, hits),
+      elevation: elevationSummary(sections)
     }
+  }
 
-    // Clamp score
-    score = Math.max(0, Math.min(100, score))
+  /**
+   * Travel time for a route under a profile.
+   *
+   * @param {number} distance - route length (m)
+   * @param {Object} scoring  - from scoreRoute() for the same route and profile
+   * @param {Object} profile  - entry from ACCESSIBILITY_PROFILES
+   * @param {Array}  extras   - fixed extra times from elsewhere, e.g. lift
+   *                            waits indoors: [{ label, seconds }]
+   *
+   * @returns {Object} { seconds, breakdown: [{ label, seconds, id? }] },
+   *   the breakdown starting with the time at the profile's base speed.
+   *   With heights on the route, climbing is charged per metre instead of
+   *   per steep hazard.
+   */
+  function estimateTime(distance, scoring, profile, extras = []) {
+    const speed = profile.speed || WALKING_SPEED
+    const breakdown = [{
+      label: `${Math.round(distance)} m at ${(speed * 3.6).toFixed(1)} km/h`,
+      seconds: distance / speed
+    }]
 
-    // Determine level and color
-    let level, color
-    if (score >= 80) {
-      level = 'high'
-      color = '#4caf50' // green
-    } else if (score >= 50) {
-      level = 'medium'
-      color = '#ff9800' // orange
-    } else {
-      level = 'low'
-      color = '#f44336' // red
+    const elevation = scoring && scoring.elevation
+    if (elevation && profile.climbSeconds && elevation.climb > 0) {
+      breakdown.push({ label: `Climbing ${elevation.climb} m`, seconds: elevation.climb * profile.climbSeconds })
     }
 
-    // Sort warnings by severity (high first)
-    const severityOrder = { high: 0, medium: 1, low: 2 }
-    warnings.sort((a, b) => (severityOrder[a.severity] || 2) - (severityOrder[b.severity] || 2))
+    for (const warning of (scoring ? scoring.warnings : [])) {
+      if (elevation && warning.type === 'steep') continue
+      const seconds = profile.timeCosts?.[warning.type]
+      if (seconds) breakdown.push({ label: warning.text, seconds, id: warning.id })
+    }
+
+    const rests = profile.restEvery && profile.restSeconds ? Math.floor(distance / profile.restEvery) : 0
+    if (rests > 0) {
+      breakdown.push({ label: `${rests} rest stop${rests === 1 ? '' : 's'}`, seconds: rests * profile.restSeconds })
+    }
 
-    return { score, level, color, warnings, hazardsHit }
+    breakdown.push(...extras.filter(e => e.seconds > 0))
+
+    return {
+      seconds: breakdown.reduce((sum, item) => sum + item.seconds, 0),
+      breakdown
+    }
   }
 
   // Public API
-  return { scoreRoute, routePassesNear, haversine }
+  return {
+    scoreRoute,
+    estimateTime,
+    routePassesNear,
+    haversine,
+    pointInRing,
+    hazardAnchor,
+    hazardPenalty,
+    isImpassable,
+    measurementChecks,
+    buildAvoidAreas,
+    isActiveAt,
+    activeHazards,
+    isExpired,
+    activeBarriers,
+    barriersForProfile,
+    barrierAsHazard,
+    gradientSections,
+    routeSegments,
+    gradientBand,
+    BARRIER_RADIUS,
+    GRADIENT_BANDS,
+    WALKING_SPEED
+  }
 })()
 
 if (typeof window !== 'undefined') {
   window.AccessibilityScorer = AccessibilityScorer
 }
+
+// The local server uses the barrier radius when promoting reports to hazards
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccessibilityScorer
+}
@@ -0,0 +1,185 @@
+'use strict'
+
+/*
+  Amenities
+  ---------
+  Benches, sheltered seating, cafés, toilets, drinking water and accessible
+  parking. They come from two places:
+
+    - /assets/amenities.geojson: curated points, { id, type, name?,
+      wheelchair?, opening_hours?, note? } in properties
+    - /assets/UCC_area_polygons.geojson: OSM buildings with a matching
+      `amenity` tag (see `osm` in AMENITY_TYPES), placed at their centre
+
+  Types marked `rest` are somewhere to sit down. Profiles with a
+  `maxRestGap` (metres) want a rest point at least that often along a
+  route; restGaps() measures the stretches between them, counting the start
+  of the route as rested. Places with opening hours only count while open.
+*/
+
+const Amenities = (() => {
+
+  const AMENITY_TYPES = {
+    bench:          { label: 'Bench', icon: '🪑', rest: true },
+    shelter:        { label: 'Sheltered seating', icon: '⛱️', rest: true, osm: ['shelter'] },
+    cafe:           { label: 'Café', icon: '☕', rest: true, osm: ['cafe'] },
+    toilets:        { label: 'Toilets', icon: '🚻', osm: ['toilets'] },
+    drinking_water: { label: 'Drinking water', icon: '🚰', osm: ['drinking_water'] },
+    parking:        { label: 'Accessible parking', icon: '🅿️' }
+  }
+
+  // A rest point counts if it is this close to the route, in metres
+  const REST_REACH = 15
+
+  function typeForOsm(tag) {
+    return Object.keys(AMENITY_TYPES).find(type => AMENITY_TYPES[type].osm?.includes(tag)) || null
+  }
+
+  // Curated points from amenities.geojson
+  function fromGeoJSON(geojson) {
+    return (geojson.features || [])
+      .filter(f => f.geometry && f.geometry.type === 'Point' && AMENITY_TYPES[f.properties?.type])
+      .map(f => ({
+        ...f.properties,
+        lat: f.geometry.coordinates[1],
+        lng: f.geometry.coordinates[0],
+        source: 'curated'
+      }))
+  }
+
+  // Centre of the outer ring of a (Multi)Polygon, good enough for a marker
+  function centre(geometry) {
+    const ring = geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0] : geometry.coordinates[0]
+    const points = ring.slice(0, -1)
+    return [
+      points.reduce((sum, c) => sum + c[0], 0) / points.length,
+      points.reduce((sum, c) => sum + c[1], 0) / points.length
+    ]
+  }
+
+  // OSM buildings with an amenity tag this app knows about
+  function fromOsmPolygons(geojson) {
+    return (geojson.features || [])
+      .filter(f => f.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type) && typeForOsm(f.properties?.amenity))
+      .map(f => {
+        const p = f.properties
+        const [lng, lat] = centre(f.geometry)
+        return {
+          id: `osm-${String(p['@id']).replace(/\W/g, '-')}`,
+          type: typeForOsm(p.amenity),
+          name: p.name,
+          wheelchair: p.wheelchair,
+          opening_hours: p.opening_hours,
+          lat,
+          lng,
+          source: 'osm'
+        }
+      })
+  }
+
+  async function fetchJSON(url) {
+    const res = await fetch(url)
+    if (!res.ok) throw new Error(`${res.status}`)
+    return res.json()
+  }
+
+  // Curated and OSM amenities together; either source may be missing
+  async function load({ curatedUrl = '/assets/amenities.geojson', osmUrl = '/assets/UCC_area_polygons.geojson' } = {}) {
+    const [curated, osm] = await Promise.allSettled([fetchJSON(curatedUrl), fetchJSON(osmUrl)])
+    if (curated.status === 'rejected') console.warn(`Could not load amenities from ${curatedUrl}:`, curated.reason.message)
+    if (osm.status === 'rejected') console.warn(`Could not load amenities from ${osmUrl}:`, osm.reason.message)
+
+    return [
+      ...(curated.status === 'fulfilled' ? fromGeoJSON(curated.value) : []),
+      ...(osm.status === 'fulfilled' ? fromOsmPolygons(osm.value) : [])
+    ]
+  }
+
+  // Somewhere to sit at `time`: rest types, minus places that are closed
+  function restPoints(amenities, time = Date.now()) {
+    return amenities.filter(a => AMENITY_TYPES[a.type]?.rest &&
+      (!a.opening_hours || typeof OpeningHours === 'undefined' || OpeningHours.isOpen(a.opening_hours, time) !== false))
+  }
+
+  /**
+   * Stretches of a route between rest points.
+   *
+   * @param {Array} coords - route coordinates
+   * @param {Array} rests  - from restPoints()
+   * @returns {Array} [{ from, to, length (m along the route), restId }], in
+   *   route order; restId is the rest point the stretch ends at (null for
+   *   the last stretch, which ends at the destination)
+   */
+  function restGaps(coords, rests) {
+    let total = 0
+    for (let i = 0; i < coords.length - 1; i++) total += AccessibilityScorer.haversine(coords[i], coords[i + 1])
+
+    const stops = rests
+      .map(rest => ({ rest, hit: AccessibilityScorer.routePassesNear(coords, { ...rest, radius: REST_REACH }) }))
+      .filter(s => s.hit.hit)
+      .sort((a, b) => a.hit.along - b.hit.along)
+
+    const gaps = []
+    let from = 0
+    for (const { rest, hit } of stops) {
+      gaps.push({ from, to: hit.along, length: hit.along - from, restId: rest.id })
+      from = hit.along
+    }
+    gaps.push({ from, to: total, length: total - from, restId: null })
+    return gaps
+  }
+
+  /**
+   * Check a scored route against the profile's maxRestGap: adds
+   * `restGaps` and `restOk` to the scoring, and a warning for every
+   * stretch that is too long. Does nothing if the profile has no limit.
+   */
+  function annotate(scoring, coords, rests, profile) {
+    if (!scoring || !profile.maxRestGap) return scoring
+
+    const gaps = restGaps(coords, rests)
+    const tooLong = gaps.filter(g => g.length > profile.maxRestGap)
+
+    scoring.restGaps = gaps
+    scoring.restOk = tooLong.length === 0
+    for (const gap of tooLong) {
+      const middle = (gap.from + gap.to) / 2
+      scoring.warnings.push({
+        id: `rest-gap-${Math.round(gap.from)}`,
+        text: `No rest point for ${Math.round(gap.length)} m`,
+        note: `This profile wants somewhere to sit at least every ${profile.maxRestGap} m`,
+        measurements: [],
+        type: 'rest',
+        severity: 'low',
+        impassable: false,
+        reported: false,
+        computed: true,
+        distance: 0,
+        location: pointAlong(coords, middle),
+        along: Math.round(gap.from)
+      })
+    }
+    return scoring
+  }
+
+  // [lng, lat] at `meters` along the route
+  function pointAlong(coords, meters) {
+    let walked = 0
+    for (let i = 0; i < coords.length - 1; i++) {
+      const length = AccessibilityScorer.haversine(coords[i], coords[i + 1])
+      if (walked + length >= meters) {
+        const t = length === 0 ? 0 : (meters - walked) / length
+        return [coords[i][0] + t * (coords[i + 1][0] - coords[i][0]), coords[i][1] + t * (coords[i + 1][1] - coords[i][1])]
+      }
+      walked += length
+    }
+    return coords[coords.length - 1]
+  }
+
+  // Public API
+  return { load, fromGeoJSON, fromOsmPolygons, restPoints, restGaps, annotate, AMENITY_TYPES, REST_REACH }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Amenities = Amenities
+}
@@ -0,0 +1,71 @@
+'use strict'
+
+/*
+  Barrier Report API client
+  -------------------------
+  Talks to the local server (server/server.js) so barrier reports persist and
+  are shared between users. Every call rejects with an Error carrying the
+  server's message and HTTP `status`, so callers can fall back to keeping
+  reports in memory when the app is served without the API (e.g. Live
+  Server). A request that never reaches the server (no connection) rejects
+  with `offline: true`, so reports can be queued until it is back
+  (report-queue.js).
+
+  Also wraps the moderation actions (confirm / merge / reject) used by the
+  review panel in moderation.js, and the facility outage endpoints.
+*/
+
+const BarrierApi = (() => {
+
+  function create({ baseUrl = '/api' } = {}) {
+
+    async function request(path, options = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+      }).catch(err => {
+        throw Offline.networkError(err, 'Barrier server unreachable: no network connection')
+      })
+
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}))
+        const error = new Error(errData.message || `Barrier API request failed: ${response.status}`)
+        error.status = response.status
+        throw error
+      }
+
+      if (response.status === 204) return null
+      return response.json()
+    }
+
+    const post = (path, body = {}) => request(path, { method: 'POST', body: JSON.stringify(body) })
+    const reportPath = (id, action) => `/barriers/${encodeURIComponent(id)}/${action}`
+
+    return {
+      // Pending reports by default; pass a status (or 'all') for moderation
+      list: (status) => request(status ? `/barriers?status=${encodeURIComponent(status)}` : '/barriers'),
+      get: (id) => request(`/barriers/${encodeURIComponent(id)}`),
+      create: (barrier) => request('/barriers', { method: 'POST', body: JSON.stringify(barrier) }),
+      update: (id, changes) => request(`/barriers/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(changes) }),
+      remove: (id) => request(`/barriers/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+
+      // Moderation
+      confirm: (id, overrides = {}) => post(reportPath(id, 'confirm'), overrides),
+      merge: (id, into) => post(reportPath(id, 'merge'), { into }),
+      reject: (id, reason = '') => post(reportPath(id, 'reject'), { reason }),
+
+      // Facility status
+      addOutage: (facilityId, outage = {}) => post(`/facilities/${encodeURIComponent(facilityId)}/outages`, outage),
+      removeOutage: (facilityId, outageId) => request(
+        `/facilities/${encodeURIComponent(facilityId)}/outages/${encodeURIComponent(outageId)}`,
+        { method: 'DELETE' })
+    }
+  }
+
+  // Public API
+  return { create }
+})()
+
+if (typeof window !== 'undefined') {
+  window.BarrierApi = BarrierApi
+}
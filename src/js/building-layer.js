@@ -0,0 +1,196 @@
+'use strict'
+
+/*
+  OSM Building Layer
+  ------------------
+  Loads the OpenStreetMap building footprints in
+  /assets/UCC_area_polygons.geojson as a toggleable layer, coloured by the
+  `wheelchair` tag (yes / limited / no / unknown), and builds a name index so
+  buildings can be searched and used as route start/end points.
+*/
+
+const BuildingLayer = (() => {
+
+  const WHEELCHAIR_STYLES = {
+    yes:     { color: '#2e7d32', label: 'Wheelchair accessible' },
+    limited: { color: '#ef6c00', label: 'Limited wheelchair access' },
+    no:      { color: '#c62828', label: 'Not wheelchair accessible' },
+    unknown: { color: '#9e9e9e', label: 'Wheelchair access unknown' }
+  }
+
+  // OSM name tags worth searching
+  const NAME_KEYS = ['name', 'alt_name', 'old_name', 'name:ga', 'short_name']
+
+  function wheelchairStatus(properties) {
+    const value = properties.wheelchair
+    return WHEELCHAIR_STYLES[value] ? value : 'unknown'
+  }
+
+  // Area-weighted centroid of a Polygon's outer ring, as [lng, lat]
+  function centroid(feature) {
+    const ring = feature.geometry.coordinates[0]
+    let area = 0
+    let x = 0
+    let y = 0
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1]
+      area += cross
+      x += (ring[j][0] + ring[i][0]) * cross
+      y += (ring[j][1] + ring[i][1]) * cross
+    }
+
+    if (area === 0) return ring[0]
+    return [x / (3 * area), y / (3 * area)]
+  }
+
+  // Searchable entries for every named polygon
+  function createIndex(features) {
+    const entries = []
+
+    for (const feature of features) {
+      const props = feature.properties || {}
+      if (!props.name || !feature.geometry || feature.geometry.type !== 'Polygon') continue
+
+      const names = NAME_KEYS.map(k => props[k]).filter(Boolean)
+      entries.push({
+        name: props.name,
+        search: names.join(' ').toLowerCase(),
+        feature,
+        center: centroid(feature)
+      })
+    }
+
+    // Best match first: name starts with the query, then contains it
+    function search(query, limit = 8) {
+      const q = query.trim().toLowerCase()
+      if (q.length < 2) return []
+
+      return entries
+        .filter(e => e.search.includes(q))
+        .sort((a, b) => {
+          const aStarts = a.name.toLowerCase().startsWith(q) ? 0 : 1
+          const bStarts = b.name.toLowerCase().startsWith(q) ? 0 : 1
+          return (aStarts - bStarts) || a.name.localeCompare(b.name)
+        })
+        .slice(0, limit)
+    }
+
+    return { search, entries }
+  }
+
+  /**
+   * Load the layer and add it (plus a layer toggle and legend) to the map.
+   *
+   * @param {Object} options
+   * @param {L.Map} options.map
+   * @param {string} options.url           - GeoJSON to load
+   * @param {Function} options.onRouteFrom - (entry) called by "Route from here"
+   * @param {Function} options.onRouteTo   - (entry) called by "Route here"
+   *
+   * @returns {Promise<Object>} { layer, index, focus(entry) }
+   */
+  async function create({ map, url = '/assets/UCC_area_polygons.geojson', onRouteFrom, onRouteTo }) {
+    const res = await fetch(url)
+    if (!res.ok) throw new Error(`Could not load buildings: ${res.status}`)
+    const geojson = await res.json()
+
+    const index = createIndex(geojson.features || [])
+    const entryByFeature = new Map(index.entries.map(e => [e.feature, e]))
+    const layersByFeature = new Map()
+
+    function popupContent(feature) {
+      const p = feature.properties || {}
+      const status = wheelchairStatus(p)
+      const el = document.createElement('div')
+
+      el.innerHTML = `
+        <strong>${HtmlText.escape(p.name || 'Building')}</strong><br/>
+        <span style="color:${WHEELCHAIR_STYLES[status].color}">${WHEELCHAIR_STYLES[status].label}</span><br/>
+        ${p['building:levels'] ? `<small>Levels: ${HtmlText.escape(p['building:levels'])}</small><br/>` : ''}
+        ${p.amenity ? `<small>Amenity: ${HtmlText.escape(p.amenity)}</small><br/>` : ''}
+        ${p.opening_hours ? `<small>Opening hours: ${HtmlText.escape(p.opening_hours)}</small><br/>` : ''}
+      `
+
+      const entry = entryByFeature.get(feature)
+      if (entry) {
+        for (const [label, handler] of [['Route from here', onRouteFrom], ['Route here', onRouteTo]]) {
+          if (!handler) continue
+          const btn = document.createElement('button')
+          btn.type = 'button'
+          btn.className = 'btn-secondary'
+          btn.textContent = label
+          btn.addEventListener('click', () => {
+            map.closePopup()
+            handler(entry)
+          })
+          el.appendChild(btn)
+        }
+      }
+
+      return el
+    }
+
+    // Own pane below the overlay pane so routes and hazard zones stay on top
+    if (!map.getPane('buildingsPane')) {
+      map.createPane('buildingsPane').style.zIndex = 350
+    }
+
+    const layer = L.geoJSON(geojson, {
+      pane: 'buildingsPane',
+      // Canvas keeps thousands of polygons responsive
+      renderer: L.canvas({ pane: 'buildingsPane' }),
+      style: (feature) => {
+        const status = wheelchairStatus(feature.properties || {})
+        return {
+          color: WHEELCHAIR_STYLES[status].color,
+          weight: 1,
+          fillOpacity: status === 'unknown' ? 0.1 : 0.35
+        }
+      },
+      onEachFeature: (feature, featureLayer) => {
+        layersByFeature.set(feature, featureLayer)
+        featureLayer.bindPopup(() => popupContent(feature))
+      }
+    }).addTo(map)
+
+    L.control.layers(null, { 'Buildings (wheelchair access)': layer }, { position: 'topright' }).addTo(map)
+
+    const legend = L.control({ position: 'bottomright' })
+    legend.onAdd = () => {
+      const div = L.DomUtil.create('div', 'map-legend')
+      div.innerHTML = Object.values(WHEELCHAIR_STYLES)
+        .map(s => `<div><span class="legend-swatch" style="background:${s.color}"></span>${s.label}</div>`)
+        .join('')
+      return div
+    }
+    legend.addTo(map)
+
+    map.on('overlayadd overlayremove', (e) => {
+      if (e.layer !== layer) return
+      if (e.type === 'overlayadd') legend.addTo(map)
+      else legend.remove()
+    })
+
+    // Zoom to a search result and open its popup
+    function focus(entry) {
+      const featureLayer = layersByFeature.get(entry.feature)
+      if (!map.hasLayer(layer)) map.addLayer(layer)
+      if (featureLayer) {
+        map.fitBounds(featureLayer.getBounds(), { maxZoom: 18 })
+        featureLayer.openPopup()
+      } else {
+        map.setView([entry.center[1], entry.center[0]], 18)
+      }
+    }
+
+    return { layer, index, focus }
+  }
+
+  // Public API
+  return { create, createIndex, centroid, wheelchairStatus, WHEELCHAIR_STYLES }
+})()
+
+if (typeof window !== 'undefined') {
+  window.BuildingLayer = BuildingLayer
+}
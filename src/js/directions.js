@@ -0,0 +1,251 @@
+'use strict'
+
+/*
+  Turn-by-turn Directions
+  -----------------------
+  Routes carry routing instructions in GraphHopper's shape:
+
+    { text, sign, distance (m), interval: [first, last coordinate index] }
+
+  where sign is GraphHopper's turn code (-3 sharp left ... 3 sharp right,
+  4 arrive, 5 arrive at a stop on the way). The local router has no instructions of its own, so
+  fromGeometry() derives them from the bends in the path and changes of
+  path name.
+
+  build() merges those instructions with the route's hazard warnings, so
+  each turn is followed by what lies along that stretch, e.g.
+
+    Turn left onto College Road (120 m)
+      In 40 m, cobblestones in Quad area for 20 m — keep left along the paved edge
+*/
+
+const Directions = (() => {
+
+  const SIGN = { SHARP_LEFT: -3, LEFT: -2, SLIGHT_LEFT: -1, CONTINUE: 0, SLIGHT_RIGHT: 1, RIGHT: 2, SHARP_RIGHT: 3, FINISH: 4, WAYPOINT: 5 }
+
+  const TURN_TEXT = {
+    [SIGN.SHARP_LEFT]: 'Turn sharp left',
+    [SIGN.LEFT]: 'Turn left',
+    [SIGN.SLIGHT_LEFT]: 'Turn slight left',
+    [SIGN.CONTINUE]: 'Continue',
+    [SIGN.SLIGHT_RIGHT]: 'Turn slight right',
+    [SIGN.RIGHT]: 'Turn right',
+    [SIGN.SHARP_RIGHT]: 'Turn sharp right'
+  }
+
+  // Smaller bends don't get an instruction of their own
+  const TURN_DEGREES = 30
+
+  // Spacing, in metres, of the points used to find where a hazard starts
+  // and ends along the route
+  const SAMPLE_METERS = 2
+
+  const COMPASS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west']
+
+  // Initial bearing from a to b, degrees clockwise from north
+  function bearing(a, b) {
+    const toRad = (deg) => (deg * Math.PI) / 180
+    const lat1 = toRad(a[1])
+    const lat2 = toRad(b[1])
+    const dLng = toRad(b[0] - a[0])
+    const y = Math.sin(dLng) * Math.cos(lat2)
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360
+  }
+
+  // Change of heading in degrees, -180..180, positive to the right
+  function turnAngle(before, after) {
+    return ((after - before + 540) % 360) - 180
+  }
+
+  function turnSign(angle) {
+    const size = Math.abs(angle)
+    const side = angle < 0 ? -1 : 1
+    if (size < TURN_DEGREES) return SIGN.CONTINUE
+    if (size < 60) return side * SIGN.SLIGHT_RIGHT
+    if (size < 135) return side * SIGN.RIGHT
+    return side * SIGN.SHARP_RIGHT
+  }
+
+  // Metres along the route at each coordinate
+  function cumulative(coords) {
+    const along = [0]
+    for (let i = 0; i < coords.length - 1; i++) {
+      along.push(along[i] + AccessibilityScorer.haversine(coords[i], coords[i + 1]))
+    }
+    return along
+  }
+
+  /**
+   * Instructions for a route without any, from its shape.
+   *
+   * @param {Array} coords - [[lng, lat], ...]
+   * @param {Array} names  - optional path name for each segment (coords[i]
+   *                         to coords[i + 1]); a new name starts a new step
+   */
+  function fromGeometry(coords, names = []) {
+    if (coords.length < 2) return []
+
+    const along = cumulative(coords)
+    const instructions = []
+    let current = {
+      text: `Head ${COMPASS[Math.round(bearing(coords[0], coords[1]) / 45) % 8]}${names[0] ? ` on ${names[0]}` : ''}`,
+      sign: SIGN.CONTINUE,
+      start: 0
+    }
+
+    const close = (end) => {
+      instructions.push({
+        text: current.text,
+        sign: current.sign,
+        distance: along[end] - along[current.start],
+        interval: [current.start, end]
+      })
+    }
+
+    for (let i = 1; i < coords.length - 1; i++) {
+      const sign = turnSign(turnAngle(bearing(coords[i - 1], coords[i]), bearing(coords[i], coords[i + 1])))
+      const renamed = Boolean(names[i]) && names[i] !== names[i - 1]
+      if (sign === SIGN.CONTINUE && !renamed) continue
+
+      close(i)
+      const street = !names[i] ? '' : renamed ? ` onto ${names[i]}` : ` to stay on ${names[i]}`
+      current = { text: `${TURN_TEXT[sign]}${street}`, sign, start: i }
+    }
+    close(coords.length - 1)
+
+    const last = coords.length - 1
+    instructions.push({ text: 'Arrive at destination', sign: SIGN.FINISH, distance: 0, interval: [last, last] })
+    return instructions
+  }
+
+  // Where a hazard's zone begins and ends along the route, in metres, found
+  // by sampling the route segments the scorer matched it to
+  function hazardExtent(coords, along, hazard, segments, fallback) {
+    const touching = segments.filter(s => s.hazardIds.includes(hazard.id))
+    if (touching.length === 0) return { start: fallback, end: fallback }
+
+    let start = null
+    let end = null
+    for (const segment of touching) {
+      for (let i = segment.start; i < segment.end; i++) {
+        const length = along[i + 1] - along[i]
+        const samples = Math.max(1, Math.ceil(length / SAMPLE_METERS))
+        for (let k = 0; k <= samples; k++) {
+          const t = k / samples
+          const point = [
+            coords[i][0] + t * (coords[i + 1][0] - coords[i][0]),
+            coords[i][1] + t * (coords[i + 1][1] - coords[i][1])
+          ]
+          if (!AccessibilityScorer.routePassesNear([point], hazard).hit) continue
+          const at = along[i] + t * length
+          if (start === null || at < start) start = at
+          if (end === null || at > end) end = at
+        }
+      }
+    }
+
+    return start === null ? { start: fallback, end: fallback } : { start, end }
+  }
+
+  // "Cobblestones in Quad area" -> "cobblestones in Quad area", but leave
+  // names like "ORB" alone
+  function lowerFirst(text) {
+    return /^[A-Z][a-z]/.test(text) ? text[0].toLowerCase() + text.slice(1) : text
+  }
+
+  function roundMeters(meters) {
+    return meters < 20 ? Math.round(meters) : Math.round(meters / 5) * 5
+  }
+
+  /**
+   * Directions for a scored route: its instructions, each followed by the
+   * hazards that start during it.
+   *
+   * @param {Object} route   - { geometry, instructions? }
+   * @param {Object} scoring - from AccessibilityScorer.scoreRoute(), or null
+   * @returns {Array} [{ kind: 'instruction'|'hazard', text, distance (m or
+   *   null), along (m from the start), interval: [first, last coordinate
+   *   index], sign?, severity?, impassable?, warningId? }]
+   */
+  function build(route, scoring) {
+    const coords = route.geometry.coordinates
+    const along = cumulative(coords)
+    const instructions = route.instructions && route.instructions.length > 0
+      ? route.instructions
+      : fromGeometry(coords)
+
+    // Each hazard, in route order, with the stretch it covers
+    const notes = (scoring ? scoring.warnings : [])
+      .map(warning => {
+        const hazard = scoring.hazardsHit.find(h => h.id === warning.id)
+        const extent = hazard
+          ? hazardExtent(coords, along, hazard, scoring.segments || [], warning.along)
+          : { start: warning.along, end: warning.along }
+        return { warning, ...extent }
+      })
+      .sort((a, b) => a.start - b.start)
+
+    const steps = []
+    const arrival = (instruction) => instruction.sign === SIGN.FINISH || instruction.sign === SIGN.WAYPOINT
+    const walking = instructions.filter(i => !arrival(i))
+
+    for (const instruction of instructions) {
+      const [first, last] = instruction.interval
+      const start = along[first]
+      steps.push({
+        kind: 'instruction',
+        text: instruction.text,
+        sign: instruction.sign,
+        distance: instruction.distance ?? null,
+        along: start,
+        interval: [first, last]
+      })
+      if (arrival(instruction)) continue
+
+      // Hazards starting in this stretch; the last stretch takes any at the very end
+      const isLastWalk = instruction === walking[walking.length - 1]
+      for (const note of notes) {
+        if (note.start < start || (note.start >= along[last] && !isLastWalk)) continue
+        const { warning } = note
+        const offset = note.start - start
+        const length = note.end - note.start
+
+        let text = `${offset < 5 ? 'Here' : `In ${roundMeters(offset)} m`}, ${lowerFirst(warning.text)}`
+        if (length >= 5) text += ` for ${roundMeters(length)} m`
+        if (warning.advice) text += ` — ${warning.advice}`
+        else if (warning.impassable) text += ' — impassable for this profile'
+
+        const hazardIndex = along.findIndex(a => a > note.start)
+        const index = Math.max(0, (hazardIndex === -1 ? coords.length : hazardIndex) - 1)
+        const endIndex = along.findIndex(a => a >= note.end)
+        steps.push({
+          kind: 'hazard',
+          text,
+          distance: null,
+          along: note.start,
+          interval: [index, Math.max(index + 1, endIndex === -1 ? coords.length - 1 : endIndex)],
+          severity: warning.severity,
+          impassable: warning.impassable,
+          warningId: warning.id
+        })
+      }
+    }
+
+    // Indoor steps share one stretch, so list each hazard only once
+    const seen = new Set()
+    return steps.filter(step => {
+      if (step.kind !== 'hazard') return true
+      if (seen.has(step.warningId)) return false
+      seen.add(step.warningId)
+      return true
+    })
+  }
+
+  // Public API
+  return { build, fromGeometry, SIGN }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Directions = Directions
+}
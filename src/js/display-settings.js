@@ -0,0 +1,56 @@
+'use strict'
+
+/*
+  Display Settings
+  ----------------
+  High-contrast and large-text themes for the app itself. Each setting is a
+  class on <body> (see "Themes" in style.css), saved on this device.
+  Until the user chooses, high contrast follows the system's
+  `prefers-contrast: more` setting.
+*/
+
+const DisplaySettings = (() => {
+
+  const STORAGE_KEY = 'ucc-accessibility-map.display'
+
+  const SETTINGS = {
+    highContrast: { label: 'High contrast', className: 'theme-contrast' },
+    largeText:    { label: 'Large text', className: 'theme-large-text' }
+  }
+
+  function systemDefaults() {
+    const prefersContrast = typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-contrast: more)').matches
+    return { highContrast: prefersContrast, largeText: false }
+  }
+
+  // Saved settings, falling back to the system's preferences
+  function load(storage = window.localStorage) {
+    const defaults = systemDefaults()
+    try {
+      const saved = JSON.parse(storage.getItem(STORAGE_KEY) || '{}')
+      return Object.fromEntries(Object.keys(SETTINGS)
+        .map(key => [key, typeof saved[key] === 'boolean' ? saved[key] : defaults[key]]))
+    } catch (e) {
+      console.warn('Could not read display settings:', e.message)
+      return defaults
+    }
+  }
+
+  function save(settings, storage = window.localStorage) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  }
+
+  function apply(settings, root = document.body) {
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+      root.classList.toggle(setting.className, Boolean(settings[key]))
+    }
+  }
+
+  // Public API
+  return { load, save, apply, SETTINGS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.DisplaySettings = DisplaySettings
+}
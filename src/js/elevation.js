@@ -0,0 +1,89 @@
+'use strict'
+
+/*
+  Elevation Model
+  ---------------
+  The online router returns heights with its route coordinates. The local
+  campus router has none of its own, so it can read them from a small
+  elevation grid (DEM), if one is configured with
+  RoutingProviders.createLocalProvider({ demUrl }):
+
+    {
+      "bbox": [west, south, east, north],   (degrees)
+      "width": 120, "height": 80,           (samples per row, rows)
+      "values": [ ... ]                     (metres, row by row from the
+                                             north-west corner; null = no data)
+    }
+
+  Samples are at the grid corners, so the first value is the height at
+  [west, north] and the last at [east, south]. Heights between samples are
+  interpolated bilinearly. Points outside the grid, or next to a missing
+  sample, get no height and the gradient scoring simply skips them.
+*/
+
+const Elevation = (() => {
+
+  function validateDem(dem) {
+    if (!dem || !Array.isArray(dem.bbox) || dem.bbox.length !== 4 || dem.bbox.some(v => typeof v !== 'number')) {
+      throw new Error('Elevation grid needs a bbox of [west, south, east, north]')
+    }
+    const [west, south, east, north] = dem.bbox
+    if (east <= west || north <= south) throw new Error('Elevation grid bbox is empty')
+    if (!Number.isInteger(dem.width) || !Number.isInteger(dem.height) || dem.width < 2 || dem.height < 2) {
+      throw new Error('Elevation grid width and height must be whole numbers of at least 2')
+    }
+    if (!Array.isArray(dem.values) || dem.values.length !== dem.width * dem.height) {
+      throw new Error(`Elevation grid should have ${dem.width * dem.height} values`)
+    }
+    return dem
+  }
+
+  /**
+   * Fetch and check an elevation grid.
+   *
+   * @returns {Promise<Object|null>} the grid, or null if none is installed
+   * @throws {Error} if the file exists but isn't a valid grid
+   */
+  async function loadDem(url) {
+    const res = await fetch(url)
+    if (res.status === 404) return null
+    if (!res.ok) throw new Error(`Could not load elevation grid: ${res.status}`)
+    return validateDem(await res.json())
+  }
+
+  /**
+   * Height in metres at a [lng, lat] point, or null outside the grid or
+   * where samples are missing.
+   */
+  function sample(dem, coord) {
+    const [west, south, east, north] = dem.bbox
+    const x = ((coord[0] - west) / (east - west)) * (dem.width - 1)
+    const y = ((north - coord[1]) / (north - south)) * (dem.height - 1)
+    if (x < 0 || y < 0 || x > dem.width - 1 || y > dem.height - 1) return null
+
+    const x0 = Math.min(Math.floor(x), dem.width - 2)
+    const y0 = Math.min(Math.floor(y), dem.height - 2)
+    const at = (col, row) => dem.values[row * dem.width + col]
+    const corners = [at(x0, y0), at(x0 + 1, y0), at(x0, y0 + 1), at(x0 + 1, y0 + 1)]
+    if (corners.some(v => typeof v !== 'number')) return null
+
+    const fx = x - x0
+    const fy = y - y0
+    const top = corners[0] + (corners[1] - corners[0]) * fx
+    const bottom = corners[2] + (corners[3] - corners[2]) * fx
+    return top + (bottom - top) * fy
+  }
+
+  // Copy of a coordinate with its height from the grid, where there is one
+  function withElevation(coord, dem) {
+    const height = dem ? sample(dem, coord) : null
+    return height === null ? [coord[0], coord[1]] : [coord[0], coord[1], Math.round(height * 10) / 10]
+  }
+
+  // Public API
+  return { loadDem, validateDem, sample, withElevation }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Elevation = Elevation
+}
@@ -0,0 +1,152 @@
+'use strict'
+
+/*
+  Building Entrances
+  ------------------
+  Buildings in /assets/buildings.geojson list their entrances in
+  `properties.entrances`:
+
+    { id, name, location: [lng, lat], step_free, automatic_door, ramp,
+      opening_hours, note }
+
+  When a route ends inside one of these buildings, the router targets the
+  best entrance for the active profile instead of the clicked point:
+  - Entrances with steps are left out if steps block the profile
+    (same penalty / impassable rule as hazards)
+  - Of the rest, the nearest wins, with automatic doors preferred
+  - Given a time, entrances closed then are left out: an entrance's own
+    `opening_hours` apply, otherwise the building's (opening-hours.js)
+*/
+
+const Entrances = (() => {
+
+  // A manual door counts as this much extra walking when ranking entrances
+  const MANUAL_DOOR_METERS = 40
+
+  // Steps at an entrance are scored like a high-severity steps hazard
+  const STEPS_HAZARD = { type: 'steps', severity: 'high' }
+
+  // Buildings that have at least one entrance, from buildings.geojson
+  function fromGeoJSON(geojson) {
+    return (geojson.features || [])
+      .filter(f => f.geometry && f.geometry.type === 'Polygon' &&
+        Array.isArray(f.properties?.entrances) && f.properties.entrances.length > 0)
+      .map(f => ({
+        id: f.properties.id,
+        name: f.properties.name || 'Building',
+        ring: f.geometry.coordinates[0],
+        opening_hours: f.properties.opening_hours,
+        entrances: f.properties.entrances
+      }))
+  }
+
+  // The building (if any) whose outline contains the point
+  function buildingAt(buildings, latlng) {
+    const p = [latlng.lng, latlng.lat]
+    return buildings.find(b => AccessibilityScorer.pointInRing(p, b.ring)) || null
+  }
+
+  function describe(entrance) {
+    const parts = [entrance.step_free ? 'step-free' : 'steps']
+    if (entrance.ramp) parts.push('ramp')
+    if (entrance.automatic_door) parts.push('automatic door')
+    return parts.join(', ')
+  }
+
+  // Why a building is closed at `time` ("closed at Sat 10:00, opens Mon
+  // 08:00"), or null if it is open or its hours are unknown
+  function closedReason(hours, time) {
+    if (!hours || time === undefined || time === null) return null
+    return OpeningHours.isOpen(hours, time) === false ? OpeningHours.describeClosed(hours, time) : null
+  }
+
+  /**
+   * Whether a profile can use an entrance at all, at `time` if given.
+   *
+   * @param {Object} options - { time (ms), building } ; the building's
+   *                           opening hours apply if the entrance has none
+   */
+  function assess(entrance, profile, { time, building } = {}) {
+    const closed = closedReason(entrance.opening_hours || building?.opening_hours, time)
+    if (closed) return { usable: false, reason: closed }
+
+    const blocked = !entrance.step_free && AccessibilityScorer.isImpassable(STEPS_HAZARD, profile)
+    return { usable: !blocked, reason: blocked ? 'has steps' : describe(entrance) }
+  }
+
+  /**
+   * Rank a building's entrances for a profile.
+   *
+   * @param {Array}  entrances
+   * @param {Object} profile - entry from ACCESSIBILITY_PROFILES
+   * @param {Object} from    - route start (L.LatLng-like); nearer is better
+   * @param {Object} options - { time, building }, see assess()
+   *
+   * @returns {Array} [{ entrance, usable, cost, reason }], usable ones first,
+   *                  cheapest first
+   */
+  function rank(entrances, profile, from, options = {}) {
+    return entrances
+      .map(entrance => {
+        const [lng, lat] = entrance.location
+        const distance = from ? AccessibilityScorer.haversine([from.lng, from.lat], [lng, lat]) : 0
+        return {
+          entrance,
+          ...assess(entrance, profile, options),
+          cost: distance + (entrance.automatic_door ? 0 : MANUAL_DOOR_METERS)
+        }
+      })
+      .sort((a, b) => (b.usable - a.usable) || (a.cost - b.cost))
+  }
+
+  /**
+   * Pick the entrance to route to and explain the choice.
+   *
+   * @param {number} time - arrival time (ms); closed entrances are skipped
+   *
+   * @returns {Object} { building, entrance, latlng: [lat, lng], explanation }
+   *                   entrance is null when none suits the profile or the
+   *                   building is closed; the explanation says so and
+   *                   latlng is null
+   */
+  function choose(building, profile, from, time) {
+    const closed = closedReason(building.opening_hours, time)
+    if (closed) {
+      return { building, entrance: null, latlng: null, explanation: `${building.name} is ${closed}` }
+    }
+
+    const ranked = rank(building.entrances, profile, from, { time, building })
+    const best = ranked[0]
+
+    if (!best || !best.usable) {
+      return {
+        building,
+        entrance: null,
+        latlng: null,
+        explanation: `No entrance to ${building.name} suits the ${profile.label} profile `
+          + `(${ranked.map(r => `${r.entrance.name}: ${r.reason}`).join('; ')})`
+      }
+    }
+
+    const skipped = ranked.slice(1).map(r => {
+      if (!r.usable) return `${r.entrance.name} (${r.reason})`
+      const why = best.entrance.automatic_door && !r.entrance.automatic_door ? 'no automatic door' : 'further away'
+      return `${r.entrance.name} (${why})`
+    })
+
+    return {
+      building,
+      entrance: best.entrance,
+      latlng: [best.entrance.location[1], best.entrance.location[0]],
+      explanation: `Routing to ${building.name}: ${best.entrance.name} (${best.reason})`
+        + (skipped.length ? `. Not used: ${skipped.join(', ')}` : '')
+    }
+  }
+
+  // Public API
+  return { fromGeoJSON, buildingAt, assess, rank, choose, describe, closedReason, MANUAL_DOOR_METERS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Entrances = Entrances
+}
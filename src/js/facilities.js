@@ -0,0 +1,151 @@
+'use strict'
+
+/*
+  Facility Status
+  ---------------
+  Lifts, automatic doors, accessible toilets and ramps, and when they are out
+  of service. Facilities come from /api/facilities (falling back to
+  /assets/facilities.json):
+
+    { id, type, name, building?, level?, levels?, entrance?, location: [lng, lat],
+      outages: [{ id, from?, until?, note? }] }
+
+  A facility is out of service while any outage window covers the time asked
+  about (a missing `from` means "since before now", a missing `until` means
+  "until further notice"); otherwise it is operational.
+
+  Effects on routing:
+  - A lift that is out of service closes its edges in the indoor network
+    (ids match the lift ids in indoor_network.geojson)
+  - An automatic door out of service leaves its entrance with a manual door;
+    a ramp out of service leaves its entrance with a step
+  - Facilities outside buildings, and indoor ones a route can't avoid,
+    become hazards so scoreRoute flags them
+*/
+
+const Facilities = (() => {
+
+  const FACILITY_TYPES = {
+    lift:           { label: 'Lift', icon: '🛗' },
+    automatic_door: { label: 'Automatic door', icon: '🚪' },
+    toilet:         { label: 'Accessible toilet', icon: '🚻' },
+    ramp:           { label: 'Ramp', icon: '♿' }
+  }
+
+  // How an out-of-service facility is scored if a route relies on it
+  const OUTAGE_HAZARDS = {
+    lift:           { type: 'lift', severity: 'high' },
+    ramp:           { type: 'facility', severity: 'high' },
+    automatic_door: { type: 'facility', severity: 'medium' },
+    toilet:         { type: 'facility', severity: 'low' }
+  }
+
+  // Radius, in metres, of the hazard zone around an out-of-service facility
+  const OUTAGE_RADIUS = 5
+
+  // The outage covering `time`, if any
+  function currentOutage(facility, time = Date.now()) {
+    return (facility.outages || []).find(o =>
+      (!o.from || Date.parse(o.from) <= time) && (!o.until || Date.parse(o.until) > time)) || null
+  }
+
+  function statusAt(facility, time = Date.now()) {
+    return currentOutage(facility, time) ? 'out_of_service' : 'operational'
+  }
+
+  function outOfService(facilities, time = Date.now()) {
+    return facilities.filter(f => currentOutage(f, time))
+  }
+
+  // Lifts to keep out of indoor routing, as Map(id -> name)
+  function closedLifts(down) {
+    return new Map(down.filter(f => f.type === 'lift').map(f => [f.id, f.name]))
+  }
+
+  // Copies of the buildings (from Entrances.fromGeoJSON) with entrances
+  // downgraded by door and ramp outages
+  function adjustBuildings(buildings, down) {
+    const byEntrance = new Map()
+    for (const f of down) {
+      if (!f.entrance) continue
+      if (!byEntrance.has(f.entrance)) byEntrance.set(f.entrance, [])
+      byEntrance.get(f.entrance).push(f)
+    }
+    if (byEntrance.size === 0) return buildings
+
+    return buildings.map(building => ({
+      ...building,
+      entrances: building.entrances.map(entrance => {
+        const outages = byEntrance.get(entrance.id)
+        if (!outages) return entrance
+
+        const adjusted = { ...entrance }
+        for (const f of outages) {
+          if (f.type === 'automatic_door') adjusted.automatic_door = false
+          if (f.type === 'ramp' && adjusted.ramp) {
+            adjusted.ramp = false
+            adjusted.step_free = false
+          }
+        }
+        adjusted.note = [entrance.note, ...outages.map(f => `${f.name} is out of service`)]
+          .filter(Boolean).join('. ')
+        return adjusted
+      })
+    }))
+  }
+
+  /**
+   * Hazards for out-of-service facilities a route may meet: those outside
+   * buildings, plus indoor ones listed in `usedIds` (facilities the route
+   * has no way around).
+   */
+  function asHazards(down, usedIds = [], time = Date.now()) {
+    return down
+      .filter(f => !f.building || usedIds.includes(f.id))
+      .map(f => {
+        const outage = currentOutage(f, time)
+        return {
+          id: `facility-${f.id}`,
+          ...OUTAGE_HAZARDS[f.type],
+          label: `${f.name} out of service`,
+          lat: f.location[1],
+          lng: f.location[0],
+          radius: OUTAGE_RADIUS,
+          affects: [],
+          note: outage?.note || (outage?.until ? `Expected back ${new Date(outage.until).toLocaleString()}` : '')
+        }
+      })
+  }
+
+  // Load from the first URL that works, e.g. the API then the static file
+  async function load(urls) {
+    for (const url of [].concat(urls)) {
+      try {
+        const res = await fetch(url)
+        if (!res.ok) throw new Error(`${res.status}`)
+        const data = await res.json()
+        return data.facilities || []
+      } catch (e) {
+        console.warn(`Could not load facilities from ${url}:`, e.message)
+      }
+    }
+    return []
+  }
+
+  // Public API
+  return {
+    currentOutage,
+    statusAt,
+    outOfService,
+    closedLifts,
+    adjustBuildings,
+    asHazards,
+    load,
+    FACILITY_TYPES,
+    OUTAGE_RADIUS
+  }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Facilities = Facilities
+}
@@ -0,0 +1,162 @@
+'use strict'
+
+/*
+  Hazard Data I/O
+  ---------------
+  Curated hazards live in /assets/hazards.geojson so surveyors can edit them
+  in admin mode (hazard-editor.js) and export the result. This module checks
+  hazards against the schema (including the optional time window: `from`,
+  `until` and `hours`, and measurements such as `gradient`) and converts between the in-app shape
+  (see ACCESSIBILITY_HAZARDS) and GeoJSON.
+
+  GeoJSON layout: one Feature per hazard. Circle hazards are Points; hazards
+  with their own shape keep that geometry and store the marker position in
+  `properties.anchor` ([lng, lat]). All other fields go in properties.
+*/
+
+const HazardData = (() => {
+
+  const ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+  /**
+   * Check a hazard against the schema.
+   *
+   * @param {Object} hazard
+   * @param {Object} options - { types: HAZARD_TYPES, severities: HAZARD_SEVERITIES,
+   *                            measurements: HAZARD_MEASUREMENTS }
+   * @returns {Array<string>} problems found (empty if valid)
+   */
+  function validateHazard(hazard, { types, severities, measurements = {} }) {
+    const errors = []
+
+    if (typeof hazard.id !== 'string' || !ID_PATTERN.test(hazard.id)) {
+      errors.push('id must use only letters, numbers, - and _')
+    }
+    if (!types[hazard.type]) {
+      errors.push(`type must be one of: ${Object.keys(types).join(', ')}`)
+    }
+    if (!severities.includes(hazard.severity)) {
+      errors.push(`severity must be one of: ${severities.join(', ')}`)
+    }
+    if (typeof hazard.radius !== 'number' || !Number.isFinite(hazard.radius) || hazard.radius < 0) {
+      errors.push('radius must be a number of meters, 0 or more')
+    }
+    if (!Array.isArray(hazard.affects) || hazard.affects.some(a => typeof a !== 'string')) {
+      errors.push('affects must be a list of names')
+    }
+    if (typeof hazard.label !== 'string' || hazard.label.trim() === '') {
+      errors.push('label is required')
+    }
+    if (hazard.note !== undefined && typeof hazard.note !== 'string') {
+      errors.push('note must be text')
+    }
+    if (hazard.advice !== undefined && typeof hazard.advice !== 'string') {
+      errors.push('advice must be text')
+    }
+    if (typeof hazard.lat !== 'number' || typeof hazard.lng !== 'number' ||
+        Math.abs(hazard.lat) > 90 || Math.abs(hazard.lng) > 180) {
+      errors.push('location is missing or out of range')
+    }
+    if (hazard.geometry && !['LineString', 'Polygon'].includes(hazard.geometry.type)) {
+      errors.push('geometry must be a LineString or Polygon')
+    }
+    for (const key of ['from', 'until']) {
+      if (hazard[key] !== undefined && Number.isNaN(Date.parse(hazard[key]))) {
+        errors.push(`${key} must be a date, e.g. 2025-03-01T08:00`)
+      }
+    }
+    if (hazard.from && hazard.until && Date.parse(hazard.until) <= Date.parse(hazard.from)) {
+      errors.push('until must be after from')
+    }
+    if (hazard.hours !== undefined) {
+      try {
+        OpeningHours.parse(hazard.hours)
+      } catch (e) {
+        errors.push(`hours: ${e.message}`)
+      }
+    }
+    for (const [key, measure] of Object.entries(measurements)) {
+      const value = hazard[key]
+      if (value === undefined || value === null) continue
+      if (measure.classes && !measure.classes.includes(value)) {
+        errors.push(`${key} must be one of: ${measure.classes.join(', ')}`)
+      } else if (!measure.classes && (typeof value !== 'number' || !(value >= 0 && value <= measure.max))) {
+        errors.push(`${key} must be a number from 0 to ${measure.max}${measure.unit ? ` (${measure.unit})` : ''}`)
+      }
+    }
+
+    return errors
+  }
+
+  // Check a whole list, including that ids are unique.
+  // Returns [{ id, errors }] for the hazards with problems.
+  function validateAll(hazards, options) {
+    const problems = []
+    const seen = new Set()
+
+    hazards.forEach((hazard, i) => {
+      const errors = validateHazard(hazard, options)
+      if (seen.has(hazard.id)) errors.push(`duplicate id "${hazard.id}"`)
+      seen.add(hazard.id)
+      if (errors.length > 0) problems.push({ id: hazard.id || `#${i + 1}`, errors })
+    })
+
+    return problems
+  }
+
+  function toGeoJSON(hazards) {
+    return {
+      type: 'FeatureCollection',
+      features: hazards.map(({ lat, lng, geometry, ...properties }) => ({
+        type: 'Feature',
+        properties: geometry ? { ...properties, anchor: [lng, lat] } : properties,
+        geometry: geometry || { type: 'Point', coordinates: [lng, lat] }
+      }))
+    }
+  }
+
+  function fromGeoJSON(geojson) {
+    if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+      throw new Error('Hazard file must be a GeoJSON FeatureCollection')
+    }
+
+    return geojson.features.map(feature => {
+      const { anchor, ...properties } = feature.properties || {}
+      const geometry = feature.geometry
+
+      if (!geometry) throw new Error(`Hazard "${properties.id}" has no geometry`)
+
+      if (geometry.type === 'Point') {
+        const [lng, lat] = geometry.coordinates
+        return { ...properties, lat, lng }
+      }
+
+      const [lng, lat] = anchor || AccessibilityScorer.hazardAnchor({ geometry })
+      return { ...properties, lat, lng, geometry }
+    })
+  }
+
+  // Load hazards from the first GeoJSON URL that works (e.g. the server's
+  // /api/hazards, then the static file), falling back to `fallback` (the
+  // ACCESSIBILITY_HAZARDS constant) if none do.
+  async function load(urls, fallback = []) {
+    for (const url of [].concat(urls)) {
+      try {
+        const res = await fetch(url)
+        if (!res.ok) throw new Error(`${res.status}`)
+        return fromGeoJSON(await res.json())
+      } catch (e) {
+        console.warn(`Could not load hazards from ${url}:`, e.message)
+      }
+    }
+    console.warn('Using built-in hazard list')
+    return fallback
+  }
+
+  // Public API
+  return { validateHazard, validateAll, toGeoJSON, fromGeoJSON, load }
+})()
+
+if (typeof window !== 'undefined') {
+  window.HazardData = HazardData
+}
@@ -0,0 +1,378 @@
+'use strict'
+
+/*
+  Hazard Editor (admin mode)
+  --------------------------
+  Lets a surveyor curate the hazard list on the map:
+  - Add: arm "Add hazard", then click the map
+  - Move: drag the hazard's marker
+  - Resize: drag the small square handle on the edge of a circle
+  - Edit / delete: click the marker and use the form in its popup
+  - Export / import the list as GeoJSON (see hazard-data.js)
+
+  Every edit is checked against the hazard schema. Changes are reported
+  through onChange(hazards) so routing and scoring use them straight away.
+*/
+
+const HazardEditor = (() => {
+
+  const METERS_PER_DEGREE_LAT = 111320
+
+  function create({ map, hazardTypes, severities, measurements = {}, onChange = () => {}, onStatus = () => {} }) {
+    let hazards = []
+    let active = false
+    let addMode = false
+    const layer = L.layerGroup()
+    const markers = new Map()
+
+    const handleIcon = L.divIcon({
+      className: 'hazard-resize-handle',
+      iconSize: [10, 10],
+      iconAnchor: [5, 5]
+    })
+
+    const centerIcon = L.divIcon({
+      className: 'hazard-edit-marker',
+      iconSize: [14, 14],
+      iconAnchor: [7, 7]
+    })
+
+    const schema = { types: hazardTypes, severities, measurements }
+
+    function changed() {
+      onChange(hazards)
+    }
+
+    // Point on the east edge of a circle, where the resize handle sits
+    function edgeLatLng(h) {
+      const dLng = h.radius / (METERS_PER_DEGREE_LAT * Math.cos((h.lat * Math.PI) / 180))
+      return L.latLng(h.lat, h.lng + dLng)
+    }
+
+    function shiftGeometry(geometry, dLat, dLng) {
+      const move = ([lng, lat]) => [lng + dLng, lat + dLat]
+      if (geometry.type === 'LineString') {
+        return { ...geometry, coordinates: geometry.coordinates.map(move) }
+      }
+      return { ...geometry, coordinates: geometry.coordinates.map(ring => ring.map(move)) }
+    }
+
+    function drawHazard(h) {
+      const style = { color: '#6a1b9a', weight: 2, fillOpacity: 0.15 }
+      const zone = h.geometry
+        ? L.geoJSON(h.geometry, { style }).addTo(layer)
+        : L.circle([h.lat, h.lng], { ...style, radius: h.radius }).addTo(layer)
+
+      const marker = L.marker([h.lat, h.lng], { icon: centerIcon, draggable: true })
+        .addTo(layer)
+        // A text node, so labels from confirmed reports can't carry markup
+        .bindTooltip(document.createTextNode(h.label || ''))
+        .bindPopup(() => editForm(h), { minWidth: 240 })
+      markers.set(h, marker)
+
+      let handle = null
+      if (!h.geometry) {
+        handle = L.marker(edgeLatLng(h), { icon: handleIcon, draggable: true }).addTo(layer)
+
+        handle.on('drag', () => {
+          zone.setRadius(map.distance(marker.getLatLng(), handle.getLatLng()))
+        })
+        handle.on('dragend', () => {
+          h.radius = Math.round(zone.getRadius())
+          handle.setLatLng(edgeLatLng(h))
+          changed()
+        })
+      }
+
+      marker.on('drag', () => {
+        if (h.geometry) return
+        zone.setLatLng(marker.getLatLng())
+        if (handle) {
+          handle.setLatLng(edgeLatLng({ ...h, ...marker.getLatLng() }))
+        }
+      })
+
+      marker.on('dragend', () => {
+        const { lat, lng } = marker.getLatLng()
+        if (h.geometry) h.geometry = shiftGeometry(h.geometry, lat - h.lat, lng - h.lng)
+        h.lat = Number(lat.toFixed(6))
+        h.lng = Number(lng.toFixed(6))
+        render()
+        changed()
+      })
+    }
+
+    function render() {
+      layer.clearLayers()
+      markers.clear()
+      hazards.forEach(drawHazard)
+    }
+
+    function field(label, input) {
+      const wrap = document.createElement('label')
+      wrap.className = 'editor-field'
+      wrap.textContent = label
+      wrap.appendChild(input)
+      return wrap
+    }
+
+    function select(options, value) {
+      const el = document.createElement('select')
+      for (const [optValue, optLabel] of options) {
+        const option = document.createElement('option')
+        option.value = optValue
+        option.textContent = optLabel
+        el.appendChild(option)
+      }
+      el.value = value
+      return el
+    }
+
+    // ISO date <-> the local "YYYY-MM-DDTHH:MM" of a datetime-local input
+    function toLocalInput(iso) {
+      if (!iso) return ''
+      const date = new Date(iso)
+      return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+    }
+
+    function fromLocalInput(value) {
+      return value ? new Date(value).toISOString() : undefined
+    }
+
+    function input(type, value) {
+      const el = document.createElement(type === 'textarea' ? 'textarea' : 'input')
+      if (type !== 'textarea') el.type = type
+      el.value = value ?? ''
+      return el
+    }
+
+    // Popup form for one hazard
+    function editForm(h) {
+      const form = document.createElement('form')
+      form.className = 'hazard-edit-form'
+      L.DomEvent.disableClickPropagation(form)
+
+      const inputs = {
+        id: input('text', h.id),
+        label: input('text', h.label),
+        type: select(Object.entries(hazardTypes).map(([id, t]) => [id, t.label]), h.type),
+        severity: select(severities.map(s => [s, s]), h.severity),
+        radius: input('number', h.radius),
+        affects: input('text', h.affects.join(', ')),
+        note: input('textarea', h.note),
+        advice: input('text', h.advice),
+        from: input('datetime-local', toLocalInput(h.from)),
+        until: input('datetime-local', toLocalInput(h.until)),
+        hours: input('text', h.hours)
+      }
+      inputs.radius.min = '0'
+      inputs.affects.placeholder = 'e.g. wheelchair, step-free'
+      inputs.hours.placeholder = 'e.g. Mo-Fr 07:00-19:00'
+      inputs.advice.placeholder = 'e.g. use the crossing 30 m east'
+
+      // Measurements, blank if not measured
+      const measured = {}
+      for (const [key, measure] of Object.entries(measurements)) {
+        measured[key] = measure.classes
+          ? select([['', 'Not measured'], ...measure.classes.map(c => [c, c])], h[key] ?? '')
+          : input('number', h[key])
+        if (!measure.classes) {
+          measured[key].min = '0'
+          measured[key].step = 'any'
+        }
+      }
+
+      form.appendChild(field('Id', inputs.id))
+      form.appendChild(field('Label', inputs.label))
+      form.appendChild(field('Type', inputs.type))
+      form.appendChild(field('Severity', inputs.severity))
+      form.appendChild(field(h.geometry ? 'Buffer (m)' : 'Radius (m)', inputs.radius))
+      form.appendChild(field('Affects (comma separated)', inputs.affects))
+      form.appendChild(field('Note', inputs.note))
+      form.appendChild(field('Advice in directions', inputs.advice))
+      form.appendChild(field('Active from (blank = always)', inputs.from))
+      form.appendChild(field('Active until (blank = no end)', inputs.until))
+      form.appendChild(field('Active hours (opening_hours syntax)', inputs.hours))
+      for (const [key, measure] of Object.entries(measurements)) {
+        form.appendChild(field(measure.unit ? `${measure.label} (${measure.unit})` : measure.label, measured[key]))
+      }
+
+      const errorsEl = document.createElement('div')
+      errorsEl.className = 'editor-errors'
+      form.appendChild(errorsEl)
+
+      const saveBtn = document.createElement('button')
+      saveBtn.type = 'submit'
+      saveBtn.className = 'btn-primary'
+      saveBtn.textContent = 'Save'
+
+      const deleteBtn = document.createElement('button')
+      deleteBtn.type = 'button'
+      deleteBtn.className = 'btn-secondary'
+      deleteBtn.textContent = 'Delete'
+
+      form.appendChild(saveBtn)
+      form.appendChild(deleteBtn)
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault()
+
+        const updated = {
+          ...h,
+          id: inputs.id.value.trim(),
+          label: inputs.label.value.trim(),
+          type: inputs.type.value,
+          severity: inputs.severity.value,
+          radius: inputs.radius.value === '' ? NaN : Number(inputs.radius.value),
+          affects: inputs.affects.value.split(',').map(a => a.trim()).filter(Boolean),
+          note: inputs.note.value.trim(),
+          advice: inputs.advice.value.trim() || undefined,
+          from: fromLocalInput(inputs.from.value),
+          until: fromLocalInput(inputs.until.value),
+          hours: inputs.hours.value.trim() || undefined
+        }
+        for (const [key, measure] of Object.entries(measurements)) {
+          const value = measured[key].value
+          updated[key] = value === '' ? undefined : measure.classes ? value : Number(value)
+        }
+
+        const errors = HazardData.validateHazard(updated, schema)
+        if (hazards.some(other => other !== h && other.id === updated.id)) {
+          errors.push(`id "${updated.id}" is already used`)
+        }
+
+        if (errors.length > 0) {
+          errorsEl.innerHTML = ''
+          for (const err of errors) {
+            const line = document.createElement('div')
+            line.textContent = err
+            errorsEl.appendChild(line)
+          }
+          return
+        }
+
+        Object.assign(h, updated)
+        map.closePopup()
+        render()
+        changed()
+      })
+
+      deleteBtn.addEventListener('click', () => {
+        if (!confirm(`Delete hazard "${h.label}"?`)) return
+        hazards = hazards.filter(other => other !== h)
+        map.closePopup()
+        render()
+        changed()
+      })
+
+      return form
+    }
+
+    function onMapClick(e) {
+      if (!addMode) return
+      addMode = false
+
+      const h = {
+        id: `hazard-${Date.now().toString(36)}`,
+        type: Object.keys(hazardTypes)[0],
+        label: 'New hazard',
+        lat: Number(e.latlng.lat.toFixed(6)),
+        lng: Number(e.latlng.lng.toFixed(6)),
+        radius: 10,
+        severity: 'medium',
+        affects: [],
+        note: ''
+      }
+
+      hazards.push(h)
+      render()
+      changed()
+      onStatus('Hazard added: fill in its details', 'loading')
+      markers.get(h).openPopup()
+    }
+
+    // Enter admin mode with a copy of the current hazards
+    function start(list) {
+      hazards = list.map(h => ({ ...h, affects: [...(h.affects || [])] }))
+      active = true
+      layer.addTo(map)
+      map.on('click', onMapClick)
+      render()
+    }
+
+    function stop() {
+      active = false
+      addMode = false
+      map.off('click', onMapClick)
+      layer.remove()
+      return hazards
+    }
+
+    // Add hazards from elsewhere (e.g. a report a moderator just confirmed)
+    // to the working set, keeping any edits not exported yet. Hazards whose
+    // id is already in the set are left as they are.
+    function add(list) {
+      const ids = new Set(hazards.map(h => h.id))
+      const added = list.filter(h => !ids.has(h.id)).map(h => ({ ...h, affects: [...(h.affects || [])] }))
+      if (added.length === 0) return 0
+      hazards.push(...added)
+      render()
+      changed()
+      return added.length
+    }
+
+    function armAdd() {
+      addMode = true
+      onStatus('Click the map to place the new hazard', 'loading')
+    }
+
+    function exportGeoJSON() {
+      const problems = HazardData.validateAll(hazards, schema)
+      if (problems.length > 0) {
+        throw new Error(`Fix ${problems.length} invalid hazard(s) before exporting: `
+          + problems.map(p => `${p.id} (${p.errors.join('; ')})`).join(', '))
+      }
+
+      const blob = new Blob([JSON.stringify(HazardData.toGeoJSON(hazards), null, 2)], {
+        type: 'application/geo+json'
+      })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = 'hazards.geojson'
+      a.click()
+      URL.revokeObjectURL(url)
+    }
+
+    async function importFile(file) {
+      const list = HazardData.fromGeoJSON(JSON.parse(await file.text()))
+      const problems = HazardData.validateAll(list, schema)
+      if (problems.length > 0) {
+        throw new Error(`${problems.length} invalid hazard(s) in file: `
+          + problems.map(p => `${p.id} (${p.errors.join('; ')})`).join(', '))
+      }
+
+      hazards = list
+      render()
+      changed()
+      return hazards.length
+    }
+
+    return {
+      start,
+      stop,
+      add,
+      armAdd,
+      exportGeoJSON,
+      importFile,
+      isActive: () => active
+    }
+  }
+
+  // Public API
+  return { create }
+})()
+
+if (typeof window !== 'undefined') {
+  window.HazardEditor = HazardEditor
+}
@@ -0,0 +1,32 @@
+'use strict'
+
+/*
+  HTML Text
+  ---------
+  Leaflet popups and tooltips, and the few panels built from template
+  strings, take HTML. Text that came from users or data files (barrier
+  reports, hazard labels, building names from OSM, shared route links) goes
+  through escape() first, so it is shown as text and never run as markup.
+*/
+
+const HtmlText = (() => {
+
+  const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  }
+
+  function escape(text) {
+    return String(text).replace(/[&<>"']/g, char => ENTITIES[char])
+  }
+
+  // Public API
+  return { escape }
+})()
+
+if (typeof window !== 'undefined') {
+  window.HtmlText = HtmlText
+}
@@ -0,0 +1,324 @@
+'use strict'
+
+/*
+  Indoor Routing
+  --------------
+  A level-aware network of corridors, lifts, stairs and ramps inside
+  buildings (/assets/indoor_network.geojson), used to finish a route indoors:
+  the outdoor route ends at an entrance and the indoor path continues from
+  there to the destination level.
+
+  Network features (properties):
+  - corridor  LineString  { building, level }            walkable on one level
+  - link      LineString  { level }                      corridor between buildings
+  - ramp      LineString  { building, levels: [a, b] }   last point is on level b
+  - lift      Point       { id, building, levels: [...] } joins those levels
+  - stairs    Point       { id, building, levels: [...] }
+  - entrance  Point       { entrance, building, level }   where the outdoor route
+                                                          hands over; `entrance`
+                                                          is an entrance id from
+                                                          buildings.geojson
+
+  Points on different features join when they share coordinates and level.
+  Stairs are scored like a high-severity steps hazard, so profiles that
+  can't use steps (e.g. step-free) are kept to lifts and ramps. Buildings
+  that are closed at the time of the route can't be walked through.
+*/
+
+const IndoorRouting = (() => {
+
+  const WALKING_SPEED = 1.4 // m/s
+
+  // Cost, in metres of walking, of moving one level
+  const LIFT_METERS = 20
+  const STAIRS_METERS = 15
+
+  // Waiting for a lift, once per ride; then travel per floor, and per flight
+  // of stairs
+  const LIFT_WAIT_SECONDS = 35
+  const LIFT_FLOOR_SECONDS = 10
+  const STAIRS_SECONDS = 20
+
+  // Extra cost, in metres, per penalty point (as for outdoor edges)
+  const PENALTY_METERS = 5
+
+  const STAIRS_HAZARD = { type: 'steps', severity: 'high' }
+
+  function buildGraph(geojson) {
+    const nodes = new Map()
+    const portals = []
+
+    function node(coord, level, building) {
+      const key = `${coord[0].toFixed(7)},${coord[1].toFixed(7)}@${level}`
+      if (!nodes.has(key)) nodes.set(key, { key, coord, level, building: null, edges: [] })
+      const n = nodes.get(key)
+      if (building && !n.building) n.building = building
+      return n
+    }
+
+    function connect(a, b, properties) {
+      const length = AccessibilityScorer.haversine(a.coord, b.coord)
+      const edge = { a, b, length, properties }
+      a.edges.push(edge)
+      b.edges.push(edge)
+    }
+
+    for (const feature of geojson.features || []) {
+      const props = feature.properties || {}
+      const geom = feature.geometry
+      if (!geom) continue
+
+      if (geom.type === 'LineString') {
+        const coords = geom.coordinates
+        // Links belong to no building; their ends take the buildings' names
+        const building = props.kind === 'link' ? null : props.building
+        const levelAt = (i) => (props.levels
+          ? (i === coords.length - 1 ? props.levels[1] : props.levels[0])
+          : props.level || 0)
+
+        for (let i = 0; i < coords.length - 1; i++) {
+          connect(node(coords[i], levelAt(i), building), node(coords[i + 1], levelAt(i + 1), building), props)
+        }
+      } else if (geom.type === 'Point' && (props.kind === 'lift' || props.kind === 'stairs')) {
+        const levels = [...(props.levels || [])].sort((a, b) => a - b)
+        for (let i = 0; i < levels.length - 1; i++) {
+          connect(node(geom.coordinates, levels[i], props.building), node(geom.coordinates, levels[i + 1], props.building), props)
+        }
+      } else if (geom.type === 'Point' && props.kind === 'entrance') {
+        portals.push({
+          node: node(geom.coordinates, props.level || 0, props.building),
+          entrance: props.entrance,
+          building: props.building
+        })
+      }
+    }
+
+    return { nodes: [...nodes.values()], portals }
+  }
+
+  // Levels a building's network reaches, lowest first
+  function levelsOf(graph, buildingId) {
+    const levels = new Set(graph.nodes.filter(n => n.building === buildingId).map(n => n.level))
+    return [...levels].sort((a, b) => a - b)
+  }
+
+  // Cost of an indoor edge for a profile, or Infinity if it must not be used.
+  // `closed` holds the ids of lifts that are out of service, `closedBuildings`
+  // the ids of buildings that are shut.
+  function edgeCost(edge, profile, closed = new Map(), closedBuildings = new Set()) {
+    const kind = edge.properties.kind
+    const levels = Math.abs(edge.a.level - edge.b.level)
+
+    if (closed.has(edge.properties.id)) return Infinity
+    if (closedBuildings.has(edge.a.building) || closedBuildings.has(edge.b.building)) return Infinity
+    if (kind === 'lift') return levels * LIFT_METERS
+    if (kind === 'stairs') {
+      if (profile && AccessibilityScorer.isImpassable(STAIRS_HAZARD, profile)) return Infinity
+      const penalty = profile ? AccessibilityScorer.hazardPenalty(STAIRS_HAZARD, profile) : 0
+      return levels * STAIRS_METERS + penalty * PENALTY_METERS
+    }
+    return edge.length
+  }
+
+  // `previous` is the edge walked before this one: a lift edge that carries
+  // on from the same lift is the same ride, so there's no second wait
+  function edgeSeconds(edge, previous = null) {
+    const kind = edge.properties.kind
+    const levels = Math.abs(edge.a.level - edge.b.level)
+    if (kind === 'lift') {
+      const riding = previous && previous.properties === edge.properties
+      return (riding ? 0 : LIFT_WAIT_SECONDS) + levels * LIFT_FLOOR_SECONDS
+    }
+    if (kind === 'stairs') return levels * STAIRS_SECONDS
+    return edge.length / WALKING_SPEED
+  }
+
+  function levelLabel(level) {
+    return level === 0 ? 'the ground floor' : `level ${level}`
+  }
+
+  // Turn an indoor path into instructions, e.g. "Take the lift to level 2"
+  function describePath(path, nameOf) {
+    const steps = []
+    let i = 1
+
+    while (i < path.length) {
+      const kind = path[i].edge.properties.kind
+
+      if (kind === 'lift' || kind === 'stairs') {
+        // One instruction for a ride through several levels
+        let j = i
+        while (j + 1 < path.length && path[j + 1].edge.properties.kind === kind) j++
+        steps.push(`Take the ${kind === 'lift' ? 'lift' : 'stairs'} to ${levelLabel(path[j].node.level)}`)
+        i = j + 1
+        continue
+      }
+
+      // Walk along corridors, links and ramps until the next level change
+      let j = i
+      let meters = 0
+      let ramp = null
+      while (j < path.length && !['lift', 'stairs'].includes(path[j].edge.properties.kind)) {
+        meters += path[j].edge.length
+        if (path[j].edge.properties.kind === 'ramp') ramp = path[j].node.level
+        j++
+      }
+
+      const from = path[i - 1].node.building
+      const to = path[j - 1].node.building
+      const distance = `${Math.round(meters)} m`
+      if (ramp !== null) {
+        steps.push(`Take the ramp to ${levelLabel(ramp)} (${distance})`)
+      } else if (to && to !== from) {
+        steps.push(`Follow the corridor to ${nameOf(to)} (${distance})`)
+      } else if (meters >= 1) {
+        steps.push(`Follow the corridor (${distance})`)
+      }
+      i = j
+    }
+
+    return steps
+  }
+
+  /**
+   * Plan the indoor end of a route into `building`.
+   *
+   * @param {Object} graph - from buildGraph()
+   * @param {Object} options
+   * @param {Object} options.building  - destination, from Entrances.fromGeoJSON()
+   * @param {Array}  options.buildings - every building with entrances
+   * @param {Object} options.latlng    - destination point
+   * @param {number} options.level     - destination level (0 = ground)
+   * @param {Object} options.profile   - entry from ACCESSIBILITY_PROFILES
+   * @param {Object} options.from      - route start; nearer entrances are better
+   * @param {Map}    options.closed    - out-of-service lifts, id -> name
+   * @param {number} options.time      - when the building is reached (ms);
+   *                                     closed buildings and entrances are
+   *                                     not used
+   *
+   * @returns {Object|null} null when the building has no network on that
+   *   level. Otherwise { building, entrance, latlng, explanation, indoor }
+   *   like Entrances.choose(), where indoor is { coordinates, distance,
+   *   duration, levelSeconds, steps, outOfService } (levelSeconds: the part
+   *   of the duration spent in lifts and on stairs) (entrance, latlng and indoor are null
+   *   if no entrance gets the profile there). If the only way in uses a
+   *   closed lift, that way is returned with the lift ids in outOfService.
+   */
+  function plan(graph, { building, buildings, latlng, level = 0, profile, from, closed = new Map(), time }) {
+    const point = [latlng.lng, latlng.lat]
+    const candidates = graph.nodes.filter(n => n.building === building.id && n.level === level)
+    if (candidates.length === 0) return null
+
+    const shut = Entrances.closedReason(building.opening_hours, time)
+    if (shut) {
+      return { building, entrance: null, latlng: null, indoor: null, explanation: `${building.name} is ${shut}` }
+    }
+    const closedBuildings = new Set(buildings
+      .filter(b => Entrances.closedReason(b.opening_hours, time))
+      .map(b => b.id))
+
+    const target = candidates.reduce((best, n) =>
+      (AccessibilityScorer.haversine(point, n.coord) < AccessibilityScorer.haversine(point, best.coord) ? n : best))
+
+    const byId = new Map(buildings.map(b => [b.id, b]))
+    const nameOf = (id) => byId.get(id)?.name || id
+    const entrances = new Map(buildings.flatMap(b => b.entrances.map(e => [e.id, e])))
+
+    const rankPortals = (closedLifts) => graph.portals
+      .filter(portal => entrances.has(portal.entrance))
+      .map(portal => {
+        const entrance = entrances.get(portal.entrance)
+        const label = portal.building === building.id
+          ? entrance.name
+          : `${entrance.name} of ${nameOf(portal.building)}`
+        const portalBuilding = byId.get(portal.building)
+        const { usable, reason } = Entrances.assess(entrance, profile, { time, building: portalBuilding })
+        if (!usable) return { portal, entrance, label, usable, reason }
+
+        const cost = (edge) => edgeCost(edge, profile, closedLifts, closedBuildings)
+        const path = RoutingProviders.aStar(portal.node, target, cost)
+        if (!path) {
+          const outage = closedLifts.size > 0 ? ` while ${[...closedLifts.values()].join(', ')} out of service` : ''
+          return { portal, entrance, label, usable: false, reason: `no way to ${levelLabel(level)} from there${outage}` }
+        }
+
+        const edges = path.slice(1).map(step => step.edge)
+        const indoorCost = edges.reduce((sum, e) => sum + cost(e), 0)
+        const outdoor = from ? AccessibilityScorer.haversine([from.lng, from.lat], portal.node.coord) : 0
+
+        return {
+          portal,
+          entrance,
+          label,
+          usable,
+          reason,
+          path,
+          cost: outdoor + indoorCost + (entrance.automatic_door ? 0 : Entrances.MANUAL_DOOR_METERS)
+        }
+      })
+      .sort((a, b) => (b.usable - a.usable) || (a.cost - b.cost))
+
+    let options = rankPortals(closed)
+    let outOfService = []
+
+    // Nothing works with the lifts that are down: show the way that needs
+    // them, flagged, rather than no way at all
+    if (closed.size > 0 && !options[0]?.usable) {
+      const fallback = rankPortals(new Map())
+      if (fallback[0]?.usable) {
+        outOfService = [...new Set(fallback[0].path.slice(1)
+          .map(step => step.edge.properties.id)
+          .filter(id => closed.has(id)))]
+        options = fallback
+      }
+    }
+
+    const best = options[0]
+    if (!best || !best.usable) {
+      return {
+        building,
+        entrance: null,
+        latlng: null,
+        indoor: null,
+        explanation: `No way into ${building.name} suits the ${profile.label} profile`
+          + (options.length ? ` (${options.map(o => `${o.label}: ${o.reason}`).join('; ')})` : '')
+      }
+    }
+
+    const edges = best.path.slice(1).map(step => step.edge)
+    const seconds = edges.map((e, i) => edgeSeconds(e, edges[i - 1]))
+    const skipped = options.slice(1).map(o => `${o.label} (${o.usable ? 'longer way' : o.reason})`)
+    const outageNote = outOfService.length
+      ? `. Needs ${outOfService.map(id => closed.get(id)).join(', ')}, currently out of service`
+      : ''
+
+    return {
+      building,
+      entrance: best.entrance,
+      latlng: [best.portal.node.coord[1], best.portal.node.coord[0]],
+      explanation: `Routing to ${building.name}, ${levelLabel(level)}: in by the ${best.label} (${best.reason})`
+        + outageNote
+        + (skipped.length ? `. Not used: ${skipped.join(', ')}` : ''),
+      indoor: {
+        coordinates: best.path.map(step => step.node.coord),
+        distance: edges.reduce((sum, e) => sum + e.length, 0),
+        duration: seconds.reduce((sum, s) => sum + s, 0),
+        levelSeconds: edges
+          .reduce((sum, e, i) => sum + (['lift', 'stairs'].includes(e.properties.kind) ? seconds[i] : 0), 0),
+        steps: [
+          `Enter ${nameOf(best.portal.building)} by the ${best.entrance.name}`,
+          ...describePath(best.path, nameOf),
+          `Arrive at ${building.name}, ${levelLabel(level)}`
+        ],
+        outOfService
+      }
+    }
+  }
+
+  // Public API
+  return { buildGraph, levelsOf, edgeCost, describePath, plan, levelLabel }
+})()
+
+if (typeof window !== 'undefined') {
+  window.IndoorRouting = IndoorRouting
+}
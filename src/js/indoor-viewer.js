@@ -0,0 +1,209 @@
+'use strict'
+
+/*
+  Indoor Floor-Plan Viewer
+  ------------------------
+  Shows a building's floor plans (buildings.geojson `properties.levels`) as
+  image overlays on the map, one level at a time, with a level switcher and
+  markers for lifts, accessible toilets and entrances on that level.
+
+  Plans are placed using the building's `plan_bbox` ([west, south, east,
+  north], the extent of the whole image); a level can override it with its
+  own `bbox`. Markers on a plan give their position as `at: [x, y]`,
+  fractions of the image width/height from the top-left corner, so they
+  stay on the drawing if the bbox is adjusted. Building entrances (with a
+  `level`, default 0) are shown on their level.
+*/
+
+const IndoorViewer = (() => {
+
+  const FEATURE_ICONS = {
+    lift:     { icon: '🛗', label: 'Lift' },
+    toilet:   { icon: '♿', label: 'Accessible toilet' },
+    entrance: { icon: '🚪', label: 'Entrance' }
+  }
+
+  // Leaflet bounds ([[south, west], [north, east]]) for a level's plan
+  function levelBounds(building, level) {
+    const bbox = level.bbox || building.plan_bbox
+    if (!bbox) return null
+    const [west, south, east, north] = bbox
+    return [[south, west], [north, east]]
+  }
+
+  // Image position (fractions from the top-left) to [lat, lng]
+  function planToLatLng(bounds, [x, y]) {
+    const [[south, west], [north, east]] = bounds
+    return [north - y * (north - south), west + x * (east - west)]
+  }
+
+  // Levels of a building with a plan image, lowest first
+  function planLevels(properties) {
+    return (properties.levels || [])
+      .filter(l => l.image)
+      .sort((a, b) => a.level - b.level)
+  }
+
+  function featureIcon(type, extraClass = '') {
+    const info = FEATURE_ICONS[type] || { icon: '•' }
+    return L.divIcon({
+      className: `indoor-marker ${extraClass}`.trim(),
+      html: info.icon,
+      iconSize: [24, 24],
+      iconAnchor: [12, 12]
+    })
+  }
+
+  /**
+   * @param {Object} options
+   * @param {L.Map} options.map
+   * @param {Function} options.onStatus - (message, type) for load problems
+   *
+   * @returns {Object} { open(feature, level?), close(), setLevel(level),
+   *                     isOpen(), currentBuilding(), currentLevel() }
+   */
+  function create({ map, onStatus = () => {} }) {
+    const planLayer = L.layerGroup()
+    const markerLayer = L.layerGroup()
+    let building = null
+    let levels = []
+    let current = null
+
+    const control = L.control({ position: 'topleft' })
+    let controlEl = null
+
+    control.onAdd = () => {
+      controlEl = L.DomUtil.create('div', 'indoor-control')
+      L.DomEvent.disableClickPropagation(controlEl)
+      L.DomEvent.disableScrollPropagation(controlEl)
+      return controlEl
+    }
+
+    function renderControl() {
+      if (!controlEl) return
+      controlEl.innerHTML = ''
+
+      const title = document.createElement('div')
+      title.className = 'indoor-title'
+      title.textContent = building.name || 'Building'
+      controlEl.appendChild(title)
+
+      const group = document.createElement('div')
+      group.className = 'indoor-levels'
+      group.setAttribute('role', 'group')
+      group.setAttribute('aria-label', 'Floor')
+
+      // Highest level at the top, like a lift panel
+      for (const level of [...levels].reverse()) {
+        const btn = document.createElement('button')
+        btn.type = 'button'
+        btn.className = level === current ? 'indoor-level selected' : 'indoor-level'
+        btn.textContent = level.name || `Level ${level.level}`
+        btn.setAttribute('aria-pressed', String(level === current))
+        btn.addEventListener('click', () => setLevel(level.level))
+        group.appendChild(btn)
+      }
+      controlEl.appendChild(group)
+
+      const closeBtn = document.createElement('button')
+      closeBtn.type = 'button'
+      closeBtn.className = 'btn-secondary indoor-close'
+      closeBtn.textContent = 'Close floor plans'
+      closeBtn.addEventListener('click', close)
+      controlEl.appendChild(closeBtn)
+    }
+
+    function showLevel(level) {
+      planLayer.clearLayers()
+      markerLayer.clearLayers()
+
+      const bounds = levelBounds(building, level)
+      if (!bounds) {
+        onStatus(`No map position recorded for the ${building.name} plans`, 'error')
+        return
+      }
+
+      L.imageOverlay(level.image, bounds, {
+        opacity: 0.9,
+        alt: `${building.name} ${level.name || `level ${level.level}`} floor plan`
+      })
+        .on('error', () => onStatus(`Could not load floor plan ${level.image}`, 'error'))
+        .addTo(planLayer)
+
+      for (const feature of level.features || []) {
+        const label = feature.name || FEATURE_ICONS[feature.type]?.label || feature.type
+        L.marker(planToLatLng(bounds, feature.at), { icon: featureIcon(feature.type), keyboard: true, title: label })
+          .bindPopup(`<strong>${HtmlText.escape(label)}</strong>${feature.note ? `<br/><small>${HtmlText.escape(feature.note)}</small>` : ''}`)
+          .addTo(markerLayer)
+      }
+
+      for (const entrance of building.entrances || []) {
+        if ((entrance.level || 0) !== level.level) continue
+        const [lng, lat] = entrance.location
+        L.marker([lat, lng], {
+          icon: featureIcon('entrance', entrance.step_free ? 'step-free' : 'has-steps'),
+          title: entrance.name
+        })
+          .bindPopup(`<strong>${HtmlText.escape(entrance.name)}</strong><br/>`
+            + (entrance.step_free ? 'Step-free' : 'Steps')
+            + (entrance.note ? `<br/><small>${HtmlText.escape(entrance.note)}</small>` : ''))
+          .addTo(markerLayer)
+      }
+    }
+
+    function setLevel(levelNumber) {
+      const level = levels.find(l => l.level === levelNumber)
+      if (!level) return
+      current = level
+      showLevel(level)
+      renderControl()
+    }
+
+    // Open a buildings.geojson feature's plans, at `levelNumber` or the lowest
+    function open(feature, levelNumber) {
+      const properties = feature.properties || {}
+      levels = planLevels(properties)
+      if (levels.length === 0) {
+        onStatus(`No floor plans for ${properties.name || 'this building'}`, 'error')
+        return
+      }
+
+      building = properties
+      planLayer.addTo(map)
+      markerLayer.addTo(map)
+      control.addTo(map)
+
+      const start = levels.find(l => l.level === levelNumber) || levels[0]
+      setLevel(start.level)
+
+      const bounds = levelBounds(building, start)
+      if (bounds) map.fitBounds(bounds, { maxZoom: 20 })
+    }
+
+    function close() {
+      planLayer.clearLayers()
+      markerLayer.clearLayers()
+      planLayer.remove()
+      markerLayer.remove()
+      control.remove()
+      building = null
+      current = null
+    }
+
+    return {
+      open,
+      close,
+      setLevel,
+      isOpen: () => building !== null,
+      currentBuilding: () => (building ? building.id : null),
+      currentLevel: () => (current ? current.level : null)
+    }
+  }
+
+  // Public API
+  return { create, planToLatLng, levelBounds, planLevels, FEATURE_ICONS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.IndoorViewer = IndoorViewer
+}
@@ -2,11 +2,53 @@
 
 /*
   UCC Accessibility Map (Leaflet)
-  - Start/End point selection by clicking map
-  - Route via GraphHopper (foot profile)
-  - Accessibility scoring layer (post-processes route against known hazards)
-  - Report Barrier mode: click button, then click map to drop barrier marker
-  - Optional buildings.geojson overlay from /assets/buildings.geojson
+  - Start/End point selection by clicking the map or searching for a
+    building, room, entrance, amenity or path offline (places.js), with
+    optional stops on the way; each leg is scored as well as the whole trip
+  - Route via a pluggable provider: GraphHopper (foot profile) online, or
+    the built-in campus path router offline (see routing.js)
+  - Avoids hazards impassable for the active profile, scores every candidate
+    route and shows the best one with the alternatives selectable
+  - Report Barrier mode: click button, click map, then describe the barrier
+    (type, severity, affected profiles, photo) in the report form; reports
+    are saved to / loaded from the local API (server/server.js)
+  - Optional buildings.geojson overlay from /assets/buildings.geojson; a
+    route ending in one of its buildings goes to the best entrance for the
+    profile (entrances.js), and its floor plans open as map overlays with a
+    level switcher (indoor-viewer.js). Routes into a building with an
+    indoor network continue to the chosen floor (indoor-routing.js)
+  - OSM buildings (UCC_area_polygons.geojson) coloured by wheelchair access,
+    usable as route start/end from their popups (building-layer.js)
+  - Facility status feed (/api/facilities): lifts, automatic doors, toilets
+    and ramps out of service are shown and taken into account by routing
+    and scoring (facilities.js)
+  - Profile dropdown built from the built-in profiles plus custom ones the
+    user has made, saved on this device and exported/imported as files
+    (profile-store.js, profile-builder.js)
+  - Amenities layer: benches, toilets, water and accessible parking from
+    /assets/amenities.geojson and the OSM amenity tags; profiles with a
+    maximum gap between rest points prefer, and are warned about, routes
+    that go too long without one (amenities.js)
+  - "Depart at" time: building opening hours (opening-hours.js), scheduled
+    closures and facility outages are checked for that time instead of now
+  - Live navigation along the selected route with the device's position
+    (or a simulated one), turn and hazard prompts, optionally spoken, and
+    automatic rerouting off the route (navigation.js)
+  - Works offline as an installable app: the service worker (public/sw.js,
+    offline.js) caches the app, its data and the campus tiles, reports made
+    offline are queued until the connection is back (report-queue.js), and
+    routes fall back to the campus path router
+  - Keyboard and screen reader use: Enter on the focused map sets a point
+    at its centre, lists move with the arrow keys, status and routes are
+    announced, a text-only route summary (route-summary.js), high-contrast
+    and large-text themes (display-settings.js) and ?a11y self-checks
+    (a11y-check.js)
+  - Curated hazards from /assets/hazards.geojson; open with ?admin to edit
+    them on the map (hazard-editor.js) and export the result, or to review
+    reported barriers (moderation.js)
+  - The route shown is kept in the URL, so a link opens the same trip
+    (route-share.js), and it exports as GPX, GeoJSON or a printed report
+    with a map snapshot (route-export.js)
 */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -24,44 +66,156 @@ document.addEventListener('DOMContentLoaded', () => {
   const map = L.map('map', { zoomControl: false }).setView(UCC_CENTER, 17)
   L.control.zoom({ position: 'topright' }).addTo(map)
 
+  // Zoom past the tiles' native 19 so indoor floor plans can be read
   L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    maxZoom: 19,
+    maxNativeZoom: 19,
+    maxZoom: 21,
+    // CORS requests, so the service worker can cache real responses rather
+    // than opaque ones
+    crossOrigin: true,
     attribution: '© OpenStreetMap contributors'
   }).addTo(map)
 
   // State: routing 
   let startPoint = null
   let endPoint = null
+  let startLabel = null
+  let endLabel = null
   let startMarker = null
   let endMarker = null
+  // Stops on the way from start to end, in order: [{ latlng, label, marker }]
+  let stops = []
+  const MAX_STOPS = 5
+
+  // Offline place search (places.js), rebuilt as each source loads
+  const placeSources = { buildings: null, osmEntries: [], amenities: [], paths: null }
+  let placeIndex = Places.createIndex()
   let routeLayer = null
+  let routeCandidates = []
+  let selectedRouteIndex = 0
+  let routeColouring = 'accessibility'
+  let segmentLayers = []
+  let routeHighlight = null
+  let routeDirections = []
+  let currentStep = -1
+  let stepLayer = null
+  // Live navigation (navigation.js) while it is running, else null
+  let navigation = null
   let hazardMarkersLayer = L.layerGroup().addTo(map)
 
+  // State: buildings with entrance data (buildings.geojson). A route that
+  // ends inside one of them goes to its best entrance for the profile.
+  let entranceBuildings = []
+  let destinationEntrance = null
+
+  // State: indoor network (corridors, lifts, stairs) used to finish routes
+  // inside buildings, to the level shown in the floor-plan viewer
+  let indoorGraph = null
+
+  // State: facility status (lifts, automatic doors, toilets, ramps)
+  let facilities = []
+  const facilityLayer = L.layerGroup().addTo(map)
+  const FACILITY_REFRESH_MS = 2 * 60 * 1000
+
+  // State: amenities (benches, toilets, water, parking)
+  let amenities = []
+  const amenityLayer = L.layerGroup().addTo(map)
+
   // State: barrier reporting 
+  // Reports are persisted through the local API; if it isn't running they
+  // are kept in memory for this session only.
   let reportingMode = false
   const barriers = []
   const barrierLayer = L.layerGroup().addTo(map)
+  const barrierMarkers = new Map()
+  const barrierApi = BarrierApi.create()
+  const reportDialog = document.getElementById('reportDialog')
+  const reportForm = reportDialog
+    ? ReportForm.create({
+      dialog: reportDialog,
+      hazardTypes: window.HAZARD_TYPES,
+      severities: window.HAZARD_SEVERITIES,
+      profiles: window.ACCESSIBILITY_PROFILES
+    })
+    : null
 
-  // State: active profile 
+  // State: curated hazards. Loaded from /assets/hazards.geojson, falling
+  // back to the ACCESSIBILITY_HAZARDS constant; admin mode edits this list.
+  let hazards = window.ACCESSIBILITY_HAZARDS || []
+
+  // State: active profile and routing provider. Custom profiles are saved
+  // on this device and listed after the built-in ones.
+  let customProfiles = ProfileStore.loadCustom()
+  let profiles = ProfileStore.merge(window.ACCESSIBILITY_PROFILES, customProfiles)
   let activeProfile = 'step-free'
+  let activeRouter = 'graphhopper'
 
   // UI elements
   const startCoordsEl = document.getElementById('startCoords')
   const endCoordsEl = document.getElementById('endCoords')
   const startPointEl = document.getElementById('startPoint')
   const endPointEl = document.getElementById('endPoint')
+  const stopsListEl = document.getElementById('stopsList')
 
   const reportBtn = document.getElementById('reportBtn')
   const routeBtn = document.getElementById('routeBtn')
   const clearBtn = document.getElementById('clearBtn')
   const profileSelect = document.getElementById('profileSelect')
+  const routerSelect = document.getElementById('routerSelect')
+  const departAtEl = document.getElementById('departAt')
+  const showAmenitiesEl = document.getElementById('showAmenities')
+  const newProfileBtn = document.getElementById('newProfileBtn')
+  const editProfileBtn = document.getElementById('editProfileBtn')
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn')
+  const exportProfileBtn = document.getElementById('exportProfileBtn')
+  const importProfileInput = document.getElementById('importProfileInput')
+  const profileDialog = document.getElementById('profileDialog')
+  const placeSearchEl = document.getElementById('placeSearch')
+  const destinationLevelRow = document.getElementById('destinationLevelRow')
+  const destinationLevelEl = document.getElementById('destinationLevel')
+  const placeResultsEl = document.getElementById('placeResults')
 
   const statusEl = document.getElementById('statusMessage')
+  const routeAnnouncerEl = document.getElementById('routeAnnouncer')
+  const navStartBtn = document.getElementById('navStartBtn')
+  const navSpeakEl = document.getElementById('navSpeak')
+  const navSimulateEl = document.getElementById('navSimulate')
+  const navPanel = document.getElementById('navPanel')
+  const navInstructionEl = document.getElementById('navInstruction')
+  const navProgressEl = document.getElementById('navProgress')
+  const connectionStatusEl = document.getElementById('connectionStatus')
+  const saveOfflineBtn = document.getElementById('saveOfflineBtn')
+  const navStopBtn = document.getElementById('navStopBtn')
+  const routeSummaryBtn = document.getElementById('routeSummaryBtn')
+  const copyLinkBtn = document.getElementById('copyLinkBtn')
+  const printReportBtn = document.getElementById('printReportBtn')
+  const exportGpxBtn = document.getElementById('exportGpxBtn')
+  const exportGeoJsonBtn = document.getElementById('exportGeoJsonBtn')
+  const printReportEl = document.getElementById('printReport')
+  const summaryDialog = document.getElementById('summaryDialog')
+  const highContrastEl = document.getElementById('highContrast')
+  const largeTextEl = document.getElementById('largeText')
   const routeInfoEl = document.getElementById('routeInfo')
   const routeDistanceEl = document.getElementById('routeDistance')
   const routeTimeEl = document.getElementById('routeTime')
+  const routeTimeBreakdownEl = document.getElementById('routeTimeBreakdown')
+  const routeTimeItemsEl = document.getElementById('routeTimeItems')
+  const routeTimeTypicalEl = document.getElementById('routeTimeTypical')
   const routeAccessibilityEl = document.getElementById('routeAccessibility')
+  const routeGradientRow = document.getElementById('routeGradientRow')
+  const routeGradientEl = document.getElementById('routeGradient')
+  const gradientLegendEl = document.getElementById('gradientLegend')
+  const routeColouringRow = document.getElementById('routeColouringRow')
+  const routeColouringEl = document.getElementById('routeColouring')
   const routeWarningsEl = document.getElementById('routeWarnings')
+  const routeAlternativesEl = document.getElementById('routeAlternatives')
+  const routeLegsEl = document.getElementById('routeLegs')
+  const routeEntranceEl = document.getElementById('routeEntrance')
+  const routeStepsEl = document.getElementById('routeSteps')
+  const routeDirectionsNav = document.getElementById('routeDirectionsNav')
+  const stepPrevBtn = document.getElementById('stepPrev')
+  const stepNextBtn = document.getElementById('stepNext')
+  const stepPositionEl = document.getElementById('stepPosition')
 
   // Icons 
   const startIcon = L.divIcon({
@@ -76,6 +230,15 @@ document.addEventListener('DOMContentLoaded', () => {
     iconAnchor: [8, 8]
   })
 
+  function stopIcon(number) {
+    return L.divIcon({
+      className: 'stop-marker',
+      html: String(number),
+      iconSize: [18, 18],
+      iconAnchor: [9, 9]
+    })
+  }
+
   // Helpers
   function formatDistance(meters) {
     if (meters < 1000) return `${Math.round(meters)} m`
@@ -83,6 +246,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)} s`
     const mins = Math.round(seconds / 60)
     if (mins < 60) return `${mins} min`
     const hours = Math.floor(mins / 60)
@@ -90,8 +254,50 @@ document.addEventListener('DOMContentLoaded', () => {
     return `${hours}h ${remaining}m`
   }
 
+  // Up/Down (and Home/End) move focus between the items of a list, so a
+  // long list doesn't take a Tab press per item
+  function arrowKeyNavigation(container, selector) {
+    if (!container) return
+    container.addEventListener('keydown', (e) => {
+      if (!['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key)) return
+      const items = [...container.querySelectorAll(selector)]
+      const current = items.indexOf(document.activeElement)
+      if (current === -1) return
+
+      e.preventDefault()
+      const next = e.key === 'Home' ? 0
+        : e.key === 'End' ? items.length - 1
+          : Math.max(0, Math.min(items.length - 1, current + (e.key === 'ArrowDown' ? 1 : -1)))
+      items[next].focus()
+    })
+  }
+
+  // The "depart at" time, or now if none is set
+  function departureTime() {
+    const value = departAtEl && departAtEl.value
+    return value ? new Date(value).getTime() : Date.now()
+  }
+
+  // "Gradient 9%, Width 90 cm" for a measured hazard
+  function measuredText(h) {
+    return Object.entries(window.HAZARD_MEASUREMENTS || {})
+      .filter(([key]) => h[key] !== undefined && h[key] !== null)
+      .map(([key, m]) => `${m.label} ${h[key]}${m.unit === '%' ? '%' : m.unit ? ` ${m.unit}` : ''}`)
+      .join(', ')
+  }
+
+  function formatWindow(h) {
+    const parts = []
+    if (h.from) parts.push(`from ${new Date(h.from).toLocaleString()}`)
+    if (h.until) parts.push(`until ${new Date(h.until).toLocaleString()}`)
+    if (h.hours) parts.push(`during ${h.hours}`)
+    return parts.join(', ')
+  }
+
+  // Errors interrupt a screen reader; progress waits its turn
   function showStatus(message, type = 'loading') {
     if (!statusEl) return
+    statusEl.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite')
     statusEl.textContent = message
     statusEl.className = `status-message ${type}`
   }
@@ -102,62 +308,185 @@ document.addEventListener('DOMContentLoaded', () => {
     statusEl.className = 'status-message'
   }
 
+  // For the screen reader only, e.g. when a route is shown
+  function announce(message) {
+    if (!routeAnnouncerEl) return
+    routeAnnouncerEl.textContent = ''
+    // A fresh text node, so the same message twice is still read out
+    setTimeout(() => { routeAnnouncerEl.textContent = message }, 50)
+  }
+
+  const LEVEL_LABELS = { high: 'High', medium: 'Medium', low: 'Low' }
+  const LEVEL_SYMBOLS = { high: '✓', medium: '⚠', low: '✗' }
+
+  // Travel time at the profile's own pace, with the extras itemised;
+  // the router's duration is for an unhindered walker
+  function routeEta(distance, duration, scoring) {
+    const profile = profiles[activeProfile]
+    const indoor = destinationEntrance && destinationEntrance.indoor
+    return profile
+      ? AccessibilityScorer.estimateTime(distance, scoring, profile,
+        indoor ? [{ label: 'Lifts and stairs indoors', seconds: indoor.levelSeconds }] : [])
+      : { seconds: duration, breakdown: [] }
+  }
+
   function showRouteInfo(distance, duration, scoring) {
     if (!routeInfoEl) return
     if (routeDistanceEl) routeDistanceEl.textContent = formatDistance(distance)
-    if (routeTimeEl) routeTimeEl.textContent = formatDuration(duration)
+
+    const eta = routeEta(distance, duration, scoring)
+
+    if (routeTimeEl) routeTimeEl.textContent = formatDuration(eta.seconds)
+    if (routeTimeItemsEl) {
+      routeTimeItemsEl.innerHTML = ''
+      eta.breakdown.forEach((item, i) => {
+        const li = document.createElement('li')
+        li.textContent = `${i === 0 ? '' : '+'}${formatDuration(item.seconds)}: ${item.label}`
+        routeTimeItemsEl.appendChild(li)
+      })
+    }
+    if (routeTimeTypicalEl) routeTimeTypicalEl.textContent = `Typical walking time: ${formatDuration(duration)}`
+    if (routeTimeBreakdownEl) routeTimeBreakdownEl.style.display = eta.breakdown.length > 0 ? 'block' : 'none'
 
     // Accessibility score display
     if (routeAccessibilityEl && scoring) {
-      const levelLabels = { high: 'High ✓', medium: 'Medium ⚠', low: 'Low ✗' }
-      routeAccessibilityEl.textContent = `${levelLabels[scoring.level] || 'Unknown'} (${scoring.score}/100)`
-      routeAccessibilityEl.style.color = scoring.color
+      // The route colour is a swatch beside the text: as text colour it is
+      // too faint to read
+      routeAccessibilityEl.innerHTML = `<span class="level-swatch" style="background:${scoring.color}" aria-hidden="true"></span>`
+        + `${LEVEL_LABELS[scoring.level] || 'Unknown'}`
+        + (LEVEL_SYMBOLS[scoring.level] ? ` <span aria-hidden="true">${LEVEL_SYMBOLS[scoring.level]}</span>` : '')
+        + ` (${scoring.score}/100)`
+    }
+
+    // Steepest section and total climb, when the route has heights
+    const elevation = scoring && scoring.elevation
+    if (routeGradientRow && routeGradientEl) {
+      routeGradientEl.textContent = elevation
+        ? `max ${elevation.maxGradient}% · ${elevation.climb} m up, ${elevation.descent} m down`
+        : ''
+      routeGradientRow.style.display = elevation ? 'flex' : 'none'
+    }
+    if (routeColouringRow) routeColouringRow.style.display = elevation ? 'flex' : 'none'
+    if (gradientLegendEl) {
+      const byGradient = elevation && routeColouring === 'gradient'
+      gradientLegendEl.innerHTML = byGradient
+        ? AccessibilityScorer.GRADIENT_BANDS.map(b => `<span style="--band-color:${b.color}">${b.label}</span>`).join('')
+        : ''
+      gradientLegendEl.style.display = byGradient ? 'flex' : 'none'
+    }
+
+    // Which entrance the route ends at, and why
+    if (routeEntranceEl) {
+      routeEntranceEl.textContent = destinationEntrance ? destinationEntrance.explanation : ''
+      routeEntranceEl.classList.toggle('no-entrance', !!destinationEntrance && !destinationEntrance.entrance)
+      routeEntranceEl.style.display = destinationEntrance ? 'block' : 'none'
     }
 
-    // Warnings list
+    // Warnings list; each one shows where it is on the route when clicked.
+    // The coloured icons are decoration: the severity is also in words.
     if (routeWarningsEl && scoring && scoring.warnings.length > 0) {
-      const warningItems = scoring.warnings.map(w => {
+      const warningItems = scoring.warnings.map((w, i) => {
         const icon = w.severity === 'high' ? '🔴' : w.severity === 'medium' ? '🟠' : '🟡'
-        return `<div class="warning-item">
-          <span class="warning-icon">${icon}</span>
+        return `<div class="warning-item severity-${w.severity}" role="button" tabindex="0" data-index="${i}" data-hazard-id="${HtmlText.escape(w.id)}">
+          <span class="warning-icon" aria-hidden="true">${icon}</span>
           <div>
-            <strong>${w.text}</strong>
-            ${w.note ? `<br/><small>${w.note}</small>` : ''}
+            <span class="warning-severity">${HtmlText.escape(w.severity)} severity:</span>
+            <strong>${HtmlText.escape(w.text)}</strong>${w.impassable ? ' <em>(impassable)</em>' : ''}
+            ${w.measurements && w.measurements.length ? `<br/><small class="warning-measurements">${HtmlText.escape(w.measurements.join('; '))}</small>` : ''}
+            ${w.note ? `<br/><small>${HtmlText.escape(w.note)}</small>` : ''}
           </div>
         </div>`
       }).join('')
 
       routeWarningsEl.innerHTML = warningItems
       routeWarningsEl.style.display = 'block'
+
+      for (const item of routeWarningsEl.querySelectorAll('.warning-item[data-index]')) {
+        const warning = scoring.warnings[Number(item.dataset.index)]
+        item.addEventListener('click', () => focusWarning(warning))
+        item.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault()
+            focusWarning(warning)
+          }
+        })
+      }
     } else if (routeWarningsEl) {
-      routeWarningsEl.innerHTML = '<div class="warning-item" style="color:#4caf50">No accessibility issues detected on this route ✓</div>'
+      routeWarningsEl.innerHTML = '<div class="warning-item no-warnings">No accessibility issues detected on this route <span aria-hidden="true">✓</span></div>'
       routeWarningsEl.style.display = 'block'
     }
 
     routeInfoEl.classList.add('visible')
   }
 
+  // List of candidate routes, best first; clicking one selects it
+  function showAlternatives() {
+    if (!routeAlternativesEl) return
+
+    if (routeCandidates.length < 2) {
+      routeAlternativesEl.innerHTML = ''
+      routeAlternativesEl.style.display = 'none'
+      return
+    }
+
+    routeAlternativesEl.innerHTML = ''
+    routeCandidates.forEach(({ route, scoring }, i) => {
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = i === selectedRouteIndex ? 'alternative-item selected' : 'alternative-item'
+      btn.textContent = `${i === 0 ? 'Best' : `Alt ${i}`}: ${formatDistance(route.distance)}`
+        + (scoring ? ` · ${scoring.score}/100` : '')
+      if (scoring) btn.style.borderLeftColor = scoring.color
+      btn.addEventListener('click', () => selectRoute(i))
+      routeAlternativesEl.appendChild(btn)
+    })
+    routeAlternativesEl.style.display = 'block'
+  }
+
   function hideRouteInfo() {
+    routeCandidates = []
+    selectedRouteIndex = 0
+    destinationEntrance = null
+
     if (!routeInfoEl) return
     routeInfoEl.classList.remove('visible')
     if (routeWarningsEl) {
       routeWarningsEl.innerHTML = ''
       routeWarningsEl.style.display = 'none'
     }
+    if (routeAlternativesEl) {
+      routeAlternativesEl.innerHTML = ''
+      routeAlternativesEl.style.display = 'none'
+    }
+    if (routeLegsEl) {
+      routeLegsEl.innerHTML = ''
+      routeLegsEl.style.display = 'none'
+    }
+    if (routeEntranceEl) {
+      routeEntranceEl.textContent = ''
+      routeEntranceEl.style.display = 'none'
+    }
+    if (routeGradientRow) routeGradientRow.style.display = 'none'
+    if (routeColouringRow) routeColouringRow.style.display = 'none'
+    if (gradientLegendEl) gradientLegendEl.style.display = 'none'
+    if (routeStepsEl) {
+      routeStepsEl.innerHTML = ''
+      routeStepsEl.style.display = 'none'
+    }
+    if (routeDirectionsNav) routeDirectionsNav.style.display = 'none'
+    routeDirections = []
+    currentStep = -1
+    updateShareUrl()
   }
 
-  function updateUI() {
-    if (startCoordsEl) {
-      startCoordsEl.textContent = startPoint
-        ? `${startPoint.lat.toFixed(5)}, ${startPoint.lng.toFixed(5)}`
-        : 'Click map to set'
-    }
+  function describePoint(point, label) {
+    if (!point) return 'Click map or search to set'
+    return label || `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`
+  }
 
-    if (endCoordsEl) {
-      endCoordsEl.textContent = endPoint
-        ? `${endPoint.lat.toFixed(5)}, ${endPoint.lng.toFixed(5)}`
-        : 'Click map to set'
-    }
+  function updateUI() {
+    if (startCoordsEl) startCoordsEl.textContent = describePoint(startPoint, startLabel)
+    if (endCoordsEl) endCoordsEl.textContent = describePoint(endPoint, endLabel)
 
     if (startPointEl && endPointEl) {
       if (!startPoint) {
@@ -173,20 +502,166 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     if (routeBtn) routeBtn.disabled = !(startPoint && endPoint)
+    renderStops()
+    updateDestinationLevels()
+  }
+
+  // The stops between start and end, each with buttons to move it earlier
+  // or remove it
+  function renderStops() {
+    if (!stopsListEl) return
+    stopsListEl.innerHTML = ''
+    stopsListEl.hidden = stops.length === 0
+
+    stops.forEach((stop, i) => {
+      const li = document.createElement('li')
+      li.className = 'point-display stop-item'
+
+      const name = document.createElement('span')
+      name.className = 'point-coords'
+      name.textContent = stop.label
+      li.appendChild(name)
+
+      if (i > 0) {
+        const up = document.createElement('button')
+        up.type = 'button'
+        up.className = 'btn-secondary stop-action'
+        up.textContent = '↑'
+        up.setAttribute('aria-label', `Visit ${stop.label} before ${stops[i - 1].label}`)
+        up.addEventListener('click', () => moveStop(i, i - 1))
+        li.appendChild(up)
+      }
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'btn-secondary stop-action'
+      remove.textContent = '✕'
+      remove.setAttribute('aria-label', `Remove stop ${stop.label}`)
+      remove.addEventListener('click', () => removeStop(i))
+      li.appendChild(remove)
+
+      stopsListEl.appendChild(li)
+    })
+  }
+
+  function numberStopMarkers() {
+    stops.forEach((stop, i) => stop.marker.setIcon(stopIcon(i + 1)))
+  }
+
+  function addStop(latlng, label) {
+    if (stops.length >= MAX_STOPS) {
+      showStatus(`A route can have at most ${MAX_STOPS} stops`, 'error')
+      return
+    }
+    const point = L.latLng(latlng)
+    const marker = L.marker(point, { icon: stopIcon(stops.length + 1), title: label }).addTo(map).bindPopup(HtmlText.escape(label))
+    stops.push({ latlng: point, label, marker })
+    clearRoute()
+    updateUI()
+  }
+
+  function removeStop(index) {
+    const [stop] = stops.splice(index, 1)
+    if (stop) map.removeLayer(stop.marker)
+    numberStopMarkers()
+    clearRoute()
+    updateUI()
+  }
+
+  function moveStop(from, to) {
+    const [stop] = stops.splice(from, 1)
+    stops.splice(to, 0, stop)
+    numberStopMarkers()
+    clearRoute()
+    updateUI()
+  }
+
+  function clearStops() {
+    for (const stop of stops) map.removeLayer(stop.marker)
+    stops = []
+  }
+
+  // Floor picker for an end point inside a building with an indoor network.
+  // Defaults to the level open in the floor-plan viewer.
+  function updateDestinationLevels() {
+    if (!destinationLevelRow || !destinationLevelEl) return
+
+    const building = endPoint && indoorGraph ? Entrances.buildingAt(entranceBuildings, endPoint) : null
+    const levels = building ? IndoorRouting.levelsOf(indoorGraph, building.id) : []
+
+    destinationLevelRow.hidden = levels.length < 2
+    if (levels.length < 2) return
+
+    const previous = destinationLevelEl.dataset.building === building.id ? destinationLevelEl.value : null
+    const viewerLevel = indoorViewer.currentBuilding() === building.id ? indoorViewer.currentLevel() : null
+
+    destinationLevelEl.innerHTML = ''
+    for (const level of levels) {
+      const option = document.createElement('option')
+      option.value = String(level)
+      option.textContent = level === 0 ? 'Ground floor' : `Level ${level}`
+      destinationLevelEl.appendChild(option)
+    }
+    destinationLevelEl.dataset.building = building.id
+    destinationLevelEl.value = previous ?? String(viewerLevel ?? 0)
+  }
+
+  function destinationLevel() {
+    if (!destinationLevelRow || destinationLevelRow.hidden) return 0
+    return Number(destinationLevelEl.value) || 0
+  }
+
+  function clearRoute() {
+    // Changing the trip ends navigation, unless it is navigation rerouting
+    if (navigation && !navigation.rerouting) stopNavigation()
+    if (routeLayer) map.removeLayer(routeLayer)
+    routeLayer = null
+    hideRouteInfo()
+  }
+
+  function setStartPoint(latlng, label = null) {
+    startPoint = L.latLng(latlng)
+    startLabel = label
+
+    if (startMarker) map.removeLayer(startMarker)
+    clearRoute()
+
+    startMarker = L.marker(startPoint, { icon: startIcon }).addTo(map).bindPopup(HtmlText.escape(label || 'Start point'))
+    updateUI()
+  }
+
+  function clearEndPoint() {
+    endPoint = null
+    endLabel = null
+    if (endMarker) map.removeLayer(endMarker)
+    endMarker = null
+  }
+
+  function setEndPoint(latlng, label = null) {
+    endPoint = L.latLng(latlng)
+    endLabel = label
+
+    if (endMarker) map.removeLayer(endMarker)
+    clearRoute()
+
+    endMarker = L.marker(endPoint, { icon: endIcon }).addTo(map).bindPopup(HtmlText.escape(label || 'End point'))
+    updateUI()
   }
 
   // Show known hazards on map
   function displayHazardsOnMap() {
     hazardMarkersLayer.clearLayers()
 
-    if (!window.ACCESSIBILITY_HAZARDS) return
 
     const hazardIcons = {
-      steps:   '🚧',
-      steep:   '⛰️',
-      surface: '⚠️',
-      narrow:  '↔️',
-      kerb:    '🚧'
+      steps:        '🚧',
+      steep:        '⛰️',
+      surface:      '⚠️',
+      narrow:       '↔️',
+      kerb:         '🚧',
+      construction: '🏗️',
+      lift:         '🛗',
+      facility:     '🔧'
     }
 
     const hazardColors = {
@@ -195,14 +670,29 @@ document.addEventListener('DOMContentLoaded', () => {
       low:    '#ffc107'
     }
 
-    for (const h of window.ACCESSIBILITY_HAZARDS) {
-      // Circle showing hazard zone
-      L.circle([h.lat, h.lng], {
-        radius: h.radius,
+    // Scheduled closures not in force at the departure time are faded
+    const time = departureTime()
+
+    for (const h of hazards) {
+      const active = AccessibilityScorer.isActiveAt(h, time)
+      const zoneStyle = {
         color: hazardColors[h.severity] || '#ff9800',
-        fillOpacity: 0.15,
+        fillOpacity: active ? 0.15 : 0.05,
+        opacity: active ? 1 : 0.4,
+        dashArray: active ? null : '4 4',
         weight: 1
-      }).addTo(hazardMarkersLayer)
+      }
+
+      // Zone: its own geometry if it has one, otherwise a circle
+      if (h.geometry) {
+        L.geoJSON(h.geometry, {
+          style: h.geometry.type === 'LineString'
+            ? { ...zoneStyle, weight: Math.max(4, h.radius), opacity: 0.5 }
+            : zoneStyle
+        }).addTo(hazardMarkersLayer)
+      } else {
+        L.circle([h.lat, h.lng], { ...zoneStyle, radius: h.radius }).addTo(hazardMarkersLayer)
+      }
 
       // Small marker with popup
       const icon = L.divIcon({
@@ -212,18 +702,135 @@ document.addEventListener('DOMContentLoaded', () => {
         iconAnchor: [10, 10]
       })
 
-      L.marker([h.lat, h.lng], { icon })
+      L.marker([h.lat, h.lng], { icon, opacity: active ? 1 : 0.5, title: `${h.label} (${h.severity} severity)`, alt: h.label })
         .addTo(hazardMarkersLayer)
         .bindPopup(`
-          <strong>${h.label}</strong><br/>
-          Type: ${h.type} | Severity: ${h.severity}<br/>
-          <small>${h.note}</small>
+          <strong>${HtmlText.escape(h.label)}</strong><br/>
+          Type: ${HtmlText.escape(h.type)} | Severity: ${HtmlText.escape(h.severity)}<br/>
+          ${measuredText(h) ? `<small>${HtmlText.escape(measuredText(h))}</small><br/>` : ''}
+          ${h.note ? `<small>${HtmlText.escape(h.note)}</small>` : ''}
+          ${formatWindow(h) ? `<br/><small>Scheduled ${HtmlText.escape(formatWindow(h))}${active ? '' : ' (not in force at the departure time)'}</small>` : ''}
         `)
     }
   }
 
   displayHazardsOnMap()
 
+  // The server's list includes reports confirmed by moderators; the static
+  // file is used when the app runs without the server.
+  async function loadHazards() {
+    hazards = await HazardData.load(['/api/hazards', '/assets/hazards.geojson'], hazards)
+    displayHazardsOnMap()
+  }
+
+  // A report a moderator confirmed joins the hazards in place, rather than
+  // reloading the list, so edits in admin mode that aren't exported yet
+  // are kept
+  function addConfirmedHazard(feature) {
+    const added = HazardData.fromGeoJSON({ type: 'FeatureCollection', features: [feature] })
+    if (hazardEditor.isActive()) {
+      hazardEditor.add(added)
+      return
+    }
+    const ids = new Set(added.map(h => h.id))
+    hazards = [...hazards.filter(h => !ids.has(h.id)), ...added]
+    displayHazardsOnMap()
+  }
+
+  // Admin mode (open the app with ?admin): curate hazards on the map
+  const adminPanel = document.getElementById('adminPanel')
+  const adminToggleBtn = document.getElementById('adminToggleBtn')
+  const adminToolsEl = document.getElementById('adminTools')
+  const addHazardBtn = document.getElementById('addHazardBtn')
+  const exportHazardsBtn = document.getElementById('exportHazardsBtn')
+  const importHazardsInput = document.getElementById('importHazardsInput')
+  const reviewReportsBtn = document.getElementById('reviewReportsBtn')
+  const moderationPanelEl = document.getElementById('moderationPanel')
+
+  const hazardEditor = HazardEditor.create({
+    map,
+    hazardTypes: window.HAZARD_TYPES,
+    severities: window.HAZARD_SEVERITIES,
+    measurements: window.HAZARD_MEASUREMENTS,
+    onChange: (list) => {
+      hazards = list
+    },
+    onStatus: showStatus
+  })
+
+  const adminMode = new URLSearchParams(window.location.search).has('admin')
+
+  if (adminPanel && adminMode) {
+    adminPanel.hidden = false
+
+    adminToggleBtn.addEventListener('click', () => {
+      if (hazardEditor.isActive()) {
+        hazards = hazardEditor.stop()
+        map.addLayer(hazardMarkersLayer)
+        displayHazardsOnMap()
+        adminToolsEl.hidden = true
+        adminToggleBtn.textContent = 'Edit hazards'
+      } else {
+        map.removeLayer(hazardMarkersLayer)
+        hazardEditor.start(hazards)
+        adminToolsEl.hidden = false
+        adminToggleBtn.textContent = 'Finish editing'
+      }
+      clearStatus()
+    })
+
+    addHazardBtn.addEventListener('click', () => hazardEditor.armAdd())
+
+    // Review queue for barrier reports
+    if (reviewReportsBtn && moderationPanelEl) {
+      const moderationPanel = Moderation.createPanel({
+        container: moderationPanelEl,
+        api: barrierApi,
+        map,
+        hazardTypes: window.HAZARD_TYPES,
+        onStatus: showStatus,
+        onDecision: (action, result) => {
+          loadBarriers()
+          if (action === 'confirm' && result.hazard) addConfirmedHazard(result.hazard)
+          showStatus(`Report ${action === 'merge' ? 'merged' : `${action}ed`}`, 'loading')
+        }
+      })
+
+      reviewReportsBtn.addEventListener('click', () => {
+        if (moderationPanel.isVisible()) {
+          moderationPanel.hide()
+          reviewReportsBtn.textContent = 'Review reports'
+        } else {
+          moderationPanel.show()
+          reviewReportsBtn.textContent = 'Close review'
+        }
+      })
+    }
+
+    exportHazardsBtn.addEventListener('click', () => {
+      try {
+        hazardEditor.exportGeoJSON()
+        clearStatus()
+      } catch (e) {
+        showStatus(e.message, 'error')
+      }
+    })
+
+    importHazardsInput.addEventListener('change', async () => {
+      const file = importHazardsInput.files[0]
+      if (!file) return
+      try {
+        const count = await hazardEditor.importFile(file)
+        showStatus(`Imported ${count} hazards`, 'loading')
+      } catch (e) {
+        showStatus(`Import failed: ${e.message}`, 'error')
+      }
+      importHazardsInput.value = ''
+    })
+  }
+
+  const hazardsLoaded = loadHazards()
+
   // Optional: load buildings overlay
   async function loadBuildings() {
     try {
@@ -231,6 +838,10 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!res.ok) return
       const geojson = await res.json()
 
+      entranceBuildings = Entrances.fromGeoJSON(geojson)
+      placeSources.buildings = geojson
+      refreshPlaces()
+
       L.geoJSON(geojson, {
         style: {
           color: '#0057b8',
@@ -240,203 +851,1531 @@ document.addEventListener('DOMContentLoaded', () => {
         onEachFeature: (feature, layer) => {
           const p = feature.properties || {}
 
-          const floorsHtml = (p.floors || [])
-            .map(
-              (img, i) =>
-                `<div>
-                  <strong>Floor ${i + 1}</strong><br/>
-                  <img src="${img}" style="width:200px; margin-top:4px;" />
-                </div>`
-            )
-            .join('<hr/>')
-
-          const popupHtml = `
-            <h3>${p.name || 'Building'}</h3>
-            ${p.opening_hours ? `<p><strong>Opening hours:</strong><br/>${p.opening_hours}</p>` : ''}
-            ${floorsHtml}
-          `
-
-          layer.bindPopup(popupHtml)
+          const levels = IndoorViewer.planLevels(p)
+
+          layer.bindPopup(() => {
+            const el = document.createElement('div')
+            const open = OpeningHours.isOpen(p.opening_hours)
+            el.innerHTML = `
+              <h3>${HtmlText.escape(p.name || 'Building')}</h3>
+              ${p.opening_hours ? `<p><strong>Opening hours:</strong><br/>${HtmlText.escape(p.opening_hours)}`
+                + (open === null ? '' : ` <em>(${open ? 'open' : 'closed'} now)</em>`) + '</p>' : ''}
+            `
+
+            if (levels.length > 0) {
+              const btn = document.createElement('button')
+              btn.type = 'button'
+              btn.className = 'btn-secondary'
+              btn.textContent = `View floor plans (${levels.length})`
+              btn.addEventListener('click', () => {
+                map.closePopup()
+                indoorViewer.open(feature)
+              })
+              el.appendChild(btn)
+            }
+
+            return el
+          })
         }
       }).addTo(map)
+
+      for (const building of entranceBuildings) {
+        for (const entrance of building.entrances) {
+          L.circleMarker([entrance.location[1], entrance.location[0]], {
+            radius: 6,
+            color: '#fff',
+            weight: 2,
+            fillColor: entrance.step_free ? '#2e7d32' : '#c62828',
+            fillOpacity: 1
+          })
+            .bindPopup(`
+              <strong>${HtmlText.escape(building.name)}: ${HtmlText.escape(entrance.name)}</strong><br/>
+              ${HtmlText.escape(Entrances.describe(entrance))}<br/>
+              ${entrance.opening_hours ? `<small>Open: ${HtmlText.escape(entrance.opening_hours)}</small><br/>` : ''}
+              ${entrance.note ? `<small>${HtmlText.escape(entrance.note)}</small>` : ''}
+            `)
+            .addTo(map)
+        }
+      }
     } catch (e) {
       // ignore if missing or invalid
     }
   }
 
-  loadBuildings()
+  // Indoor floor plans, opened from a building's popup
+  const indoorViewer = IndoorViewer.create({ map, onStatus: showStatus })
 
-  // Profile selector
-  if (profileSelect) {
-    profileSelect.addEventListener('change', () => {
-      activeProfile = profileSelect.value
-    })
-  }
+  const buildingsLoaded = loadBuildings()
 
-  // Barrier button
-  if (reportBtn) {
-    reportBtn.addEventListener('click', () => {
-      reportingMode = true
-      showStatus('Click the map to place a barrier', 'loading')
-      setTimeout(() => map.invalidateSize(), 100)
-    })
-  } else {
-    console.warn('reportBtn not found in HTML')
+  async function loadIndoorNetwork() {
+    try {
+      const res = await fetch('/assets/indoor_network.geojson')
+      if (!res.ok) throw new Error(`${res.status}`)
+      indoorGraph = IndoorRouting.buildGraph(await res.json())
+      updateDestinationLevels()
+    } catch (e) {
+      console.warn('Indoor network unavailable, routes end at entrances:', e.message)
+    }
   }
 
-  // Map click behaviour 
-  map.on('click', (e) => {
-    // Barrier mode takes priority
-    if (reportingMode) {
-      const marker = L.marker(e.latlng).addTo(barrierLayer)
-      marker.bindPopup('Barrier reported').openPopup()
-
-      barriers.push({
-        lat: e.latlng.lat,
-        lng: e.latlng.lng,
-        time: Date.now(),
-        description: ''
-      })
+  const indoorNetworkLoaded = loadIndoorNetwork()
 
-      reportingMode = false
-      clearStatus()
-      console.log('Barriers:', barriers)
-      return
-    }
+  // OSM buildings: wheelchair-coloured layer, also indexed for place search
+  let osmBuildings = null
 
-    // Normal routing points selection
-    const latlng = e.latlng
+  function routeFromBuilding(entry) {
+    setStartPoint([entry.center[1], entry.center[0]], entry.name)
+  }
 
+  function routeToBuilding(entry) {
     if (!startPoint) {
-      startPoint = latlng
-      if (startMarker) map.removeLayer(startMarker)
-      startMarker = L.marker(latlng, { icon: startIcon }).addTo(map).bindPopup('Start point')
-    } else if (!endPoint) {
-      endPoint = latlng
-      if (endMarker) map.removeLayer(endMarker)
-      endMarker = L.marker(latlng, { icon: endIcon }).addTo(map).bindPopup('End point')
-    } else {
-      // both set, restart
-      startPoint = latlng
-      endPoint = null
+      showStatus(`Destination set to ${entry.name}: now choose a start point`, 'loading')
+    }
+    setEndPoint([entry.center[1], entry.center[0]], entry.name)
+  }
 
-      if (startMarker) map.removeLayer(startMarker)
-      if (endMarker) map.removeLayer(endMarker)
-      if (routeLayer) map.removeLayer(routeLayer)
+  async function loadOsmBuildings() {
+    try {
+      osmBuildings = await BuildingLayer.create({
+        map,
+        onRouteFrom: routeFromBuilding,
+        onRouteTo: routeToBuilding
+      })
+      placeSources.osmEntries = osmBuildings.index.entries
+      refreshPlaces()
+    } catch (e) {
+      console.warn('OSM buildings unavailable:', e.message)
+    }
+  }
 
-      startMarker = L.marker(latlng, { icon: startIcon }).addTo(map).bindPopup('Start point')
-      endMarker = null
-      routeLayer = null
+  loadOsmBuildings()
 
-      hideRouteInfo()
+  async function loadPlacePaths() {
+    try {
+      const res = await fetch('/assets/campus_paths.geojson')
+      if (!res.ok) throw new Error(`${res.status}`)
+      placeSources.paths = await res.json()
+      refreshPlaces()
+    } catch (e) {
+      console.warn('Path names unavailable for search:', e.message)
     }
+  }
 
-    updateUI()
-    clearStatus()
-  })
-
-  // Routing (GraphHopper foot)
-  async function getRoute(start, end) {
-    const url = `https://graphhopper.com/api/1/route`
-      + `?point=${start.lat},${start.lng}`
-      + `&point=${end.lat},${end.lng}`
-      + `&profile=foot`
-      + `&points_encoded=false`
-      + `&locale=en`
-      + `&key=${GH_API_KEY}`
+  loadPlacePaths()
 
-    const response = await fetch(url)
+  function refreshPlaces() {
+    placeIndex = Places.createIndex(placeSources)
+    if (placeSearchEl && placeSearchEl.value) renderPlaceResults(placeIndex.search(placeSearchEl.value))
+  }
 
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}))
-      throw new Error(errData.message || `Routing failed: ${response.status}`)
+  // Show a search result on the map
+  function focusPlace(place) {
+    if (place.osm && osmBuildings) {
+      osmBuildings.focus(place.osm)
+      return
     }
+    map.setView(place.latlng, 19)
+    L.popup().setLatLng(place.latlng).setContent(HtmlText.escape(Places.label(place))).openOn(map)
+  }
 
-    const data = await response.json()
-
-    if (!data.paths || data.paths.length === 0) {
-      throw new Error('No route found')
+  // A room as the destination also picks its floor
+  function routeToPlace(place) {
+    if (!startPoint) {
+      showStatus(`Destination set to ${place.name}: now choose a start point`, 'loading')
+    }
+    setEndPoint(place.latlng, Places.label(place))
+    if (place.level !== undefined && destinationLevelEl && !destinationLevelRow.hidden &&
+      [...destinationLevelEl.options].some(o => o.value === String(place.level))) {
+      destinationLevelEl.value = String(place.level)
     }
+  }
 
-    const path = data.paths[0]
+  const PLACE_ACTIONS = [
+    ['From', 'Start at', (place) => setStartPoint(place.latlng, Places.label(place))],
+    ['Via', 'Add a stop at', (place) => addStop(place.latlng, Places.label(place))],
+    ['To', 'Go to', routeToPlace]
+  ]
+
+  function renderPlaceResults(results) {
+    placeResultsEl.innerHTML = ''
+
+    for (const place of results) {
+      const li = document.createElement('li')
+
+      const name = document.createElement('button')
+      name.type = 'button'
+      name.className = 'place-name'
+      name.textContent = place.name
+      if (place.context) {
+        const context = document.createElement('small')
+        context.textContent = place.context
+        name.appendChild(context)
+      }
+      name.addEventListener('click', () => focusPlace(place))
+      li.appendChild(name)
+
+      for (const [label, action, handler] of PLACE_ACTIONS) {
+        const btn = document.createElement('button')
+        btn.type = 'button'
+        btn.className = 'btn-secondary place-action'
+        btn.textContent = label
+        btn.setAttribute('aria-label', `${action} ${Places.label(place)}`)
+        btn.addEventListener('click', () => {
+          handler(place)
+          placeResultsEl.innerHTML = ''
+          placeSearchEl.value = ''
+        })
+        li.appendChild(btn)
+      }
 
-    return {
-      geometry: {
-        type: 'LineString',
-        coordinates: path.points.coordinates
-      },
-      distance: path.distance,
-      duration: path.time / 1000  // GH returns ms → seconds
+      placeResultsEl.appendChild(li)
     }
   }
 
-  async function calculateAndDisplayRoute() {
-    if (!startPoint || !endPoint) return
+  if (placeSearchEl && placeResultsEl) {
+    placeSearchEl.addEventListener('input', () => {
+      renderPlaceResults(placeIndex.search(placeSearchEl.value))
+    })
+    placeSearchEl.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return
+      placeSearchEl.value = ''
+      placeResultsEl.innerHTML = ''
+    })
+  }
 
-    showStatus('Calculating route...', 'loading')
+  // Profile selector, generated from every available profile
+  const profileBuilder = profileDialog
+    ? ProfileBuilder.create({
+      dialog: profileDialog,
+      hazardTypes: window.HAZARD_TYPES,
+      severities: window.HAZARD_SEVERITIES,
+      measurements: window.HAZARD_MEASUREMENTS,
+      timing: window.PROFILE_TIMING
+    })
+    : null
+
+  function renderProfileOptions() {
+    if (!profileSelect) return
+    profileSelect.innerHTML = ''
+
+    for (const [groupLabel, custom] of [['Built-in profiles', false], ['My profiles', true]]) {
+      const entries = Object.entries(profiles).filter(([, p]) => Boolean(p.custom) === custom)
+      if (entries.length === 0) continue
+
+      const group = document.createElement('optgroup')
+      group.label = groupLabel
+      for (const [id, profile] of entries) {
+        const option = document.createElement('option')
+        option.value = id
+        option.textContent = profile.label
+        if (profile.description) option.title = profile.description
+        group.appendChild(option)
+      }
+      profileSelect.appendChild(group)
+    }
 
-    try {
-      const route = await getRoute(startPoint, endPoint)
+    profileSelect.value = activeProfile
+    const custom = Boolean(profiles[activeProfile]?.custom)
+    if (editProfileBtn) editProfileBtn.disabled = !custom
+    if (deleteProfileBtn) deleteProfileBtn.disabled = !custom
+  }
 
-      if (routeLayer) map.removeLayer(routeLayer)
+  // Save the custom profiles; if the browser won't store them they still
+  // work until the page is closed
+  function storeProfiles(selectId) {
+    profiles = ProfileStore.merge(window.ACCESSIBILITY_PROFILES, customProfiles)
+    try {
+      ProfileStore.saveCustom(customProfiles)
+    } catch (e) {
+      showStatus('Profile kept for this session only (browser storage unavailable)', 'error')
+    }
+    if (selectId) activeProfile = selectId
+    if (!profiles[activeProfile]) activeProfile = 'step-free'
+    renderProfileOptions()
+    clearRoute()
+  }
 
-      // Score the route
-      let scoring = null
-      if (window.AccessibilityScorer && window.ACCESSIBILITY_HAZARDS && window.ACCESSIBILITY_PROFILES) {
-        scoring = window.AccessibilityScorer.scoreRoute(
-          route.geometry.coordinates,
-          activeProfile,
-          window.ACCESSIBILITY_HAZARDS,
-          barriers,
-          window.ACCESSIBILITY_PROFILES
-        )
-      }
+  function addCustomProfile(profile) {
+    const id = ProfileStore.newId(profile.label, profiles)
+    customProfiles = { ...customProfiles, [id]: profile }
+    storeProfiles(id)
+    return id
+  }
 
-      // Color the route based on score
-      const routeColor = scoring ? scoring.color : '#2196F3'
+  if (profileSelect) {
+    profileSelect.addEventListener('change', () => {
+      activeProfile = profileSelect.value
+      renderProfileOptions()
+    })
+  }
 
-      routeLayer = L.geoJSON(route.geometry, {
-        style: {
-          color: routeColor,
-          weight: 6,
-          opacity: 0.85
-        }
-      }).addTo(map)
+  if (profileBuilder && newProfileBtn) {
+    newProfileBtn.addEventListener('click', async () => {
+      const draft = ProfileStore.copyOf(profiles[activeProfile], activeProfile)
+      const profile = await profileBuilder.open(draft, `New profile based on ${profiles[activeProfile].label}`)
+      if (profile) addCustomProfile(profile)
+    })
+  }
 
-      map.fitBounds(routeLayer.getBounds(), { padding: [50, 50] })
+  if (profileBuilder && editProfileBtn) {
+    editProfileBtn.addEventListener('click', async () => {
+      const id = activeProfile
+      if (!profiles[id]?.custom) return
+      const profile = await profileBuilder.open(profiles[id], 'Edit profile')
+      if (!profile) return
+      customProfiles = { ...customProfiles, [id]: profile }
+      storeProfiles(id)
+    })
+  }
 
-      showRouteInfo(route.distance, route.duration, scoring)
-      clearStatus()
-    } catch (error) {
-      console.error('Routing error:', error)
-      showStatus(`Error: ${error.message}`, 'error')
-    }
+  if (deleteProfileBtn) {
+    deleteProfileBtn.addEventListener('click', () => {
+      const id = activeProfile
+      const profile = profiles[id]
+      if (!profile?.custom || !confirm(`Delete the profile "${profile.label}"?`)) return
+      customProfiles = { ...customProfiles }
+      delete customProfiles[id]
+      storeProfiles(window.ACCESSIBILITY_PROFILES[profile.basedOn] ? profile.basedOn : 'step-free')
+    })
   }
 
-  if (routeBtn) {
-    routeBtn.addEventListener('click', calculateAndDisplayRoute)
-  } else {
-    console.warn('routeBtn not found in HTML')
+  if (exportProfileBtn) {
+    exportProfileBtn.addEventListener('click', () => {
+      const blob = new Blob([ProfileStore.toJSON(profiles[activeProfile])], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `${activeProfile}.json`
+      a.click()
+      URL.revokeObjectURL(url)
+    })
   }
 
-  // Clear
-  if (clearBtn) {
-    clearBtn.addEventListener('click', () => {
-      startPoint = null
-      endPoint = null
+  if (importProfileInput) {
+    importProfileInput.addEventListener('change', async () => {
+      const file = importProfileInput.files[0]
+      if (!file) return
+      try {
+        const profile = ProfileStore.fromJSON(await file.text(), {
+          types: window.HAZARD_TYPES,
+          severities: window.HAZARD_SEVERITIES,
+          measurements: window.HAZARD_MEASUREMENTS,
+          timing: window.PROFILE_TIMING
+        })
+        addCustomProfile(profile)
+        showStatus(`Imported profile "${profile.label}"`, 'loading')
+      } catch (e) {
+        showStatus(`Import failed: ${e.message}`, 'error')
+      }
+      importProfileInput.value = ''
+    })
+  }
 
-      if (startMarker) map.removeLayer(startMarker)
-      if (endMarker) map.removeLayer(endMarker)
-      if (routeLayer) map.removeLayer(routeLayer)
+  renderProfileOptions()
 
-      startMarker = null
-      endMarker = null
-      routeLayer = null
+  // Routing provider selector
+  if (routerSelect) {
+    routerSelect.addEventListener('change', () => {
+      activeRouter = routerSelect.value
+    })
+  }
+
+  // Departure time: show which scheduled closures apply then
+  if (departAtEl) {
+    departAtEl.addEventListener('change', () => {
+      if (!hazardEditor.isActive()) displayHazardsOnMap()
+      displayAmenities()
+    })
+  }
+
+  // Barrier button
+  if (reportBtn) {
+    reportBtn.addEventListener('click', () => {
+      reportingMode = true
+      showStatus('Click the map to place a barrier, or move the map with the arrow keys and press Enter to place it at the centre', 'loading')
+      setTimeout(() => map.invalidateSize(), 100)
+      mapEl.focus()
+    })
+  } else {
+    console.warn('reportBtn not found in HTML')
+  }
+
+  // Barrier reports
+  function formatDate(iso) {
+    return new Date(iso).toLocaleDateString()
+  }
+
+  function barrierPopup(barrier) {
+    const typeLabel = window.HAZARD_TYPES?.[barrier.type]?.label || 'Barrier'
+    const affects = barrier.affects && barrier.affects.length > 0
+      ? barrier.affects.map(id => profiles[id]?.label || id).join(', ')
+      : 'All profiles'
+
+    const el = document.createElement('div')
+    el.innerHTML = `
+      <strong>${typeLabel}</strong> (${barrier.queued ? 'waiting to be sent' : 'reported'})<br/>
+      ${barrier.severity ? `Severity: ${barrier.severity}<br/>` : ''}
+      <small>Affects: ${affects}</small><br/>
+      ${barrier.description ? `<small>${HtmlText.escape(barrier.description)}</small><br/>` : ''}
+      ${barrier.photo ? `<img class="barrier-photo" src="${HtmlText.escape(barrier.photo)}" alt="Photo of reported barrier" /><br/>` : ''}
+      ${barrier.createdAt ? `<small>Reported ${formatDate(barrier.createdAt)}</small><br/>` : ''}
+      ${barrier.expiresAt ? `<small>Expires ${formatDate(barrier.expiresAt)}</small><br/>` : ''}
+    `
+
+    const removeBtn = document.createElement('button')
+    removeBtn.type = 'button'
+    removeBtn.className = 'btn-secondary'
+    removeBtn.textContent = 'Remove'
+    removeBtn.addEventListener('click', () => removeBarrier(barrier))
+    el.appendChild(removeBtn)
+
+    return el
+  }
+
+  function addBarrierToMap(barrier) {
+    const key = barrier.id || barrier.time
+    const marker = L.marker([barrier.lat, barrier.lng])
+      .addTo(barrierLayer)
+      .bindPopup(() => barrierPopup(barrier))
+    barrierMarkers.set(key, marker)
+    return marker
+  }
+
+  // (Re)load pending reports; ones only kept on this device (including
+  // queued ones) stay as they are
+  async function loadBarriers() {
+    try {
+      const list = await barrierApi.list()
+      const localOnly = barriers.filter(b => !b.id)
 
-      // Clear barriers too
       barrierLayer.clearLayers()
+      barrierMarkers.clear()
       barriers.length = 0
 
+      barriers.push(...localOnly, ...list)
+      barriers.forEach(addBarrierToMap)
+    } catch (e) {
+      console.warn('Barrier API unavailable, reports will not be saved:', e.message)
+    }
+  }
+
+  // Queue a report made offline. localStorage is small, so if the report
+  // doesn't fit (QuotaExceededError) it's queued again without its photo.
+  // Returns the queued copy and the message for the user, or null if it
+  // can't be kept at all.
+  function queueReport(report) {
+    const attempts = report.photo ? [report, { ...report, photo: null }] : [report]
+    for (const attempt of attempts) {
+      try {
+        const queued = ReportQueue.add(attempt)
+        return {
+          queued,
+          message: attempt === report
+            ? 'You are offline: the report will be sent when the connection is back'
+            : 'You are offline: the report will be sent when the connection is back, but without its photo (no room on this device)'
+        }
+      } catch (e) {
+        console.warn('Could not queue report:', e.message)
+      }
+    }
+    return null
+  }
+
+  async function reportBarrier(latlng) {
+    const details = reportForm ? await reportForm.open() : {}
+    if (!details) return
+
+    const report = { lat: latlng.lat, lng: latlng.lng, ...details }
+    let barrier
+
+    try {
+      barrier = await barrierApi.create(report)
+      clearStatus()
+    } catch (e) {
+      if (e.offline) {
+        const result = queueReport(report)
+        if (!result) {
+          showStatus('You are offline and this device has no room to keep the report: it was not saved', 'error')
+          return
+        }
+        barrier = result.queued
+        showStatus(result.message, 'loading')
+        updateConnectionStatus()
+      } else {
+        barrier = { ...report, time: Date.now() }
+        showStatus('Barrier saved on this device only (server unavailable)', 'error')
+      }
+    }
+
+    barriers.push(barrier)
+    addBarrierToMap(barrier).openPopup()
+  }
+
+  function dropBarrierFromMap(barrier) {
+    const key = barrier.id || barrier.time
+    const marker = barrierMarkers.get(key)
+    if (marker) barrierLayer.removeLayer(marker)
+    barrierMarkers.delete(key)
+
+    const index = barriers.indexOf(barrier)
+    if (index !== -1) barriers.splice(index, 1)
+  }
+
+  async function removeBarrier(barrier) {
+    try {
+      if (barrier.queueId) ReportQueue.remove(barrier.queueId)
+      else if (barrier.id) await barrierApi.remove(barrier.id)
+    } catch (e) {
+      showStatus(`Error: ${e.message}`, 'error')
+      return
+    }
+
+    dropBarrierFromMap(barrier)
+    updateConnectionStatus()
+  }
+
+  // Send reports queued while offline; each sent one replaces its queued
+  // copy on the map
+  let sendingQueued = null
+  function sendQueuedReports() {
+    if (sendingQueued || ReportQueue.load().length === 0) return sendingQueued
+    sendingQueued = (async () => {
+      const { sent, rejected } = await ReportQueue.flush(barrierApi)
+      for (const { entry, barrier } of sent) {
+        const queued = barriers.find(b => b.queueId === entry.queueId)
+        if (queued) dropBarrierFromMap(queued)
+        barriers.push(barrier)
+        addBarrierToMap(barrier)
+      }
+      for (const { entry, error } of rejected) {
+        console.warn('Queued report not accepted:', error.message)
+        const queued = barriers.find(b => b.queueId === entry.queueId)
+        if (queued) dropBarrierFromMap(queued)
+      }
+
+      if (rejected.length > 0) {
+        showStatus(`${rejected.length} queued ${rejected.length === 1 ? 'report was' : 'reports were'} not accepted: ${rejected[0].error.message}`, 'error')
+      } else if (sent.length > 0) {
+        showStatus(`${sent.length} queued ${sent.length === 1 ? 'report' : 'reports'} sent`, 'loading')
+      }
+    })()
+      .catch(e => console.warn('Could not send queued reports:', e.message))
+      .finally(() => {
+        sendingQueued = null
+        updateConnectionStatus()
+      })
+    return sendingQueued
+  }
+
+  for (const entry of ReportQueue.load()) {
+    barriers.push(entry)
+    addBarrierToMap(entry)
+  }
+  const barriersLoaded = loadBarriers()
+  barriersLoaded.then(sendQueuedReports)
+
+  // Facility status feed
+  function facilityPopup(facility) {
+    const el = document.createElement('div')
+    const outage = Facilities.currentOutage(facility)
+    const typeLabel = Facilities.FACILITY_TYPES[facility.type]?.label || facility.type
+
+    el.innerHTML = `
+      <strong>${HtmlText.escape(facility.name)}</strong><br/>
+      <small>${HtmlText.escape(typeLabel)}</small><br/>
+      ${outage
+        ? `<span class="facility-status out-of-service">Out of service</span>
+           ${outage.until ? `<br/><small>Expected back ${HtmlText.escape(new Date(outage.until).toLocaleString())}</small>` : ''}
+           ${outage.note ? `<br/><small>${HtmlText.escape(outage.note)}</small>` : ''}`
+        : '<span class="facility-status">Operational</span>'}
+    `
+
+    // Staff can record outages from the map in admin mode
+    if (adminMode) {
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = 'btn-secondary'
+      btn.textContent = outage ? 'Mark back in service' : 'Mark out of service'
+      btn.addEventListener('click', () => updateFacilityStatus(facility, outage))
+      el.appendChild(document.createElement('br'))
+      el.appendChild(btn)
+    }
+
+    return el
+  }
+
+  async function updateFacilityStatus(facility, outage) {
+    try {
+      if (outage) {
+        await barrierApi.removeOutage(facility.id, outage.id)
+      } else {
+        const note = prompt(`What is wrong with ${facility.name}? (optional)`, '')
+        if (note === null) return
+        const until = prompt('Expected back in service (e.g. 2025-03-01 17:00; blank = until further notice):', '')
+        if (until === null) return
+        await barrierApi.addOutage(facility.id, { note, until: until.trim() || null })
+      }
+      map.closePopup()
+      await loadFacilities()
+    } catch (e) {
+      showStatus(`Could not update ${facility.name}: ${e.message}`, 'error')
+    }
+  }
+
+  function displayFacilities() {
+    facilityLayer.clearLayers()
+
+    for (const facility of facilities) {
+      const down = Boolean(Facilities.currentOutage(facility))
+      const icon = L.divIcon({
+        className: down ? 'facility-marker out-of-service' : 'facility-marker',
+        html: Facilities.FACILITY_TYPES[facility.type]?.icon || '•',
+        iconSize: [22, 22],
+        iconAnchor: [11, 11]
+      })
+
+      L.marker([facility.location[1], facility.location[0]], { icon, title: facility.name })
+        .bindPopup(() => facilityPopup(facility))
+        .addTo(facilityLayer)
+    }
+  }
+
+  async function loadFacilities() {
+    facilities = await Facilities.load(['/api/facilities', '/assets/facilities.json'])
+    displayFacilities()
+  }
+
+  const facilitiesLoaded = loadFacilities()
+  setInterval(loadFacilities, FACILITY_REFRESH_MS)
+
+  function amenityPopup(amenity) {
+    const type = Amenities.AMENITY_TYPES[amenity.type]
+    const open = amenity.opening_hours ? OpeningHours.isOpen(amenity.opening_hours, departureTime()) : null
+    return `
+      <strong>${HtmlText.escape(amenity.name || type.label)}</strong><br/>
+      ${HtmlText.escape(type.label)}${amenity.wheelchair === 'yes' ? ' · wheelchair accessible' : ''}
+      ${amenity.opening_hours ? `<br/><small>${HtmlText.escape(amenity.opening_hours)}${open === null ? '' : open ? ' (open)' : ' (closed at the departure time)'}</small>` : ''}
+      ${amenity.note ? `<br/><small>${HtmlText.escape(amenity.note)}</small>` : ''}
+    `
+  }
+
+  // Places that are closed at the departure time are faded
+  function displayAmenities() {
+    amenityLayer.clearLayers()
+
+    for (const amenity of amenities) {
+      const closed = amenity.opening_hours && OpeningHours.isOpen(amenity.opening_hours, departureTime()) === false
+      const icon = L.divIcon({
+        className: closed ? 'amenity-marker closed' : 'amenity-marker',
+        html: Amenities.AMENITY_TYPES[amenity.type].icon,
+        iconSize: [20, 20],
+        iconAnchor: [10, 10]
+      })
+
+      L.marker([amenity.lat, amenity.lng], { icon, title: amenity.name || Amenities.AMENITY_TYPES[amenity.type].label })
+        .bindPopup(() => amenityPopup(amenity))
+        .addTo(amenityLayer)
+    }
+  }
+
+  async function loadAmenities() {
+    amenities = await Amenities.load()
+    placeSources.amenities = amenities
+    refreshPlaces()
+    displayAmenities()
+  }
+
+  const amenitiesLoaded = loadAmenities()
+
+  if (showAmenitiesEl) {
+    showAmenitiesEl.addEventListener('change', () => {
+      if (showAmenitiesEl.checked) amenityLayer.addTo(map)
+      else map.removeLayer(amenityLayer)
+    })
+  }
+
+  // Map click behaviour, and Enter on the focused map for the point at
+  // its centre (see #mapKeyboardHint)
+  function pickPoint(latlng) {
+    // Barrier mode takes priority
+    if (reportingMode) {
+      reportingMode = false
+      clearStatus()
+      reportBarrier(latlng).catch(e => showStatus(`Could not report the barrier: ${e.message}`, 'error'))
+      return
+    }
+
+    // Normal routing points selection
+    if (!startPoint) {
+      setStartPoint(latlng)
+    } else if (!endPoint) {
+      setEndPoint(latlng)
+    } else {
+      // both set, restart
+      clearEndPoint()
+      setStartPoint(latlng)
+    }
+    clearStatus()
+    announce(endPoint ? 'End point set. Press Get Route.' : 'Start point set. Now set the end point.')
+  }
+
+  map.on('click', (e) => {
+    // The hazard editor handles its own clicks
+    if (hazardEditor.isActive()) return
+    // While simulating navigation, a click moves the pretend walker there
+    if (navigation && navigation.simulated) {
+      navigation.source.moveTo([e.latlng.lng, e.latlng.lat])
+      return
+    }
+    pickPoint(e.latlng)
+  })
+
+  mapEl.addEventListener('keydown', (e) => {
+    // Only the map itself, not a focused marker or control inside it
+    if (e.target !== mapEl || hazardEditor.isActive()) return
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault()
+      pickPoint(map.getCenter())
+    } else if (e.key === 'Escape' && reportingMode) {
+      reportingMode = false
+      showStatus('Barrier report cancelled', 'loading')
+    }
+  })
+
+  // Routing providers: both share the same getRoutes() interface
+  const routingProviders = {
+    graphhopper: RoutingProviders.createGraphHopperProvider({ apiKey: GH_API_KEY }),
+    local: RoutingProviders.createLocalProvider()
+  }
+
+  // Score a route, then check the gaps between rest points for profiles
+  // that need them
+  function scoreCandidate(route, routeHazards = hazards, time = Date.now()) {
+    if (!window.AccessibilityScorer) {
+      return null
+    }
+    const scoring = window.AccessibilityScorer.scoreRoute(
+      route.geometry.coordinates,
+      activeProfile,
+      routeHazards,
+      barriers,
+      profiles,
+      time
+    )
+    const profile = profiles[activeProfile]
+    return profile
+      ? Amenities.annotate(scoring, route.geometry.coordinates, Amenities.restPoints(amenities, time), profile)
+      : scoring
+  }
+
+  // Warnings for the hazards touching a route segment, for its tooltip
+  function segmentTooltip(segment, scoring) {
+    const found = scoring.warnings.filter(w => segment.hazardIds.includes(w.id))
+    if (found.length === 0) return 'No known hazards on this stretch'
+    return found
+      .map(w => `${HtmlText.escape(w.text)}${w.impassable ? ' <em>(impassable)</em>' : ''}`)
+      .join('<br/>')
+  }
+
+  // Mark the warnings in the list that belong to the hovered segment
+  function highlightWarnings(hazardIds) {
+    if (!routeWarningsEl) return
+    for (const item of routeWarningsEl.querySelectorAll('.warning-item[data-hazard-id]')) {
+      item.classList.toggle('highlighted', hazardIds.includes(item.dataset.hazardId))
+    }
+  }
+
+  // Pan to where a warning's hazard meets the route and emphasise the
+  // segments it affects
+  function focusWarning(warning) {
+    for (const { layer, segment } of segmentLayers) {
+      layer.setStyle({ weight: segment.hazardIds.includes(warning.id) ? 10 : 6 })
+    }
+    highlightWarnings([warning.id])
+
+    if (routeHighlight) routeLayer.removeLayer(routeHighlight)
+    routeHighlight = null
+    if (!warning.location) return
+
+    const latlng = L.latLng(warning.location[1], warning.location[0])
+    routeHighlight = L.circleMarker(latlng, {
+      radius: 14,
+      color: '#1a237e',
+      weight: 3,
+      fillOpacity: 0.1
+    })
+      .bindPopup(`<strong>${HtmlText.escape(warning.text)}</strong>${warning.impassable ? ' <em>(impassable)</em>' : ''}
+        <br/><small>${formatDistance(warning.along)} along the route</small>`)
+      .addTo(routeLayer)
+    map.panTo(latlng)
+    routeHighlight.openPopup()
+  }
+
+  // Draw every candidate; the selected one on top, segment by segment in
+  // the colour of its local score (or of its gradient, if chosen and the
+  // route has heights), the rest as grey dashed lines that can be clicked
+  // to switch. Hovering a segment lists the hazards that affect it.
+  function drawRoutes() {
+    if (routeLayer) map.removeLayer(routeLayer)
+    routeLayer = L.featureGroup().addTo(map)
+    segmentLayers = []
+    routeHighlight = null
+
+    routeCandidates.forEach((candidate, i) => {
+      if (i === selectedRouteIndex) return
+      L.geoJSON(candidate.route.geometry, {
+        style: { color: '#757575', weight: 5, opacity: 0.6, dashArray: '6 8' }
+      })
+        .on('click', () => selectRoute(i))
+        .bindTooltip(i === 0 ? 'Best route' : `Alternative ${i}`, { sticky: true })
+        .addTo(routeLayer)
+    })
+
+    const selected = routeCandidates[selectedRouteIndex]
+    L.geoJSON(selected.route.geometry, {
+      style: {
+        color: selected.scoring ? selected.scoring.color : '#2196F3',
+        weight: 6,
+        opacity: 0.85
+      }
+    }).addTo(routeLayer)
+
+    const scoring = selected.scoring
+    const coords = selected.route.geometry.coordinates
+    const toLatLngs = (from, to) => coords.slice(from, to + 1).map(c => [c[1], c[0]])
+
+    if (scoring && scoring.elevation && routeColouring === 'gradient') {
+      for (const section of scoring.elevation.sections) {
+        const band = AccessibilityScorer.gradientBand(section.gradient)
+        const gradient = Math.round(section.gradient * 10) / 10
+        L.polyline(toLatLngs(section.start, section.end), {
+          color: band.color,
+          weight: 6,
+          opacity: 0.95
+        })
+          .bindTooltip(`${Math.abs(gradient)}% ${gradient >= 0 ? 'uphill' : 'downhill'}`, { sticky: true })
+          .addTo(routeLayer)
+      }
+    } else if (scoring && scoring.segments) {
+      for (const segment of scoring.segments) {
+        const layer = L.polyline(toLatLngs(segment.start, segment.end), {
+          color: segment.color,
+          weight: 6,
+          opacity: 0.95
+        })
+          .bindTooltip(segmentTooltip(segment, scoring), { sticky: true })
+          .on('mouseover', () => highlightWarnings(segment.hazardIds))
+          .on('mouseout', () => highlightWarnings([]))
+          .addTo(routeLayer)
+        segmentLayers.push({ layer, segment })
+      }
+    }
+  }
+
+  // Turn-by-turn directions for the selected route, hazards included;
+  // picking a step outlines that stretch of the route
+  function showDirections(route, scoring) {
+    routeDirections = Directions.build(route, scoring)
+    currentStep = -1
+    if (!routeStepsEl) return
+
+    routeStepsEl.innerHTML = ''
+    routeDirections.forEach((step, i) => {
+      const li = document.createElement('li')
+      li.className = step.kind === 'hazard' ? `direction-hazard severity-${step.severity}` : 'direction-instruction'
+      li.tabIndex = 0
+      li.textContent = step.distance ? `${step.text} (${formatDistance(step.distance)})` : step.text
+      if (step.impassable) li.classList.add('impassable')
+      li.addEventListener('click', () => showStep(i))
+      li.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault()
+          showStep(i)
+        }
+      })
+      routeStepsEl.appendChild(li)
+    })
+
+    const hasSteps = routeDirections.length > 0
+    routeStepsEl.style.display = hasSteps ? 'block' : 'none'
+    if (routeDirectionsNav) routeDirectionsNav.style.display = hasSteps ? 'flex' : 'none'
+    if (stepPositionEl) stepPositionEl.textContent = hasSteps ? `${routeDirections.length} steps` : ''
+  }
+
+  function showStep(index) {
+    const step = routeDirections[index]
+    if (!step || !routeLayer) return
+    markStep(index)
+    outlineStretch(step.interval)
+  }
+
+  // Mark a step as the current one in the list, without moving the map
+  function markStep(index) {
+    currentStep = index
+
+    if (routeStepsEl) {
+      routeStepsEl.querySelectorAll('li').forEach((li, i) => {
+        li.classList.toggle('current', i === index)
+        if (i === index) li.setAttribute('aria-current', 'step')
+        else li.removeAttribute('aria-current')
+      })
+    }
+    if (stepPositionEl) stepPositionEl.textContent = `Step ${index + 1} of ${routeDirections.length}`
+  }
+
+  // Outline part of the selected route ([first, last] coordinate index)
+  // and bring it into view
+  function outlineStretch([first, last]) {
+    if (stepLayer) routeLayer.removeLayer(stepLayer)
+    const coords = routeCandidates[selectedRouteIndex].route.geometry.coordinates
+    const latlngs = coords.slice(first, last + 1).map(c => [c[1], c[0]])
+    stepLayer = latlngs.length > 1
+      ? L.polyline(latlngs, { color: '#1a237e', weight: 11, opacity: 0.45, lineCap: 'round' })
+      : L.circleMarker(latlngs[0], { radius: 10, color: '#1a237e', weight: 3, fillOpacity: 0.2 })
+    stepLayer.addTo(routeLayer).bringToBack()
+
+    if (latlngs.length > 1) map.fitBounds(stepLayer.getBounds(), { padding: [60, 60], maxZoom: 19 })
+    else map.panTo(latlngs[0])
+  }
+
+  function selectRoute(index) {
+    if (!routeCandidates[index]) return
+    selectedRouteIndex = index
+
+    const { route, scoring } = routeCandidates[index]
+    drawRoutes()
+    stepLayer = null
+    showRouteInfo(route.distance, route.duration, scoring)
+    showDirections(route, scoring)
+    showAlternatives()
+    showLegs(routeCandidates[index].legs || [])
+    updateShareUrl()
+
+    const warnings = scoring ? scoring.warnings.length : 0
+    announce(`${index === 0 ? 'Route' : `Alternative ${index}`}: ${formatDistance(route.distance)}, `
+      + `about ${formatDuration(routeEta(route.distance, route.duration, scoring).seconds)}`
+      + (scoring ? `, accessibility ${LEVEL_LABELS[scoring.level] || 'unknown'} ${scoring.score} out of 100` : '')
+      + `, ${warnings === 0 ? 'no warnings' : warnings === 1 ? '1 warning' : `${warnings} warnings`}.`)
+  }
+
+  // Everything in the route panel as plain text, for the summary view
+  function routeSummary() {
+    const { route, scoring, legs = [] } = routeCandidates[selectedRouteIndex]
+    const eta = routeEta(route.distance, route.duration, scoring)
+    const facts = [
+      { label: 'From', value: describePoint(startPoint, startLabel) },
+      ...stops.map((stop, i) => ({ label: `Stop ${i + 1}`, value: stop.label })),
+      { label: 'To', value: describePoint(endPoint, endLabel) },
+      { label: 'Profile', value: profiles[activeProfile] ? profiles[activeProfile].label : activeProfile },
+      { label: 'Distance', value: formatDistance(route.distance) },
+      { label: 'Estimated time', value: formatDuration(eta.seconds) }
+    ]
+    if (scoring) facts.push({ label: 'Accessibility', value: `${LEVEL_LABELS[scoring.level] || 'Unknown'}, ${scoring.score} out of 100` })
+    if (scoring && scoring.elevation) {
+      const { maxGradient, climb, descent } = scoring.elevation
+      facts.push({ label: 'Gradient', value: `steepest ${maxGradient}%, ${climb} m up and ${descent} m down` })
+    }
+    if (destinationEntrance) facts.push({ label: 'Entrance', value: destinationEntrance.explanation })
+
+    return {
+      title: `Route summary${routeCandidates.length > 1 ? (selectedRouteIndex === 0 ? ' (best route)' : ` (alternative ${selectedRouteIndex})`) : ''}`,
+      facts,
+      sections: [
+        {
+          heading: 'Warnings',
+          // Numbered, to match the squares on the printed report's map
+          ordered: true,
+          items: scoring
+            ? scoring.warnings.map(w => `${w.severity} severity${w.impassable ? ', impassable' : ''}: ${w.text}, `
+              + `${formatDistance(w.along)} along the route.${w.note ? ` ${w.note}` : ''}`)
+            : []
+        },
+        {
+          heading: 'Legs',
+          ordered: true,
+          items: legs.map(leg => `${leg.from} to ${leg.to}: ${formatDistance(leg.route.distance)}`
+            + (leg.scoring ? `, accessibility ${leg.scoring.score} out of 100` : ''))
+        },
+        {
+          heading: 'Where the time goes',
+          items: eta.breakdown.map(item => `${formatDuration(item.seconds)}: ${item.label}`)
+        },
+        {
+          heading: 'Directions',
+          ordered: true,
+          items: routeDirections.map(step => (step.kind === 'hazard' ? `Warning: ${step.text}` : step.distance
+            ? `${step.text} (${formatDistance(step.distance)})`
+            : step.text))
+        }
+      ]
+    }
+  }
+
+  const routeSummaryView = summaryDialog ? RouteSummary.create({ dialog: summaryDialog }) : null
+
+  if (routeSummaryBtn && routeSummaryView) {
+    routeSummaryBtn.addEventListener('click', async () => {
+      if (routeCandidates.length === 0) return
+      await routeSummaryView.open(routeSummary())
+      routeSummaryBtn.focus()
+    })
+  }
+
+  // ---- Sharing and exporting the route ----
+  function tripPoint(latlng, label) {
+    return { lat: latlng.lat, lng: latlng.lng, label: label || '' }
+  }
+
+  // The trip as link parameters (route-share.js)
+  function shareState() {
+    return {
+      from: tripPoint(startPoint, startLabel),
+      to: tripPoint(endPoint, endLabel),
+      via: stops.map(stop => tripPoint(stop.latlng, stop.label)),
+      profile: activeProfile,
+      alt: selectedRouteIndex,
+      router: activeRouter,
+      depart: departAtEl ? departAtEl.value : '',
+      level: destinationLevelRow && !destinationLevelRow.hidden ? destinationLevel() : null
+    }
+  }
+
+  function queryString(params) {
+    // Commas kept readable, and flags such as ?admin left without an "="
+    const query = params.toString().replace(/%2C/g, ',').replace(/=(?=&|$)/g, '')
+    return query ? `?${query}` : ''
+  }
+
+  // Keep the address bar on the route shown, so it can be bookmarked; with
+  // no route its parameters are dropped
+  function updateShareUrl() {
+    const current = new URLSearchParams(window.location.search)
+    const params = routeCandidates.length > 0 && startPoint && endPoint
+      ? RouteShare.toParams(shareState(), current)
+      : RouteShare.clear(current)
+    window.history.replaceState(null, '', `${window.location.pathname}${queryString(params)}${window.location.hash}`)
+  }
+
+  // A link to the route for someone else, without ?admin and the like
+  function shareLink() {
+    return `${window.location.origin}${window.location.pathname}${queryString(RouteShare.toParams(shareState()))}`
+  }
+
+  // The selected route for route-export.js
+  function exportTrip() {
+    const { route, scoring } = routeCandidates[selectedRouteIndex]
+    const profileLabel = profiles[activeProfile] ? profiles[activeProfile].label : activeProfile
+    return {
+      name: `${profileLabel} route from ${describePoint(startPoint, startLabel)} to ${describePoint(endPoint, endLabel)}`,
+      route,
+      scoring,
+      profile: { id: activeProfile, label: profileLabel },
+      points: [
+        { ...tripPoint(startPoint, startLabel), role: 'start' },
+        ...stops.map(stop => ({ ...tripPoint(stop.latlng, stop.label), role: 'stop' })),
+        { ...tripPoint(endPoint, endLabel), role: 'end' }
+      ],
+      time: departureTime()
+    }
+  }
+
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener('click', async () => {
+      if (routeCandidates.length === 0) return
+      const link = shareLink()
+      try {
+        await navigator.clipboard.writeText(link)
+        showStatus('Link to this route copied', 'loading')
+      } catch (e) {
+        prompt('Copy this link to the route:', link)
+      }
+    })
+  }
+
+  if (exportGpxBtn) {
+    exportGpxBtn.addEventListener('click', () => {
+      if (routeCandidates.length === 0) return
+      const trip = exportTrip()
+      RouteExport.download(RouteExport.toGPX(trip), RouteExport.fileName(trip, 'gpx'), 'application/gpx+xml')
+    })
+  }
+
+  if (exportGeoJsonBtn) {
+    exportGeoJsonBtn.addEventListener('click', () => {
+      if (routeCandidates.length === 0) return
+      const trip = exportTrip()
+      RouteExport.download(JSON.stringify(RouteExport.toGeoJSON(trip), null, 2), RouteExport.fileName(trip, 'geojson'), 'application/geo+json')
+    })
+  }
+
+  // The report only shows when printing (see "Printed report" in style.css)
+  if (printReportBtn && printReportEl) {
+    printReportBtn.addEventListener('click', async () => {
+      if (routeCandidates.length === 0) return
+      showStatus('Preparing the report...', 'loading')
+      const trip = exportTrip()
+      const image = await RouteExport.snapshot(trip)
+      const marks = [
+        'S marks the start and E the destination',
+        stops.length > 0 ? 'numbered circles the stops' : '',
+        trip.scoring && trip.scoring.warnings.length > 0 ? 'numbered squares the warnings listed below' : ''
+      ].filter(Boolean)
+      RouteExport.renderReport(printReportEl, {
+        title: trip.name,
+        summary: routeSummary(),
+        image,
+        imageAlt: `Map of the route. ${marks.join(', ')}.`,
+        link: shareLink()
+      })
+      clearStatus()
+      window.print()
+    })
+  }
+
+  // Open a linked route once the data it is scored against has loaded
+  async function restoreSharedRoute(shared) {
+    if (shared.profile && profiles[shared.profile]) {
+      activeProfile = shared.profile
+      renderProfileOptions()
+    }
+    if (routingProviders[shared.router]) {
+      activeRouter = shared.router
+      if (routerSelect) routerSelect.value = shared.router
+    }
+    if (departAtEl && shared.depart) departAtEl.value = shared.depart
+
+    setStartPoint(L.latLng(shared.from.lat, shared.from.lng), shared.from.label || null)
+    shared.via.slice(0, MAX_STOPS).forEach((stop, i) => addStop(L.latLng(stop.lat, stop.lng), stop.label || `Stop ${i + 1}`))
+    setEndPoint(L.latLng(shared.to.lat, shared.to.lng), shared.to.label || null)
+
+    await Promise.allSettled([hazardsLoaded, buildingsLoaded, indoorNetworkLoaded, barriersLoaded, facilitiesLoaded, amenitiesLoaded])
+    updateDestinationLevels()
+    if (destinationLevelEl && shared.level !== null && !destinationLevelRow.hidden) destinationLevelEl.value = String(shared.level)
+
+    await calculateAndDisplayRoute()
+    if (routeCandidates[shared.alt]) selectRoute(shared.alt)
+    if (shared.profile && !profiles[shared.profile]) {
+      showStatus(`The link's profile "${shared.profile}" isn't on this device; the route is planned for ${profiles[activeProfile].label}`, 'error')
+    }
+  }
+
+  // Each leg of a route with stops, with its own score; clicking one
+  // outlines it on the map
+  function showLegs(legs) {
+    if (!routeLegsEl) return
+    routeLegsEl.innerHTML = ''
+    routeLegsEl.style.display = legs.length > 0 ? 'block' : 'none'
+
+    legs.forEach((leg, i) => {
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = 'leg-item'
+      btn.textContent = `${i + 1}. ${leg.from} → ${leg.to}: ${formatDistance(leg.route.distance)}`
+        + (leg.scoring ? ` · ${leg.scoring.score}/100` : '')
+        + (leg.scoring && !leg.scoring.passable ? ' (impassable)' : '')
+      if (leg.scoring) btn.style.borderLeftColor = leg.scoring.color
+      btn.addEventListener('click', () => outlineStretch(leg.interval))
+      routeLegsEl.appendChild(btn)
+    })
+  }
+
+  // Continue an outdoor route (ending at the entrance) along the indoor
+  // path, with the indoor steps after the outdoor directions
+  function withIndoorLeg(route, indoor) {
+    const outdoorCoords = route.geometry.coordinates
+    const outdoor = route.instructions && route.instructions.length > 0
+      ? route.instructions
+      : Directions.fromGeometry(outdoorCoords)
+    const first = outdoorCoords.length - 1
+    const last = first + indoor.coordinates.length
+
+    return {
+      ...route,
+      geometry: {
+        type: 'LineString',
+        coordinates: [...outdoorCoords, ...indoor.coordinates]
+      },
+      distance: route.distance + indoor.distance,
+      duration: route.duration + indoor.duration,
+      instructions: [
+        ...outdoor.filter(i => i.sign !== Directions.SIGN.FINISH),
+        ...indoor.steps.map((text, i) => (i === indoor.steps.length - 1
+          ? { text, sign: Directions.SIGN.FINISH, distance: 0, interval: [last, last] }
+          : { text, sign: Directions.SIGN.CONTINUE, distance: null, interval: [first, last] }))
+      ]
+    }
+  }
+
+  // Best first: passable routes, then ones with rest points often enough,
+  // then score, then distance
+  function compareCandidates(a, b) {
+    if (!a.scoring || !b.scoring) return a.route.distance - b.route.distance
+    if (a.scoring.passable !== b.scoring.passable) return a.scoring.passable ? -1 : 1
+    if ((a.scoring.restOk !== false) !== (b.scoring.restOk !== false)) return a.scoring.restOk !== false ? -1 : 1
+    return (b.scoring.score - a.scoring.score) || (a.route.distance - b.route.distance)
+  }
+
+  /**
+   * Candidate routes for one leg of the trip, best first.
+   *
+   * A leg ending inside a building with entrance data heads for its best
+   * entrance; the last leg goes on through the indoor network when there
+   * is one. Facilities out of service downgrade entrances and close lifts;
+   * opening hours, closures and outages are all checked at `time`.
+   *
+   * @returns {Promise<Object>} { candidates, entrance, target, routeHazards }
+   */
+  async function routeLeg(from, to, { time, down, buildingsNow, last }) {
+    const profile = profiles[activeProfile]
+    const building = Entrances.buildingAt(buildingsNow, to)
+    let entrance = null
+    if (last && building && indoorGraph) {
+      entrance = IndoorRouting.plan(indoorGraph, {
+        building,
+        buildings: buildingsNow,
+        latlng: to,
+        level: destinationLevel(),
+        profile,
+        from,
+        closed: Facilities.closedLifts(down),
+        time
+      })
+    }
+    if (building && !entrance) {
+      entrance = Entrances.choose(building, profile, from, time)
+    }
+    const target = entrance && entrance.latlng ? L.latLng(entrance.latlng) : to
+    const indoor = entrance && entrance.indoor
+
+    // Outdoor outages, and indoor ones the route can't avoid, are scored
+    const routeHazards = [...hazards, ...Facilities.asHazards(down, indoor ? indoor.outOfService : [], time)]
+
+    // Without a connection GraphHopper can't be reached; the campus paths
+    // are cached, so the local router stands in
+    const request = { profileId: activeProfile, profiles, hazards: routeHazards, barriers, time }
+    let provider = routingProviders[activeRouter] || routingProviders.graphhopper
+    if (provider !== routingProviders.local && !Offline.isOnline()) provider = routingProviders.local
+    let routes
+    try {
+      routes = await provider.getRoutes(from, target, request)
+    } catch (e) {
+      if (!e.offline || provider === routingProviders.local) throw e
+      provider = routingProviders.local
+      routes = await provider.getRoutes(from, target, request)
+    }
+
+    const candidates = routes
+      .map(route => (indoor ? withIndoorLeg(route, indoor) : route))
+      .map(route => ({ route, scoring: scoreCandidate(route, routeHazards, time) }))
+      .sort(compareCandidates)
+
+    const offline = provider === routingProviders.local && activeRouter !== 'local'
+    return { candidates, entrance, target, routeHazards, offline }
+  }
+
+  // One route through every stop: the legs end to end, each stop's
+  // arrival kept as a waypoint instruction. Sets each leg's `interval`
+  // (its first and last coordinate in the joined route).
+  function joinLegs(legs) {
+    const coordinates = []
+    const instructions = []
+
+    legs.forEach((leg, i) => {
+      const coords = leg.route.geometry.coordinates
+      const offset = coordinates.length
+      const own = leg.route.instructions && leg.route.instructions.length > 0
+        ? leg.route.instructions
+        : Directions.fromGeometry(coords)
+
+      for (const instruction of own) {
+        const interval = instruction.interval.map(n => n + offset)
+        if (instruction.sign === Directions.SIGN.FINISH && i < legs.length - 1) {
+          instructions.push({ text: `Arrive at ${leg.to}`, sign: Directions.SIGN.WAYPOINT, distance: 0, interval })
+        } else {
+          instructions.push({ ...instruction, interval })
+        }
+      }
+
+      leg.interval = [offset, offset + coords.length - 1]
+      coordinates.push(...coords)
+    })
+
+    return {
+      geometry: { type: 'LineString', coordinates },
+      distance: legs.reduce((sum, leg) => sum + leg.route.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.route.duration, 0),
+      instructions
+    }
+  }
+
+  // The best route for each leg in turn, each leg leaving when the one
+  // before it arrives, scored per leg and as a whole
+  async function routeItinerary({ time, down, buildingsNow, points, labels }) {
+    const legs = []
+    const routeHazards = []
+    let from = points[0]
+    let legTime = time
+    let entrance = null
+    let offline = false
+
+    for (let i = 1; i < points.length; i++) {
+      const leg = await routeLeg(from, points[i], { time: legTime, down, buildingsNow, last: i === points.length - 1 })
+      if (leg.candidates.length === 0) throw new Error(`No route found to ${labels[i]}`)
+
+      const { route, scoring } = leg.candidates[0]
+      legs.push({ from: labels[i - 1], to: labels[i], route, scoring })
+      routeHazards.push(...leg.routeHazards.filter(h => !routeHazards.includes(h)))
+      entrance = leg.entrance
+      from = leg.target
+      legTime += route.duration * 1000
+      offline = offline || leg.offline
+    }
+
+    const route = joinLegs(legs)
+    return { route, scoring: scoreCandidate(route, routeHazards, time), legs, entrance, offline }
+  }
+
+  // Plan a trip from `start` through `via` to the end point, without
+  // touching what is on screen. Rejects if there is no route.
+  async function planTrip({ start, label, via }) {
+    const time = departureTime()
+    const down = Facilities.outOfService(facilities, time)
+    const buildingsNow = Facilities.adjustBuildings(entranceBuildings, down)
+
+    if (via.length > 0) {
+      const itinerary = await routeItinerary({
+        time,
+        down,
+        buildingsNow,
+        points: [start, ...via.map(s => s.latlng), endPoint],
+        labels: [label || 'start', ...via.map(s => s.label), endLabel || 'destination']
+      })
+      return { candidates: [itinerary], entrance: itinerary.entrance, offline: itinerary.offline }
+    }
+
+    const leg = await routeLeg(start, endPoint, { time, down, buildingsNow, last: true })
+    if (leg.candidates.length === 0) throw new Error('No route found')
+    return { candidates: leg.candidates, entrance: leg.entrance, offline: leg.offline }
+  }
+
+  // Show a planned trip, best route first
+  function showTrip({ candidates, entrance, offline }) {
+    routeCandidates = candidates
+    destinationEntrance = entrance
+    selectRoute(0)
+    if (!navigation) map.fitBounds(routeLayer.getBounds(), { padding: [50, 50] })
+
+    const { scoring: best, legs = [] } = routeCandidates[0]
+    const blocked = legs.findIndex(leg => leg.scoring && !leg.scoring.passable)
+    if (blocked !== -1) {
+      showStatus(`No route to ${legs[blocked].to} avoids every impassable hazard for this profile`, 'error')
+    } else if (best && !best.passable) {
+      showStatus('No route avoids every impassable hazard for this profile', 'error')
+    } else if (offline) {
+      showStatus('Offline: route planned on the campus paths saved on this device', 'loading')
+    } else {
+      clearStatus()
+    }
+  }
+
+  async function calculateAndDisplayRoute() {
+    if (!startPoint || !endPoint) return
+
+    showStatus(stops.length > 0 ? `Calculating route via ${stops.length} ${stops.length === 1 ? 'stop' : 'stops'}...` : 'Calculating route...', 'loading')
+    destinationEntrance = null
+
+    try {
+      showTrip(await planTrip({ start: startPoint, label: startLabel, via: stops }))
+    } catch (error) {
+      console.error('Routing error:', error)
+      showStatus(`Error: ${error.message}`, 'error')
+    }
+  }
+
+  // ---- Live navigation ----
+  // The simulated walker goes this many times faster than the profile's
+  // pace, so a test run doesn't take as long as the walk
+  const SIMULATION_SPEEDUP = 4
+  // At most one automatic reroute in this long
+  const REROUTE_COOLDOWN_MS = 15 * 1000
+
+  // Show a navigation prompt, and say it if spoken prompts are on
+  function navPrompt(text) {
+    if (navInstructionEl) navInstructionEl.textContent = text
+    if (navSpeakEl && navSpeakEl.checked) Navigation.speak(text)
+  }
+
+  function beginSession() {
+    const { route, scoring } = routeCandidates[selectedRouteIndex]
+    navigation.session = Navigation.createSession({
+      route,
+      steps: routeDirections,
+      hazards,
+      warnings: scoring ? scoring.warnings : [],
+      profile: profiles[activeProfile],
+      time: Date.now()
+    })
+  }
+
+  function startNavigation() {
+    if (routeCandidates.length === 0) return
+    if (navigation) stopNavigation()
+
+    const simulated = Boolean(navSimulateEl && navSimulateEl.checked)
+    navigation = { simulated, session: null, source: null, marker: null, accuracy: null, lastReroute: 0, rerouting: false, state: null }
+    beginSession()
+
+    const coords = routeCandidates[selectedRouteIndex].route.geometry.coordinates
+    const profile = profiles[activeProfile]
+    navigation.source = simulated
+      ? Navigation.simulate(coords, onNavPosition, {
+        speed: (profile && profile.speed) || AccessibilityScorer.WALKING_SPEED,
+        speedup: SIMULATION_SPEEDUP
+      })
+      : Navigation.watchPosition(onNavPosition, (e) => showStatus(`Navigation: ${e.message}`, 'error'))
+
+    if (navPanel) navPanel.hidden = false
+    if (navStartBtn) navStartBtn.disabled = true
+    if (navProgressEl) navProgressEl.textContent = simulated ? 'Simulating: click the map to move off the route' : 'Waiting for your position...'
+    navPrompt(simulated ? 'Navigation started with a simulated position' : 'Navigation started')
+  }
+
+  function stopNavigation() {
+    if (!navigation) return
+    navigation.source.stop()
+    if (navigation.marker) map.removeLayer(navigation.marker)
+    if (navigation.accuracy) map.removeLayer(navigation.accuracy)
+    navigation = null
+    if (navPanel) navPanel.hidden = true
+    if (navStartBtn) navStartBtn.disabled = false
+    if (window.speechSynthesis) window.speechSynthesis.cancel()
+  }
+
+  function onNavPosition({ coord, accuracy }) {
+    if (!navigation || navigation.rerouting) return
+    const latlng = L.latLng(coord[1], coord[0])
+
+    if (!navigation.marker) {
+      navigation.accuracy = L.circle(latlng, { radius: accuracy || 0, color: '#1a237e', weight: 1, fillOpacity: 0.1, interactive: false }).addTo(map)
+      navigation.marker = L.circleMarker(latlng, { radius: 8, color: 'white', weight: 3, fillColor: '#1a237e', fillOpacity: 1 })
+        .bindTooltip('Your position')
+        .addTo(map)
+    }
+    navigation.marker.setLatLng(latlng)
+    navigation.accuracy.setLatLng(latlng).setRadius(accuracy || 0)
+    map.panTo(latlng)
+
+    const { events, state } = navigation.session.update(coord, accuracy)
+    navigation.state = state
+    if (state.nextStep !== -1) markStep(state.nextStep)
+    if (navProgressEl) {
+      navProgressEl.textContent = `${formatDistance(state.remaining)} to go`
+        + (state.onRoute ? '' : ` · ${formatDistance(state.distance)} off the route`)
+    }
+
+    for (const event of events) {
+      if (event.type === 'off-route') {
+        reroute(latlng).catch(error => {
+          console.error('Rerouting error:', error)
+          if (navigation) navigation.rerouting = false
+          showStatus(`Could not find a new route: ${error.message}`, 'error')
+        })
+      } else if (event.type === 'arrived') {
+        navPrompt(`You have arrived${endLabel ? ` at ${endLabel}` : ''}`)
+        stopNavigation()
+        showStatus(`Arrived${endLabel ? ` at ${endLabel}` : ''}`, 'loading')
+        return
+      } else {
+        navPrompt(event.text)
+      }
+    }
+  }
+
+  // A new route from where the user is now to the rest of the trip. The
+  // trip only changes once one is found; otherwise the old route stays.
+  async function reroute(latlng) {
+    const current = routeCandidates[selectedRouteIndex]
+    if (!current || Date.now() - navigation.lastReroute < REROUTE_COOLDOWN_MS) return
+    navigation.lastReroute = Date.now()
+    navigation.rerouting = true
+    navPrompt('Off the route. Finding a new route.')
+
+    // Stops already reached are dropped from the trip
+    const { legs = [] } = current
+    const reached = Math.min(stops.length, legs.filter(leg => leg.interval[1] <= navigation.state.index).length)
+
+    let plan
+    try {
+      plan = await planTrip({ start: latlng, label: 'Your position', via: stops.slice(reached) })
+    } catch (error) {
+      if (!navigation) return
+      navigation.rerouting = false
+      console.error('Rerouting error:', error)
+      navPrompt('No new route found. Head back to the route shown.')
+      showStatus(`Could not find a new route: ${error.message}`, 'error')
+      return
+    }
+    if (!navigation) return
+
+    for (const stop of stops.splice(0, reached)) map.removeLayer(stop.marker)
+    numberStopMarkers()
+    setStartPoint(latlng, 'Your position')
+    showTrip(plan)
+
+    navigation.rerouting = false
+    beginSession()
+    if (navigation.simulated) navigation.source.follow(routeCandidates[selectedRouteIndex].route.geometry.coordinates)
+    navPrompt('New route found')
+  }
+
+  if (navStartBtn) navStartBtn.addEventListener('click', startNavigation)
+  if (navStopBtn) {
+    navStopBtn.addEventListener('click', () => {
+      stopNavigation()
+      showStatus('Navigation stopped', 'loading')
+    })
+  }
+
+  arrowKeyNavigation(routeWarningsEl, '.warning-item[role="button"]')
+  arrowKeyNavigation(routeStepsEl, 'li')
+  arrowKeyNavigation(routeAlternativesEl, 'button')
+  arrowKeyNavigation(routeLegsEl, 'button')
+  arrowKeyNavigation(placeResultsEl, '.place-name')
+
+  if (stepPrevBtn) stepPrevBtn.addEventListener('click', () => showStep(Math.max(0, currentStep - 1)))
+  if (stepNextBtn) stepNextBtn.addEventListener('click', () => showStep(Math.min(routeDirections.length - 1, currentStep + 1)))
+
+  if (routeColouringEl) {
+    routeColouringEl.addEventListener('change', () => {
+      routeColouring = routeColouringEl.value
+      if (routeCandidates.length > 0) selectRoute(selectedRouteIndex)
+    })
+  }
+
+  if (routeBtn) {
+    routeBtn.addEventListener('click', calculateAndDisplayRoute)
+  } else {
+    console.warn('routeBtn not found in HTML')
+  }
+
+  // Clear
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      startPoint = null
+      endPoint = null
+      startLabel = null
+      endLabel = null
+
+      if (startMarker) map.removeLayer(startMarker)
+      if (endMarker) map.removeLayer(endMarker)
+      if (routeLayer) map.removeLayer(routeLayer)
+
+      startMarker = null
+      endMarker = null
+      routeLayer = null
+      clearStops()
+
+      // Barrier reports are shared, so they stay on the map
       reportingMode = false
       hideRouteInfo()
       clearStatus()
@@ -448,6 +2387,81 @@ document.addEventListener('DOMContentLoaded', () => {
     console.warn('clearBtn not found in HTML')
   }
 
+  // High-contrast and large-text themes
+  const displaySettings = DisplaySettings.load()
+  DisplaySettings.apply(displaySettings)
+  for (const [key, el] of [['highContrast', highContrastEl], ['largeText', largeTextEl]]) {
+    if (!el) continue
+    el.checked = displaySettings[key]
+    el.addEventListener('change', () => {
+      displaySettings[key] = el.checked
+      DisplaySettings.apply(displaySettings)
+      DisplaySettings.save(displaySettings)
+      map.invalidateSize()
+    })
+  }
+
+  // ---- Offline use ----
+  // The service worker (public/sw.js) caches the app, its data and the
+  // campus tiles; this keeps the panel's connection line up to date
+  function updateConnectionStatus() {
+    if (!connectionStatusEl) return
+    const queued = ReportQueue.load().length
+    const waiting = queued > 0 ? `${queued} barrier ${queued === 1 ? 'report' : 'reports'} waiting to be sent` : ''
+
+    if (!Offline.isOnline()) {
+      connectionStatusEl.textContent = `Offline: using the map and data saved on this device${waiting ? `. ${waiting}` : ''}`
+    } else {
+      connectionStatusEl.textContent = waiting
+    }
+    connectionStatusEl.classList.toggle('offline', !Offline.isOnline())
+    connectionStatusEl.hidden = !connectionStatusEl.textContent
+  }
+
+  window.addEventListener('online', () => {
+    updateConnectionStatus()
+    sendQueuedReports()
+  })
+  window.addEventListener('offline', updateConnectionStatus)
+
+  if (saveOfflineBtn) {
+    saveOfflineBtn.addEventListener('click', async () => {
+      saveOfflineBtn.disabled = true
+      showStatus('Saving the campus map for offline use...', 'loading')
+      try {
+        const { saved, failed, total } = await Offline.saveTiles(({ done, total }) => {
+          showStatus(`Saving the campus map for offline use: ${done} of ${total} tiles`, 'loading')
+        })
+        showStatus(failed > 0
+          ? `Campus map saved, but ${failed} of ${total} tiles could not be fetched; try again when the connection is better`
+          : `Campus map saved for offline use (${saved} new ${saved === 1 ? 'tile' : 'tiles'})`,
+        failed > 0 ? 'error' : 'loading')
+      } catch (e) {
+        showStatus(`Could not save the map: ${e.message}`, 'error')
+      } finally {
+        saveOfflineBtn.disabled = false
+      }
+    })
+  }
+
+  Offline.register()
+  updateConnectionStatus()
+
+  // ?a11y: check the page against the self-check rules once it has
+  // settled (a11y-check.js)
+  if (new URLSearchParams(window.location.search).has('a11y')) {
+    setTimeout(() => {
+      const violations = A11yCheck.run(document)
+      console.table(A11yCheck.report(violations))
+      showStatus(`Accessibility check: ${violations.length} ${violations.length === 1 ? 'issue' : 'issues'} (details in the console)`,
+        violations.length > 0 ? 'error' : 'loading')
+    }, 2000)
+  }
+
+  // A route link (route-share.js) opens its route
+  const sharedRoute = RouteShare.fromParams(new URLSearchParams(window.location.search))
+  if (sharedRoute) restoreSharedRoute(sharedRoute)
+
   // Initialise UI
   updateUI()
 })
@@ -0,0 +1,217 @@
+'use strict'
+
+/*
+  Report Moderation Panel
+  -----------------------
+  Admin-mode review queue for user-reported barriers. Pending reports are
+  grouped into clusters of likely duplicates (same type, close together) and
+  a moderator can:
+  - Confirm a report: the server promotes it into a curated hazard
+  - Merge a duplicate into the first (oldest) report of its cluster
+  - Reject a report
+
+  After each decision onDecision(action, result) is called so the map can
+  reload barriers/hazards and re-score.
+*/
+
+const Moderation = (() => {
+
+  // Reports of the same type closer than this are flagged as duplicates
+  const DUPLICATE_RADIUS = 25 // meters
+
+  /**
+   * Group reports of the same type that lie within `radius` meters of each
+   * other (chains count: A near B near C is one cluster).
+   *
+   * @returns {Array<Array>} clusters, each oldest report first; biggest
+   *                         clusters first
+   */
+  function clusterReports(reports, radius = DUPLICATE_RADIUS) {
+    const parent = reports.map((_, i) => i)
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+
+    for (let i = 0; i < reports.length; i++) {
+      for (let j = i + 1; j < reports.length; j++) {
+        const a = reports[i]
+        const b = reports[j]
+        if ((a.type || null) !== (b.type || null)) continue
+        const d = AccessibilityScorer.haversine([a.lng, a.lat], [b.lng, b.lat])
+        if (d <= radius) parent[find(i)] = find(j)
+      }
+    }
+
+    const groups = new Map()
+    reports.forEach((report, i) => {
+      const root = find(i)
+      if (!groups.has(root)) groups.set(root, [])
+      groups.get(root).push(report)
+    })
+
+    const created = (r) => Date.parse(r.createdAt) || 0
+    return [...groups.values()]
+      .map(group => group.sort((a, b) => created(a) - created(b)))
+      .sort((a, b) => (b.length - a.length) || (created(a[0]) - created(b[0])))
+  }
+
+  function createPanel({ container, api, map, hazardTypes, onDecision = () => {}, onStatus = () => {} }) {
+    const highlightLayer = L.layerGroup().addTo(map)
+
+    function button(label, className, onClick) {
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = className
+      btn.textContent = label
+      btn.addEventListener('click', onClick)
+      return btn
+    }
+
+    function showOnMap(report) {
+      highlightLayer.clearLayers()
+      L.circle([report.lat, report.lng], {
+        radius: AccessibilityScorer.BARRIER_RADIUS,
+        color: '#6a1b9a',
+        weight: 3,
+        fillOpacity: 0.1
+      }).addTo(highlightLayer)
+      map.setView([report.lat, report.lng], Math.max(map.getZoom(), 18))
+    }
+
+    async function decide(action, report, run) {
+      try {
+        const result = await run()
+        highlightLayer.clearLayers()
+        onDecision(action, result)
+        await refresh()
+      } catch (e) {
+        onStatus(`Could not ${action} report: ${e.message}`, 'error')
+      }
+    }
+
+    // The report's type, or one the moderator picks when the report has
+    // none the server knows (the type is optional when reporting).
+    // Null if they cancel or name no known type.
+    function hazardType(report) {
+      if (typeof report.type === 'string' && Object.hasOwn(hazardTypes, report.type)) return report.type
+
+      const types = Object.keys(hazardTypes)
+      const answer = prompt(`This report has no hazard type. Type for the new hazard (${types.join(', ')}):`, types[0])
+      if (answer === null) return null
+      const wanted = answer.trim().toLowerCase()
+      const type = types.find(t => t === wanted || hazardTypes[t].label.toLowerCase() === wanted)
+      if (!type) onStatus(`Unknown hazard type "${answer.trim()}", report not confirmed`, 'error')
+      return type || null
+    }
+
+    function confirmReport(report) {
+      const type = hazardType(report)
+      if (!type) return
+      const defaultLabel = hazardTypes[type].label
+      const label = prompt('Label for the new hazard:', defaultLabel)
+      if (label === null) return
+      const overrides = { label: label.trim() || defaultLabel }
+      if (type !== report.type) overrides.type = type
+      decide('confirm', report, () => api.confirm(report.id, overrides))
+    }
+
+    function rejectReport(report) {
+      const reason = prompt('Reason for rejecting (optional):', '')
+      if (reason === null) return
+      decide('reject', report, () => api.reject(report.id, reason))
+    }
+
+    function reportItem(report, primary) {
+      const item = document.createElement('div')
+      item.className = 'moderation-item'
+
+      const title = document.createElement('strong')
+      title.textContent = `${hazardTypes[report.type]?.label || 'Barrier'} · ${report.severity || 'medium'}`
+      item.appendChild(title)
+
+      const meta = document.createElement('small')
+      meta.textContent = ` ${report.lat.toFixed(5)}, ${report.lng.toFixed(5)}`
+        + (report.createdAt ? ` · ${new Date(report.createdAt).toLocaleDateString()}` : '')
+        + (report.mergedFrom?.length ? ` · ${report.mergedFrom.length + 1} reports` : '')
+      item.appendChild(meta)
+
+      if (report.description) {
+        const text = document.createElement('div')
+        text.className = 'moderation-description'
+        text.textContent = report.description
+        item.appendChild(text)
+      }
+
+      if (report.photo) {
+        const img = document.createElement('img')
+        img.className = 'barrier-photo'
+        img.src = report.photo
+        img.alt = 'Photo of reported barrier'
+        item.appendChild(img)
+      }
+
+      const actions = document.createElement('div')
+      actions.appendChild(button('Show', 'btn-secondary', () => showOnMap(report)))
+      actions.appendChild(button('Confirm', 'btn-primary', () => confirmReport(report)))
+      if (primary && primary !== report) {
+        actions.appendChild(button('Merge into first', 'btn-secondary',
+          () => decide('merge', report, () => api.merge(report.id, primary.id))))
+      }
+      actions.appendChild(button('Reject', 'btn-secondary', () => rejectReport(report)))
+      item.appendChild(actions)
+
+      return item
+    }
+
+    function render(reports) {
+      container.innerHTML = ''
+
+      if (reports.length === 0) {
+        container.textContent = 'No reports waiting for review.'
+        return
+      }
+
+      for (const cluster of clusterReports(reports)) {
+        const group = document.createElement('div')
+        group.className = 'moderation-cluster'
+
+        if (cluster.length > 1) {
+          const heading = document.createElement('div')
+          heading.className = 'moderation-duplicates'
+          heading.textContent = `${cluster.length} reports close together – likely duplicates`
+          group.appendChild(heading)
+        }
+
+        for (const report of cluster) {
+          group.appendChild(reportItem(report, cluster.length > 1 ? cluster[0] : null))
+        }
+        container.appendChild(group)
+      }
+    }
+
+    async function refresh() {
+      try {
+        render(await api.list('pending'))
+      } catch (e) {
+        container.textContent = `Review queue unavailable: ${e.message}`
+      }
+    }
+
+    function hide() {
+      highlightLayer.clearLayers()
+      container.hidden = true
+    }
+
+    async function show() {
+      container.hidden = false
+      await refresh()
+    }
+
+    return { show, hide, refresh, isVisible: () => !container.hidden }
+  }
+
+  // Public API
+  return { clusterReports, createPanel, DUPLICATE_RADIUS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Moderation = Moderation
+}
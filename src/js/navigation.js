@@ -0,0 +1,263 @@
+'use strict'
+
+/*
+  Live Navigation
+  ---------------
+  Follows the user along a planned route. A session is made from the route
+  and its directions (directions.js); each new position is matched to the
+  route and update() returns what to tell the user:
+
+    { type: 'instruction', text, step }   the next turn is coming up
+    { type: 'hazard', text, hazardId }    a hazard is ahead, or here
+    { type: 'off-route', distance }       the user has left the route
+    { type: 'arrived' }
+
+  Hazards are checked with the scorer's own helpers: routePassesNear() finds
+  where each hazard meets the route, and a position inside a hazard's zone
+  is warned about even off the route.
+
+  Positions come from the Geolocation API (watchPosition), or from
+  simulate(), a pretend walker for testing without a device. speak() reads
+  prompts aloud where the browser can.
+*/
+
+const Navigation = (() => {
+
+  // Further than this from the route (or the fix's accuracy, if worse)...
+  const OFF_ROUTE_METERS = 25
+  // ...for this many fixes in a row is off the route; one stray fix isn't
+  const OFF_ROUTE_FIXES = 2
+  // How far ahead turns and hazards are announced
+  const PROMPT_METERS = 25
+  const HAZARD_AHEAD_METERS = 40
+  // This close to the end of the route is there
+  const ARRIVE_METERS = 10
+  // A position is matched to the route no further back than this behind the
+  // last match, so a route that doubles back doesn't jump backwards
+  const BACKTRACK_METERS = 30
+
+  function cumulative(coords) {
+    const along = [0]
+    for (let i = 0; i < coords.length - 1; i++) {
+      along.push(along[i] + AccessibilityScorer.haversine(coords[i], coords[i + 1]))
+    }
+    return along
+  }
+
+  // [lng, lat] at `meters` along the route
+  function pointAt(coords, along, meters) {
+    for (let i = 0; i < coords.length - 1; i++) {
+      if (along[i + 1] >= meters) {
+        const length = along[i + 1] - along[i]
+        const t = length === 0 ? 0 : (meters - along[i]) / length
+        return [coords[i][0] + t * (coords[i + 1][0] - coords[i][0]), coords[i][1] + t * (coords[i + 1][1] - coords[i][1])]
+      }
+    }
+    return coords[coords.length - 1]
+  }
+
+  function lowerFirst(text) {
+    return /^[A-Z][a-z]/.test(text) ? text[0].toLowerCase() + text.slice(1) : text
+  }
+
+  function roundMeters(meters) {
+    return meters < 20 ? Math.round(meters) : Math.round(meters / 5) * 5
+  }
+
+  function hazardText(hazard, warnings) {
+    const warning = warnings.find(w => w.id === hazard.id)
+    const text = warning ? warning.text : hazard.label
+    const advice = hazard.advice || (warning && warning.advice)
+    return advice ? `${text} — ${advice}` : text
+  }
+
+  /**
+   * @param {Object} options.route    - { geometry } of the route to follow
+   * @param {Array}  options.steps    - Directions.build() steps for it
+   * @param {Array}  options.hazards  - hazards to warn about
+   * @param {Object} options.profile  - if given, only hazards that cost this
+   *                                    profile something are warned about
+   * @param {Array}  options.warnings - the route's scoring warnings, for
+   *                                    their wording
+   * @param {number} options.time     - hazards not in force then are skipped
+   * @returns {Object} { update(coord, accuracy), total }
+   */
+  function createSession({ route, steps, hazards = [], warnings = [], profile = null, time = Date.now() }) {
+    const coords = route.geometry.coordinates
+    const along = cumulative(coords)
+    const total = along[along.length - 1]
+    const active = AccessibilityScorer.activeHazards(hazards, time)
+      .filter(h => !profile || AccessibilityScorer.hazardPenalty(h, profile) > 0)
+
+    // Where each hazard on the route starts
+    const onRoute = active
+      .map(hazard => ({ hazard, hit: AccessibilityScorer.routePassesNear(coords, hazard) }))
+      .filter(({ hit }) => hit.hit)
+      .map(({ hazard, hit }) => ({ hazard, along: Math.max(0, hit.along - (hazard.radius || 0)) }))
+
+    const prompts = steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => step.kind === 'instruction' && step.sign !== Directions.SIGN.FINISH)
+
+    const announced = new Set()
+    let progress = 0
+    let offFixes = 0
+    let arrived = false
+
+    // Nearest point of the route to `coord`, searching from a little behind
+    // the last match
+    function match(coord) {
+      const first = Math.max(0, along.findIndex(a => a >= progress - BACKTRACK_METERS) - 1)
+      const hit = AccessibilityScorer.routePassesNear(coords.slice(first), { lat: coord[1], lng: coord[0], radius: 0 })
+      return { distance: hit.distance, along: along[first] + hit.along, index: first + hit.index }
+    }
+
+    /**
+     * @param {Array}  coord    - [lng, lat] of the latest fix
+     * @param {number} accuracy - its accuracy in metres, if known
+     * @returns {Object} { events, state: { along, remaining, distance,
+     *   onRoute, index, nextStep, nextIn } }
+     */
+    function update(coord, accuracy = 0) {
+      const events = []
+      const matched = match(coord)
+      const isOnRoute = matched.distance <= Math.max(OFF_ROUTE_METERS, accuracy || 0)
+
+      if (isOnRoute) {
+        offFixes = 0
+        progress = Math.max(progress, matched.along)
+      } else if (++offFixes === OFF_ROUTE_FIXES) {
+        events.push({ type: 'off-route', distance: matched.distance })
+      }
+
+      // The next turn, announced once when it is close (the first one
+      // straight away)
+      const next = prompts.find(({ step }) => step.along > progress) || null
+      for (const { step, index } of prompts) {
+        const key = `step-${index}`
+        if (announced.has(key) || step.along > progress + PROMPT_METERS) continue
+        if (index !== 0 && step.along < progress - PROMPT_METERS) {
+          announced.add(key)
+          continue
+        }
+        announced.add(key)
+        const distance = step.along - progress
+        events.push({
+          type: 'instruction',
+          text: distance > 5 ? `In ${roundMeters(distance)} m, ${lowerFirst(step.text)}` : step.text,
+          step: index
+        })
+      }
+
+      // Hazards coming up on the route, then any whose zone the user is in
+      if (isOnRoute) {
+        for (const { hazard, along: start } of onRoute) {
+          const distance = start - progress
+          if (announced.has(hazard.id) || distance > HAZARD_AHEAD_METERS || distance < -(hazard.radius || 0)) continue
+          announced.add(hazard.id)
+          events.push({
+            type: 'hazard',
+            text: `Caution: ${distance > 5 ? `in ${roundMeters(distance)} m, ` : ''}${lowerFirst(hazardText(hazard, warnings))}`,
+            hazardId: hazard.id
+          })
+        }
+      }
+      for (const hazard of active) {
+        if (announced.has(hazard.id) || !AccessibilityScorer.routePassesNear([coord], hazard).hit) continue
+        announced.add(hazard.id)
+        events.push({ type: 'hazard', text: `Caution: ${lowerFirst(hazardText(hazard, warnings))} here`, hazardId: hazard.id })
+      }
+
+      if (!arrived && isOnRoute && total - progress <= ARRIVE_METERS) {
+        arrived = true
+        events.push({ type: 'arrived' })
+      }
+
+      return {
+        events,
+        state: {
+          along: progress,
+          remaining: Math.max(0, total - progress),
+          distance: matched.distance,
+          onRoute: isOnRoute,
+          index: matched.index,
+          nextStep: next ? next.index : -1,
+          nextIn: next ? next.step.along - progress : null
+        }
+      }
+    }
+
+    return { update, total }
+  }
+
+  /**
+   * Follow the device's position.
+   *
+   * @param {Function} onPosition - called with { coord: [lng, lat], accuracy }
+   * @param {Function} onError    - called with an Error
+   * @returns {Object} { stop() }
+   */
+  function watchPosition(onPosition, onError) {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      onError(new Error('This browser cannot share its location'))
+      return { stop() {} }
+    }
+    const id = navigator.geolocation.watchPosition(
+      (pos) => onPosition({ coord: [pos.coords.longitude, pos.coords.latitude], accuracy: pos.coords.accuracy }),
+      (err) => onError(new Error(err.code === 1 ? 'Location permission was refused' : err.message || 'Location unavailable')),
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    )
+    return { stop: () => navigator.geolocation.clearWatch(id) }
+  }
+
+  /**
+   * A pretend walker for testing without a device. It walks along `coords`
+   * at `speed` m/s (times `speedup`), reporting a position every `interval`
+   * ms and stopping at the end. moveTo() puts it somewhere else, e.g. off
+   * the route, where it waits until follow() gives it a new path.
+   *
+   * @returns {Object} { stop(), moveTo(coord), follow(coords) }
+   */
+  function simulate(coords, onPosition, { speed = 1.4, interval = 1000, speedup = 1 } = {}) {
+    let path = coords
+    let along = cumulative(path)
+    let walked = 0
+    let parked = null
+
+    const timer = setInterval(() => {
+      if (parked) {
+        onPosition({ coord: parked, accuracy: 5 })
+        return
+      }
+      walked = Math.min(walked + (speed * speedup * interval) / 1000, along[along.length - 1])
+      onPosition({ coord: pointAt(path, along, walked), accuracy: 5 })
+    }, interval)
+
+    return {
+      stop: () => clearInterval(timer),
+      moveTo: (coord) => { parked = coord },
+      follow: (next) => {
+        path = next
+        along = cumulative(path)
+        walked = 0
+        parked = null
+      }
+    }
+  }
+
+  // Read a prompt aloud; false if the browser has no speech synthesis
+  function speak(text) {
+    if (typeof window === 'undefined' || !window.speechSynthesis) return false
+    const utterance = new SpeechSynthesisUtterance(text)
+    utterance.lang = document.documentElement.lang || 'en'
+    window.speechSynthesis.speak(utterance)
+    return true
+  }
+
+  // Public API
+  return { createSession, watchPosition, simulate, speak, OFF_ROUTE_METERS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Navigation = Navigation
+}
@@ -0,0 +1,198 @@
+'use strict'
+
+/*
+  Offline Support
+  ---------------
+  Shared by the page and the service worker (public/sw.js, which loads this
+  file with importScripts), so both agree on what is cached and where:
+
+    - shell:  index.html, the scripts, styles and Leaflet; precached on
+              install and refreshed in the background (stale while
+              revalidate). Bump CACHE_VERSION to drop an old shell.
+    - data:   /assets (GeoJSON, facilities, floor plans) and the API's
+              GET endpoints; network first, the last copy when offline
+    - tiles:  OpenStreetMap tiles inside UCC_BOUNDS, cache first. Tiles
+              are saved as they are viewed, and saveTiles() fetches zooms
+              TILE_ZOOMS of the campus in one go (about a hundred tiles,
+              well inside the OSM tile usage policy's limits).
+
+  Network failures are marked with `offline: true` (networkError()), so
+  callers can tell "no connection" apart from a server saying no: queued
+  reports (report-queue.js) and the local routing fallback in map.js both
+  rely on it.
+*/
+
+const Offline = (() => {
+
+  const CACHE_VERSION = 'v3'
+  const CACHES = {
+    shell: `ucc-accessibility-map-shell-${CACHE_VERSION}`,
+    data: 'ucc-accessibility-map-data',
+    tiles: 'ucc-accessibility-map-tiles'
+  }
+
+  const LEAFLET = 'https://unpkg.com/leaflet@1.9.4/dist'
+
+  const SHELL_URLS = [
+    '/public/index.html',
+    '/public/manifest.webmanifest',
+    '/public/icon.svg',
+    '/src/css/style.css',
+    ...[
+      'html-text', 'accessibility-data', 'opening-hours', 'elevation', 'accessibility-scorer', 'hazard-data',
+      'hazard-editor', 'directions', 'offline', 'routing', 'barrier-api', 'report-queue', 'report-form',
+      'profile-store', 'profile-builder', 'moderation', 'building-layer', 'entrances', 'indoor-viewer',
+      'indoor-routing', 'facilities', 'amenities', 'places', 'navigation', 'display-settings',
+      'route-summary', 'route-share', 'route-export', 'a11y-check', 'map'
+    ].map(name => `/src/js/${name}.js`),
+    `${LEAFLET}/leaflet.css`,
+    `${LEAFLET}/leaflet.js`,
+    `${LEAFLET}/images/marker-icon.png`,
+    `${LEAFLET}/images/marker-icon-2x.png`,
+    `${LEAFLET}/images/marker-shadow.png`
+  ]
+
+  // Precached too, but a missing file doesn't stop the install
+  const DATA_URLS = [
+    '/assets/UCC_area_polygons.geojson',
+    '/assets/amenities.geojson',
+    '/assets/buildings.geojson',
+    '/assets/campus_paths.geojson',
+    '/assets/facilities.json',
+    '/assets/hazards.geojson',
+    '/assets/indoor_network.geojson',
+    '/assets/building_maps/anml_map_level1.gif',
+    '/assets/building_maps/anml_map_level2.gif',
+    '/assets/building_maps/anml_map_level3.gif',
+    '/assets/building_maps/kane_ground.jpg',
+    '/assets/building_maps/kane_1st.jpg',
+    '/assets/building_maps/kane_2nd.jpg',
+    '/assets/building_maps/kane_3rd.jpg',
+    '/assets/building_maps/kane_4th.jpg',
+    '/api/hazards',
+    '/api/facilities',
+    '/api/barriers'
+  ]
+
+  // The main campus, with a margin for the approaches to it
+  const UCC_BOUNDS = { west: -8.4990, south: 51.8905, east: -8.4860, north: 51.8965 }
+  const TILE_ZOOMS = { min: 15, max: 18 }
+
+  // Any of the a/b/c tile hosts; tiles are cached under the plain host
+  const TILE_PATTERN = /^https:\/\/(?:[abc]\.)?tile\.openstreetmap\.org\/(\d+)\/(\d+)\/(\d+)\.png$/
+  const TILE_HOST = 'https://tile.openstreetmap.org'
+
+  function tileX(lng, zoom) {
+    return Math.floor(((lng + 180) / 360) * 2 ** zoom)
+  }
+
+  function tileY(lat, zoom) {
+    const rad = (lat * Math.PI) / 180
+    return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom)
+  }
+
+  function tileRange(zoom, bounds = UCC_BOUNDS) {
+    return {
+      minX: tileX(bounds.west, zoom),
+      maxX: tileX(bounds.east, zoom),
+      minY: tileY(bounds.north, zoom),
+      maxY: tileY(bounds.south, zoom)
+    }
+  }
+
+  // Every tile of the campus at zooms TILE_ZOOMS, as cache keys
+  function tileUrls(bounds = UCC_BOUNDS, { min, max } = TILE_ZOOMS) {
+    const urls = []
+    for (let zoom = min; zoom <= max; zoom++) {
+      const { minX, maxX, minY, maxY } = tileRange(zoom, bounds)
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) urls.push(`${TILE_HOST}/${zoom}/${x}/${y}.png`)
+      }
+    }
+    return urls
+  }
+
+  /**
+   * The cache key of a campus tile: the plain-host URL of an OSM tile inside
+   * UCC_BOUNDS (at any zoom from TILE_ZOOMS.min up), otherwise null.
+   */
+  function tileKey(url, bounds = UCC_BOUNDS) {
+    const match = TILE_PATTERN.exec(url)
+    if (!match) return null
+    const [zoom, x, y] = match.slice(1).map(Number)
+    if (zoom < TILE_ZOOMS.min) return null
+    const range = tileRange(zoom, bounds)
+    if (x < range.minX || x > range.maxX || y < range.minY || y > range.maxY) return null
+    return `${TILE_HOST}/${zoom}/${x}/${y}.png`
+  }
+
+  // An Error for a request that never reached the server
+  function networkError(cause, message = 'No network connection') {
+    const error = new Error(message)
+    error.offline = true
+    error.cause = cause
+    return error
+  }
+
+  function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false
+  }
+
+  /**
+   * Register the service worker. Resolves with the registration, or null
+   * where service workers aren't available (e.g. a file:// page).
+   */
+  async function register(url = '/public/sw.js') {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null
+    try {
+      return await navigator.serviceWorker.register(url, { scope: '/public/' })
+    } catch (e) {
+      console.warn('Service worker not registered, the app will not work offline:', e.message)
+      return null
+    }
+  }
+
+  /**
+   * Ask the service worker to save the campus tiles.
+   *
+   * @param {Function} onProgress - called with { done, total }
+   * @returns {Promise<Object>} { saved, failed, total }
+   */
+  async function saveTiles(onProgress = () => {}) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+      throw new Error('This browser cannot keep the map for offline use')
+    }
+    const registration = await navigator.serviceWorker.ready
+    const worker = navigator.serviceWorker.controller || registration.active
+    if (!worker) throw new Error('Offline support is still starting, try again in a moment')
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel()
+      channel.port1.onmessage = ({ data }) => {
+        if (data.type === 'progress') onProgress(data)
+        else if (data.type === 'done') resolve(data)
+        else if (data.type === 'error') reject(new Error(data.message))
+      }
+      worker.postMessage({ type: 'save-tiles' }, [channel.port2])
+    })
+  }
+
+  // Public API
+  return {
+    register,
+    saveTiles,
+    tileUrls,
+    tileKey,
+    networkError,
+    isOnline,
+    CACHES,
+    SHELL_URLS,
+    DATA_URLS,
+    UCC_BOUNDS,
+    TILE_ZOOMS
+  }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Offline = Offline
+}
@@ -0,0 +1,207 @@
+'use strict'
+
+/*
+  Opening Hours
+  -------------
+  Parses the common subset of the OpenStreetMap opening_hours syntax used in
+  buildings.geojson and answers "is it open at this time?":
+
+    24/7
+    Mo-Fr 08:00-22:00
+    Mo-Fr 08:00-18:00; Sa 10:00-14:00
+    Mo,We,Fr 09:00-12:30,13:30-17:00
+    Mo-Su 07:30-01:30          (past midnight: open until 01:30 next day)
+    Mo-Fr 08:00-22:00; Sa,Su off
+
+  Rules are separated by `;` and a later rule replaces earlier ones for the
+  days it names, as in OSM. A rule without days applies to every day.
+  Three-letter day names and en dashes ("Mon–Fri 08:00–22:00") are accepted.
+  Public and school holidays (PH, SH) are not known here, so they are
+  skipped. Anything else (months, weeks, dates, sunrise, ...) is rejected by
+  parse(); isOpen() then answers null (unknown) rather than guessing.
+
+  Times are local to the browser, which is assumed to be in the campus
+  time zone.
+*/
+
+const OpeningHours = (() => {
+
+  const DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']
+  const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+  const MINUTES_PER_DAY = 24 * 60
+  const MS_PER_MINUTE = 60 * 1000
+
+  const cache = new Map()
+
+  function dayIndex(token) {
+    const key = token.slice(0, 2)
+    const i = DAYS.findIndex(d => d.toLowerCase() === key.toLowerCase())
+    if (i === -1 || (token.length > 2 && !DAY_NAMES[i].toLowerCase().startsWith(token.toLowerCase()))) {
+      throw new Error(`Unknown day "${token}"`)
+    }
+    return i
+  }
+
+  // "Mo-Fr,Su" -> [0, 1, 2, 3, 4, 6]; holidays are dropped
+  function parseDays(text) {
+    const days = new Set()
+    for (const part of text.split(',')) {
+      if (part === 'PH' || part === 'SH') continue
+      const [from, to] = part.split('-')
+      const start = dayIndex(from)
+      const end = to === undefined ? start : dayIndex(to)
+      // Ranges can wrap round the week, e.g. Fr-Mo
+      for (let d = start; ; d = (d + 1) % 7) {
+        days.add(d)
+        if (d === end) break
+      }
+    }
+    return [...days]
+  }
+
+  function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text)
+    if (!match || Number(match[2]) > 59 || Number(match[1]) > 48) {
+      throw new Error(`Invalid time "${text}"`)
+    }
+    return Number(match[1]) * 60 + Number(match[2])
+  }
+
+  // "08:00-12:30,13:30-17:00" -> [[480, 750], [810, 1020]] (minutes from
+  // midnight; an end before the start runs past midnight)
+  function parseTimes(text) {
+    return text.split(',').map(range => {
+      const [from, to] = range.split('-')
+      if (to === undefined) throw new Error(`Invalid time range "${range}"`)
+      const start = parseTime(from)
+      let end = parseTime(to)
+      if (end <= start) end += MINUTES_PER_DAY
+      return [start, end]
+    })
+  }
+
+  /**
+   * Parse an opening_hours value.
+   *
+   * @returns {Array} seven lists of [startMinute, endMinute] open intervals,
+   *                  Monday first; end minutes past 1440 spill into the next day
+   * @throws {Error} if the value uses syntax this parser doesn't support
+   */
+  function parse(text) {
+    const normalised = String(text)
+      .replace(/[–—]/g, '-')
+      .replace(/\s*-\s*/g, '-')
+      .replace(/\s*,\s*/g, ',')
+      .trim()
+
+    if (normalised === '24/7') {
+      return DAYS.map(() => [[0, MINUTES_PER_DAY]])
+    }
+
+    const week = DAYS.map(() => [])
+
+    for (const rule of normalised.split(';').map(r => r.trim()).filter(Boolean)) {
+      const tokens = rule.split(/\s+/)
+      const hasDays = /^[A-Za-z]/.test(tokens[0]) && !['off', 'closed', 'open'].includes(tokens[0].toLowerCase())
+      const days = hasDays ? parseDays(tokens.shift()) : DAYS.map((_, i) => i)
+      if (hasDays && days.length === 0) continue // holidays only
+
+      if (tokens.length !== 1) throw new Error(`Unsupported rule "${rule}"`)
+      const value = tokens[0].toLowerCase()
+      const intervals = value === 'off' || value === 'closed'
+        ? []
+        : value === 'open' ? [[0, MINUTES_PER_DAY]] : parseTimes(tokens[0])
+
+      for (const d of days) week[d] = intervals
+    }
+
+    return week
+  }
+
+  // Parsed schedule for a value, or null if it's missing or unsupported
+  function schedule(text) {
+    if (!text) return null
+    if (!cache.has(text)) {
+      try {
+        cache.set(text, parse(text))
+      } catch (e) {
+        console.warn(`Unsupported opening_hours "${text}":`, e.message)
+        cache.set(text, null)
+      }
+    }
+    return cache.get(text)
+  }
+
+  // Monday-first day index and minutes since midnight, in local time
+  function position(time) {
+    const date = new Date(time)
+    return {
+      day: (date.getDay() + 6) % 7,
+      minute: date.getHours() * 60 + date.getMinutes(),
+      midnight: new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+    }
+  }
+
+  /**
+   * Whether a place is open at `time`.
+   *
+   * @returns {boolean|null} null when the hours are missing or unsupported
+   */
+  function isOpen(text, time = Date.now()) {
+    const week = schedule(text)
+    if (!week) return null
+
+    const { day, minute } = position(time)
+    const previous = (day + 6) % 7
+    return week[day].some(([start, end]) => minute >= start && minute < end) ||
+      week[previous].some(([, end]) => minute + MINUTES_PER_DAY < end)
+  }
+
+  /**
+   * The next time after `time` that the place opens or closes, or null if
+   * that never happens in the coming week (or the hours are unknown).
+   */
+  function nextChange(text, time = Date.now()) {
+    const week = schedule(text)
+    if (!week) return null
+
+    const now = isOpen(text, time)
+    const { day, midnight } = position(time)
+    const boundaries = []
+
+    for (let offset = -1; offset <= 7; offset++) {
+      // Step by calendar day so daylight-saving changes don't shift times
+      const start = new Date(midnight)
+      start.setDate(start.getDate() + offset)
+      for (const [from, to] of week[(day + offset + 7) % 7]) {
+        boundaries.push(start.getTime() + from * MS_PER_MINUTE, start.getTime() + to * MS_PER_MINUTE)
+      }
+    }
+
+    const next = boundaries
+      .filter(t => t > time)
+      .sort((a, b) => a - b)
+      .find(t => isOpen(text, t) !== now)
+    return next === undefined ? null : new Date(next)
+  }
+
+  // "Mon 18:30"
+  function formatTime(time) {
+    const date = new Date(time)
+    const pad = (n) => String(n).padStart(2, '0')
+    return `${DAY_NAMES[(date.getDay() + 6) % 7]} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+  }
+
+  // "closed at Sat 10:00, opens Mon 08:00", for explanations
+  function describeClosed(text, time = Date.now()) {
+    const opens = nextChange(text, time)
+    return `closed at ${formatTime(time)}` + (opens ? `, opens ${formatTime(opens)}` : '')
+  }
+
+  // Public API
+  return { parse, isOpen, nextChange, formatTime, describeClosed }
+})()
+
+if (typeof window !== 'undefined') {
+  window.OpeningHours = OpeningHours
+}
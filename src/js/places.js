@@ -0,0 +1,197 @@
+'use strict'
+
+/*
+  Place Search
+  ------------
+  An offline index of named places, built from the files already bundled
+  in /assets, so start, end and stops can be chosen without clicking the
+  map:
+
+    - buildings.geojson: curated buildings, the rooms and facilities on
+      their floor plans (with the level they are on) and their entrances
+    - UCC_area_polygons.geojson: other named OSM buildings (via the index
+      in building-layer.js), unless a curated building has the same OSM id
+      or name
+    - amenities: benches, toilets, water and parking (amenities.js)
+    - campus_paths.geojson: named paths and squares, as landmarks
+
+  Every place is { id, name, kind, context, latlng: [lat, lng], level?,
+  buildingId?, osm? }. search() matches each word of the query against the
+  start of a word in the place's name and context, so "kane toil" finds the
+  accessible toilets in the Kane Building. Accents and apostrophes are
+  ignored ("orahilly", "aras").
+*/
+
+const Places = (() => {
+
+  const PLACE_KINDS = {
+    building: { label: 'Building' },
+    room:     { label: 'Room' },
+    entrance: { label: 'Entrance' },
+    amenity:  { label: 'Amenity' },
+    landmark: { label: 'Landmark' }
+  }
+  const KIND_ORDER = Object.keys(PLACE_KINDS)
+
+  function normalise(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['\u2019]/g, '')
+      .toLowerCase()
+  }
+
+  function words(text) {
+    return normalise(text).split(/[^a-z0-9]+/).filter(Boolean)
+  }
+
+  // Curated buildings, their floor-plan features and entrances
+  function fromBuildings(geojson) {
+    const places = []
+
+    for (const feature of geojson.features || []) {
+      const p = feature.properties || {}
+      if (!p.name) continue
+
+      if (feature.geometry && feature.geometry.type === 'Polygon') {
+        const [lng, lat] = BuildingLayer.centroid(feature)
+        places.push({ id: `building-${p.id}`, name: p.name, kind: 'building', context: '', latlng: [lat, lng], buildingId: p.id, osmId: p.osm_id })
+      }
+
+      for (const level of p.levels || []) {
+        const bounds = IndoorViewer.levelBounds(p, level)
+        if (!bounds) continue
+        const items = level.features || []
+        for (let i = 0; i < items.length; i++) {
+          const item = items[i]
+          if (!item.name || !Array.isArray(item.at)) continue
+          const label = IndoorViewer.FEATURE_ICONS[item.type]?.label || ''
+          places.push({
+            id: `room-${p.id}-${level.level}-${i}`,
+            name: item.name,
+            kind: 'room',
+            context: `${p.name}, ${level.name || `level ${level.level}`}`,
+            keywords: label,
+            latlng: IndoorViewer.planToLatLng(bounds, item.at),
+            level: level.level,
+            buildingId: p.id
+          })
+        }
+      }
+
+      for (const entrance of p.entrances || []) {
+        if (!entrance.location) continue
+        places.push({
+          id: `entrance-${entrance.id}`,
+          name: entrance.name,
+          kind: 'entrance',
+          context: p.name,
+          keywords: entrance.step_free ? 'step-free' : '',
+          latlng: [entrance.location[1], entrance.location[0]],
+          buildingId: p.id
+        })
+      }
+    }
+    return places
+  }
+
+  // Entries from BuildingLayer's name index
+  function fromOsmIndex(entries) {
+    return entries.map(entry => ({
+      id: `osm-${entry.feature.properties['@id'] || entry.name}`,
+      name: entry.name,
+      kind: 'building',
+      context: '',
+      keywords: entry.search,
+      latlng: [entry.center[1], entry.center[0]],
+      osmId: entry.feature.properties['@id'],
+      osm: entry
+    }))
+  }
+
+  function fromAmenities(amenities) {
+    return amenities.map(amenity => {
+      const label = Amenities.AMENITY_TYPES[amenity.type].label
+      return {
+        id: `amenity-${amenity.id}`,
+        name: amenity.name || label,
+        kind: 'amenity',
+        context: amenity.name ? label : '',
+        latlng: [amenity.lat, amenity.lng]
+      }
+    })
+  }
+
+  // One landmark per path name, at the middle of its longest piece
+  function fromPaths(geojson) {
+    const longest = new Map()
+    for (const feature of geojson.features || []) {
+      const name = feature.properties && feature.properties.name
+      if (!name || !feature.geometry || feature.geometry.type !== 'LineString') continue
+      const coords = feature.geometry.coordinates
+      if (!longest.has(name) || longest.get(name).length < coords.length) longest.set(name, coords)
+    }
+
+    return [...longest].map(([name, coords]) => {
+      const [lng, lat] = coords[Math.floor(coords.length / 2)]
+      return { id: `landmark-${normalise(name).replace(/\W+/g, '-')}`, name, kind: 'landmark', context: 'Campus path', latlng: [lat, lng] }
+    })
+  }
+
+  /**
+   * Index places from whichever sources have loaded; any may be missing.
+   *
+   * @param {Object} sources - { buildings, osmEntries, amenities, paths }
+   * @returns {Object} { search(query, limit), entries }
+   */
+  function createIndex({ buildings = null, osmEntries = [], amenities = [], paths = null } = {}) {
+    const curated = buildings ? fromBuildings(buildings) : []
+    const curatedIds = new Set(curated.map(p => p.osmId).filter(Boolean))
+    const curatedNames = new Set(curated.filter(p => p.kind === 'building').map(p => normalise(p.name)))
+    const osm = fromOsmIndex(osmEntries).filter(p => !curatedIds.has(p.osmId) && !curatedNames.has(normalise(p.name)))
+
+    const entries = [
+      ...curated,
+      ...osm,
+      ...fromAmenities(amenities),
+      ...(paths ? fromPaths(paths) : [])
+    ].map(place => ({
+      ...place,
+      nameWords: words(place.name),
+      words: words(`${place.name} ${place.context} ${place.keywords || ''}`)
+    }))
+
+    // Best match first: every query word starts a word of the name, then
+    // by kind (buildings before rooms before landmarks), then by name
+    function search(query, limit = 8) {
+      const terms = words(query)
+      if (terms.length === 0 || normalise(query).trim().length < 2) return []
+
+      const startsAll = (list) => terms.every(term => list.some(word => word.startsWith(term)))
+      return entries
+        .filter(e => startsAll(e.words))
+        .map(e => ({ e, inName: startsAll(e.nameWords) ? 0 : 1 }))
+        .sort((a, b) => (a.inName - b.inName)
+          || (KIND_ORDER.indexOf(a.e.kind) - KIND_ORDER.indexOf(b.e.kind))
+          || a.e.name.localeCompare(b.e.name))
+        .slice(0, limit)
+        .map(({ e }) => e)
+    }
+
+    return { search, entries }
+  }
+
+  // "Accessible toilet, Kane Building, 1st floor", for markers and labels
+  function label(place) {
+    return place.context && place.kind !== 'amenity' && place.kind !== 'landmark'
+      ? `${place.name}, ${place.context}`
+      : place.name
+  }
+
+  // Public API
+  return { createIndex, fromBuildings, fromOsmIndex, fromAmenities, fromPaths, label, PLACE_KINDS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.Places = Places
+}
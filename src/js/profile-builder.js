@@ -0,0 +1,245 @@
+'use strict'
+
+/*
+  Profile Builder
+  ---------------
+  Drives the <dialog id="profileDialog"> in index.html, where a user sets up
+  a custom profile: name, limits for measured hazards (maximum gradient,
+  minimum path width, ...), the penalty at which a hazard becomes
+  impassable, the penalty for every hazard type and severity, and travel
+  time settings (speed, rests, extra time per hazard type). The fields and
+  penalty grid are generated from HAZARD_MEASUREMENTS, PROFILE_TIMING,
+  HAZARD_TYPES and HAZARD_SEVERITIES, so new ones appear without HTML
+  changes.
+
+  open(profile) resolves with the edited copy, or null if the user cancels.
+  Saving is up to the caller (see profile-store.js).
+*/
+
+const ProfileBuilder = (() => {
+
+  function create({ dialog, hazardTypes, severities, measurements = {}, timing = {} }) {
+    const form = dialog.querySelector('form')
+    const titleEl = dialog.querySelector('#profileDialogTitle')
+    const limitsEl = dialog.querySelector('#profileLimits')
+    const penaltiesEl = dialog.querySelector('#profilePenalties')
+    const timingEl = dialog.querySelector('#profileTiming')
+    const errorsEl = dialog.querySelector('#profileErrors')
+    const cancelBtn = dialog.querySelector('#profileCancel')
+    const schema = { types: hazardTypes, severities, measurements, timing }
+
+    // Limit fields: blank means "don't check this measurement"
+    for (const measure of Object.values(measurements)) {
+      const id = `profileLimit-${measure.limit}`
+      const label = document.createElement('label')
+      label.htmlFor = id
+      label.textContent = measure.unit ? `${measure.limitLabel} (${measure.unit})` : measure.limitLabel
+
+      let input
+      if (measure.classes) {
+        input = document.createElement('select')
+        for (const value of ['', ...measure.classes]) {
+          const option = document.createElement('option')
+          option.value = value
+          option.textContent = value || 'Any'
+          input.appendChild(option)
+        }
+      } else {
+        input = document.createElement('input')
+        input.type = 'number'
+        input.min = '0'
+        input.max = String(measure.max)
+        input.step = 'any'
+        input.placeholder = 'No limit'
+      }
+      input.id = id
+      input.name = measure.limit
+
+      limitsEl.appendChild(label)
+      limitsEl.appendChild(input)
+    }
+
+    // Travel time settings, blank for the defaults (walking speed, no extras)
+    for (const [key, setting] of Object.entries(timing)) {
+      const id = `profileTiming-${key}`
+      const label = document.createElement('label')
+      label.htmlFor = id
+      label.textContent = `${setting.label} (${setting.unit})`
+
+      const input = document.createElement('input')
+      input.type = 'number'
+      input.min = '0'
+      input.max = String(setting.max)
+      input.step = 'any'
+      input.placeholder = 'Not set'
+      input.id = id
+      input.name = key
+
+      timingEl.appendChild(label)
+      timingEl.appendChild(input)
+    }
+
+    // Penalty grid: one row per hazard type, one column per severity, and
+    // the extra time each hazard of the type adds
+    const head = document.createElement('tr')
+    head.appendChild(document.createElement('th'))
+    for (const heading of [...severities, 'extra time (s)']) {
+      const th = document.createElement('th')
+      th.scope = 'col'
+      th.textContent = heading
+      head.appendChild(th)
+    }
+    penaltiesEl.appendChild(head)
+
+    for (const [type, info] of Object.entries(hazardTypes)) {
+      const row = document.createElement('tr')
+      const th = document.createElement('th')
+      th.scope = 'row'
+      th.textContent = info.label
+      row.appendChild(th)
+
+      for (const severity of severities) {
+        const td = document.createElement('td')
+        const input = document.createElement('input')
+        input.type = 'number'
+        input.min = '0'
+        input.max = '100'
+        input.name = `penalty-${type}-${severity}`
+        input.setAttribute('aria-label', `${info.label}, ${severity} severity`)
+        td.appendChild(input)
+        row.appendChild(td)
+      }
+
+      const td = document.createElement('td')
+      const time = document.createElement('input')
+      time.type = 'number'
+      time.min = '0'
+      time.name = `time-${type}`
+      time.setAttribute('aria-label', `${info.label}, extra time in seconds`)
+      td.appendChild(time)
+      row.appendChild(td)
+
+      penaltiesEl.appendChild(row)
+    }
+
+    let editing = null
+    let resolveOpen = null
+
+    function finish(result) {
+      if (!resolveOpen) return
+      const resolve = resolveOpen
+      resolveOpen = null
+      if (dialog.open) dialog.close()
+      resolve(result)
+    }
+
+    // Blank number fields are left out rather than read as 0
+    function numberValue(name) {
+      const value = form.elements[name].value
+      return value === '' ? undefined : Number(value)
+    }
+
+    function fill(profile) {
+      form.elements.label.value = profile.label || ''
+      form.elements.description.value = profile.description || ''
+      form.elements.impassable.value = profile.impassable ?? ''
+      for (const measure of Object.values(measurements)) {
+        form.elements[measure.limit].value = profile[measure.limit] ?? ''
+      }
+      for (const key of Object.keys(timing)) {
+        form.elements[key].value = profile[key] ?? ''
+      }
+
+      for (const type of Object.keys(hazardTypes)) {
+        for (const severity of severities) {
+          form.elements[`penalty-${type}-${severity}`].value = profile.penalties?.[type]?.[severity] ?? 0
+        }
+        form.elements[`time-${type}`].value = profile.timeCosts?.[type] ?? ''
+      }
+    }
+
+    function read() {
+      const penalties = {}
+      const timeCosts = {}
+      for (const type of Object.keys(hazardTypes)) {
+        penalties[type] = {}
+        for (const severity of severities) {
+          penalties[type][severity] = numberValue(`penalty-${type}-${severity}`)
+        }
+        const seconds = numberValue(`time-${type}`)
+        if (seconds !== undefined) timeCosts[type] = seconds
+      }
+
+      const settings = {}
+      for (const key of Object.keys(timing)) settings[key] = numberValue(key)
+
+      const limits = {}
+      for (const measure of Object.values(measurements)) {
+        limits[measure.limit] = measure.classes
+          ? form.elements[measure.limit].value || undefined
+          : numberValue(measure.limit)
+      }
+
+      return {
+        ...editing,
+        ...limits,
+        ...settings,
+        timeCosts,
+        label: form.elements.label.value.trim(),
+        description: form.elements.description.value.trim(),
+        impassable: numberValue('impassable'),
+        penalties,
+        custom: true
+      }
+    }
+
+    function showErrors(errors) {
+      errorsEl.innerHTML = ''
+      for (const err of errors) {
+        const line = document.createElement('div')
+        line.textContent = err
+        errorsEl.appendChild(line)
+      }
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault()
+      const profile = read()
+      const errors = ProfileStore.validateProfile(profile, schema)
+      if (errors.length > 0) {
+        showErrors(errors)
+        return
+      }
+      finish(profile)
+    })
+
+    cancelBtn.addEventListener('click', () => finish(null))
+    dialog.addEventListener('close', () => finish(null))
+
+    /**
+     * @param {Object} profile - the custom profile to edit (a copy is edited)
+     * @param {string} title   - dialog heading
+     * @returns {Promise<Object|null>}
+     */
+    function open(profile, title = 'Custom profile') {
+      editing = profile
+      titleEl.textContent = title
+      showErrors([])
+      fill(profile)
+      dialog.showModal()
+      form.elements.label.focus()
+      return new Promise(resolve => {
+        resolveOpen = resolve
+      })
+    }
+
+    return { open }
+  }
+
+  // Public API
+  return { create }
+})()
+
+if (typeof window !== 'undefined') {
+  window.ProfileBuilder = ProfileBuilder
+}
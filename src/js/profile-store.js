@@ -0,0 +1,183 @@
+'use strict'
+
+/*
+  Custom Profile Store
+  --------------------
+  Users can build their own accessibility profiles (profile-builder.js) when
+  the built-in ones don't fit, e.g. a power chair, a buggy or a visual
+  impairment. Custom profiles have the same shape as ACCESSIBILITY_PROFILES
+  entries, plus:
+
+    { custom: true, basedOn: <built-in profile id> }
+
+  `basedOn` lets barrier reports tagged for the built-in profile apply to
+  the custom one too (reports can only name built-in profiles).
+
+  They are kept in localStorage on this device and can be exported to and
+  imported from a JSON file to move them between devices or share them:
+
+    { format: 'ucc-accessibility-profile', version: 1, profile: { ... } }
+*/
+
+const ProfileStore = (() => {
+
+  const STORAGE_KEY = 'ucc-accessibility-map.profiles'
+  const FILE_FORMAT = 'ucc-accessibility-profile'
+  const FILE_VERSION = 1
+
+  // Custom profile ids share this prefix so they never clash with built-ins
+  const ID_PREFIX = 'custom-'
+
+  const MAX_PENALTY = 100
+  const MAX_TIME_COST = 3600 // s
+
+  function isNumberIn(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+  }
+
+  /**
+   * Check a profile against the schema.
+   *
+   * @param {Object} profile
+   * @param {Object} options - { types: HAZARD_TYPES, severities: HAZARD_SEVERITIES,
+   *                            measurements: HAZARD_MEASUREMENTS,
+   *                            timing: PROFILE_TIMING }
+   * @returns {Array<string>} problems found (empty if valid)
+   */
+  function validateProfile(profile, { types, severities, measurements = {}, timing = {} }) {
+    const errors = []
+
+    if (!profile || typeof profile !== 'object') return ['profile must be an object']
+
+    if (typeof profile.label !== 'string' || profile.label.trim() === '') {
+      errors.push('name is required')
+    }
+    if (profile.description !== undefined && typeof profile.description !== 'string') {
+      errors.push('description must be text')
+    }
+    if (!isNumberIn(profile.impassable, 1, MAX_PENALTY)) {
+      errors.push(`impassable threshold must be a number from 1 to ${MAX_PENALTY}`)
+    }
+
+    // Limits for measured hazards are optional
+    for (const measure of Object.values(measurements)) {
+      const limit = profile[measure.limit]
+      if (limit === undefined || limit === null) continue
+      if (measure.classes ? !measure.classes.includes(limit) : !isNumberIn(limit, 0, measure.max)) {
+        errors.push(measure.classes
+          ? `${measure.limitLabel.toLowerCase()} must be one of: ${measure.classes.join(', ')}`
+          : `${measure.limitLabel.toLowerCase()} must be from 0 to ${measure.max}${measure.unit ? ` ${measure.unit}` : ''}`)
+      }
+    }
+
+    // So are the travel time settings; a speed of 0 would never arrive
+    for (const [key, setting] of Object.entries(timing)) {
+      const value = profile[key]
+      if (value === undefined || value === null) continue
+      if (!isNumberIn(value, 0, setting.max) || (key === 'speed' && value === 0)) {
+        errors.push(key === 'speed'
+          ? `${setting.label.toLowerCase()} must be more than 0 and at most ${setting.max} ${setting.unit}`
+          : `${setting.label.toLowerCase()} must be from 0 to ${setting.max} ${setting.unit}`)
+      }
+    }
+    for (const [type, seconds] of Object.entries(profile.timeCosts || {})) {
+      if (!types[type]) errors.push(`time cost for unknown hazard type "${type}"`)
+      else if (!isNumberIn(seconds, 0, MAX_TIME_COST)) {
+        errors.push(`${types[type].label} extra time must be from 0 to ${MAX_TIME_COST} s`)
+      }
+    }
+
+    for (const type of Object.keys(types)) {
+      const row = profile.penalties?.[type]
+      if (!row) {
+        errors.push(`penalties for ${types[type].label} are missing`)
+        continue
+      }
+      for (const severity of severities) {
+        if (!isNumberIn(row[severity], 0, MAX_PENALTY)) {
+          errors.push(`${types[type].label} (${severity}) penalty must be from 0 to ${MAX_PENALTY}`)
+        }
+      }
+    }
+
+    return errors
+  }
+
+  // Custom profiles saved on this device, as { id: profile }
+  function loadCustom(storage = window.localStorage) {
+    try {
+      const saved = JSON.parse(storage.getItem(STORAGE_KEY) || '{}')
+      return Object.fromEntries(Object.entries(saved)
+        .filter(([id]) => id.startsWith(ID_PREFIX))
+        .map(([id, profile]) => [id, { ...profile, custom: true }]))
+    } catch (e) {
+      console.warn('Could not read saved profiles:', e.message)
+      return {}
+    }
+  }
+
+  function saveCustom(custom, storage = window.localStorage) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(custom))
+  }
+
+  // Built-in profiles first, then custom ones
+  function merge(builtIn, custom) {
+    return { ...builtIn, ...custom }
+  }
+
+  // An unused id for a new profile, from its name
+  function newId(label, existing) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile'
+    let id = `${ID_PREFIX}${slug}`
+    for (let n = 2; existing[id]; n++) id = `${ID_PREFIX}${slug}-${n}`
+    return id
+  }
+
+  // A new custom profile starting from an existing one (built-in or custom)
+  function copyOf(profile, baseId) {
+    return {
+      ...JSON.parse(JSON.stringify(profile)),
+      label: `${profile.label} (custom)`,
+      custom: true,
+      basedOn: profile.basedOn || baseId
+    }
+  }
+
+  function toJSON(profile) {
+    const { custom, ...rest } = profile
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, profile: rest }, null, 2)
+  }
+
+  /**
+   * Read an exported profile file.
+   *
+   * @returns {Object} the profile, marked custom
+   * @throws {Error} if the file isn't a valid profile export
+   */
+  function fromJSON(text, schema) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (e) {
+      throw new Error('Profile file is not valid JSON')
+    }
+    if (!data || data.format !== FILE_FORMAT) {
+      throw new Error('Not an accessibility profile file')
+    }
+    if (data.version > FILE_VERSION) {
+      throw new Error('Profile file is from a newer version of the app')
+    }
+
+    const profile = { ...data.profile, custom: true }
+    const errors = validateProfile(profile, schema)
+    if (errors.length > 0) throw new Error(`Invalid profile: ${errors.join('; ')}`)
+    return profile
+  }
+
+  // Public API
+  return { validateProfile, loadCustom, saveCustom, merge, newId, copyOf, toJSON, fromJSON, ID_PREFIX }
+})()
+
+if (typeof window !== 'undefined') {
+  window.ProfileStore = ProfileStore
+}
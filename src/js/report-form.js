@@ -0,0 +1,136 @@
+'use strict'
+
+/*
+  Barrier Report Form
+  -------------------
+  Drives the <dialog id="reportDialog"> in index.html. open() shows the form
+  and resolves with the report details ({ type, severity, affects,
+  description, photo, expiresAt? }) or null if the user cancels.
+
+  Type, severity and profile choices are generated from the same tables the
+  scorer uses, so a report is penalised exactly like a curated hazard.
+*/
+
+const ReportForm = (() => {
+
+  // Photos are scaled down before upload to keep reports small
+  const PHOTO_MAX_SIZE = 1024 // px, longest side
+  const PHOTO_QUALITY = 0.8
+
+  const SEVERITY_LABELS = {
+    high: 'High – impassable for some users',
+    medium: 'Medium – difficult',
+    low: 'Low – caution'
+  }
+
+  function resizePhoto(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file)
+      const img = new Image()
+
+      img.onload = () => {
+        const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(img.width, img.height))
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.round(img.width * scale)
+        canvas.height = Math.round(img.height * scale)
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+        URL.revokeObjectURL(url)
+        resolve(canvas.toDataURL('image/jpeg', PHOTO_QUALITY))
+      }
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url)
+        reject(new Error('Could not read photo'))
+      }
+
+      img.src = url
+    })
+  }
+
+  function addOption(select, value, label) {
+    const option = document.createElement('option')
+    option.value = value
+    option.textContent = label
+    select.appendChild(option)
+  }
+
+  function create({ dialog, hazardTypes, severities, profiles }) {
+    const form = dialog.querySelector('form')
+    const typeSelect = form.elements.type
+    const severitySelect = form.elements.severity
+    const expirySelect = form.elements.expiry
+    const affectsEl = dialog.querySelector('#reportAffects')
+    const cancelBtn = dialog.querySelector('#reportCancel')
+
+    for (const [id, type] of Object.entries(hazardTypes)) addOption(typeSelect, id, type.label)
+    for (const severity of severities) addOption(severitySelect, severity, SEVERITY_LABELS[severity] || severity)
+
+    for (const [id, profile] of Object.entries(profiles)) {
+      const label = document.createElement('label')
+      label.className = 'checkbox-label'
+      label.innerHTML = `<input type="checkbox" name="affects" value="${id}" checked /> ${profile.label}`
+      affectsEl.appendChild(label)
+    }
+
+    let resolveOpen = null
+
+    function finish(result) {
+      if (!resolveOpen) return
+      const resolve = resolveOpen
+      resolveOpen = null
+      if (dialog.open) dialog.close()
+      resolve(result)
+    }
+
+    async function readForm() {
+      const affects = [...form.querySelectorAll('input[name="affects"]:checked')].map(el => el.value)
+      const photoFile = form.elements.photo.files[0]
+      const report = {
+        type: typeSelect.value,
+        severity: severitySelect.value,
+        // Every profile ticked is the same as "affects everyone"
+        affects: affects.length === Object.keys(profiles).length ? [] : affects,
+        description: form.elements.description.value.trim(),
+        photo: photoFile ? await resizePhoto(photoFile) : null
+      }
+
+      if (expirySelect.value === 'never') {
+        report.expiresAt = null
+      } else if (expirySelect.value) {
+        report.expiresAt = new Date(Date.now() + Number(expirySelect.value) * 86400000).toISOString()
+      }
+
+      return report
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault()
+      try {
+        finish(await readForm())
+      } catch (err) {
+        alert(err.message)
+      }
+    })
+
+    cancelBtn.addEventListener('click', () => finish(null))
+    dialog.addEventListener('close', () => finish(null))
+
+    function open() {
+      form.reset()
+      dialog.showModal()
+      typeSelect.focus()
+      return new Promise(resolve => {
+        resolveOpen = resolve
+      })
+    }
+
+    return { open }
+  }
+
+  // Public API
+  return { create, SEVERITY_LABELS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.ReportForm = ReportForm
+}
@@ -0,0 +1,83 @@
+'use strict'
+
+/*
+  Report Queue
+  ------------
+  Barrier reports made without a connection wait here, in localStorage,
+  until they can be sent. Queued reports are shown on the map and score
+  routes like any other; each carries a `queueId` and `queued: true` (and
+  `time`, so map.js can key its marker as it does for reports it keeps on
+  the device).
+
+  flush() sends them oldest first. A report the server turns down (a 4xx
+  response) is dropped, since sending it again would fail the same way.
+  If the connection is still down, or the server is missing or failing,
+  that report and the rest stay queued for next time.
+*/
+
+const ReportQueue = (() => {
+
+  const STORAGE_KEY = 'ucc-accessibility-map.report-queue'
+
+  function load(storage = window.localStorage) {
+    try {
+      const queue = JSON.parse(storage.getItem(STORAGE_KEY) || '[]')
+      return Array.isArray(queue) ? queue : []
+    } catch (e) {
+      console.warn('Could not read queued reports:', e.message)
+      return []
+    }
+  }
+
+  function save(queue, storage = window.localStorage) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(queue))
+  }
+
+  // Queue a report; returns the queued copy
+  function add(report, storage = window.localStorage) {
+    const time = Date.now()
+    const entry = { ...report, queueId: `q-${time}-${Math.random().toString(36).slice(2, 8)}`, queued: true, time }
+    save([...load(storage), entry], storage)
+    return entry
+  }
+
+  // Worth sending again later, rather than a report the server refused
+  function isRetryable(error) {
+    return Boolean(error.offline) || !error.status || error.status === 404 || error.status === 429 || error.status >= 500
+  }
+
+  function remove(queueId, storage = window.localStorage) {
+    save(load(storage).filter(entry => entry.queueId !== queueId), storage)
+  }
+
+  /**
+   * Send queued reports with `api` (a BarrierApi client).
+   *
+   * @returns {Promise<Object>} { sent: [{ entry, barrier }],
+   *   rejected: [{ entry, error }], remaining }
+   */
+  async function flush(api, storage = window.localStorage) {
+    const sent = []
+    const rejected = []
+
+    for (const entry of load(storage)) {
+      const { queueId, queued, time, ...report } = entry
+      try {
+        sent.push({ entry, barrier: await api.create(report) })
+      } catch (error) {
+        if (isRetryable(error)) break
+        rejected.push({ entry, error })
+      }
+      remove(queueId, storage)
+    }
+
+    return { sent, rejected, remaining: load(storage).length }
+  }
+
+  // Public API
+  return { load, add, remove, flush }
+})()
+
+if (typeof window !== 'undefined') {
+  window.ReportQueue = ReportQueue
+}
@@ -0,0 +1,339 @@
+'use strict'
+
+/*
+  Route Export
+  ------------
+  The selected route as files and as a printable report. map.js gathers a
+  trip:
+
+    {
+      name,                                   e.g. "Step-free route to ..."
+      route,                                  { geometry, distance, duration }
+      scoring,                                scoreRoute() result, or null
+      profile:  { id, label },
+      points:   [{ lat, lng, label, role }]   role: start, stop or end
+      time                                    when it is walked (ms)
+    }
+
+  and gets back:
+
+    - toGPX():      waypoints for the start, stops, end and each warning,
+                    then the route as a track (with heights when known)
+    - toGeoJSON():  the same as a FeatureCollection
+    - snapshot():   a PNG of the route on the OSM tiles, drawn on a canvas
+                    (the tile layer is CORS-enabled, so it can be read
+                    back); null if it can't be drawn
+    - renderReport(): the printable report, around RouteSummary.render()
+*/
+
+const RouteExport = (() => {
+
+  const TILE_URL = 'https://tile.openstreetmap.org'
+  const TILE_SIZE = 256
+  const SNAPSHOT_ZOOMS = { min: 14, max: 18 }
+
+  const COLORS = {
+    route: '#1565c0',
+    start: '#2e7d32',
+    end: '#c62828',
+    stop: '#1a237e',
+    warning: '#ff9800'
+  }
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
+  function roleLabel(point) {
+    return point.role === 'start' ? 'Start' : point.role === 'end' ? 'Destination' : 'Stop'
+  }
+
+  function warningDescription(warning) {
+    return [
+      `${warning.severity} severity${warning.impassable ? ', impassable' : ''}`,
+      warning.note,
+      warning.advice
+    ].filter(Boolean).join('. ')
+  }
+
+  // Warnings that have a place on the route, numbered as in the report
+  function numbered(warnings) {
+    return warnings
+      .map((warning, i) => ({ warning, number: i + 1 }))
+      .filter(({ warning }) => warning.location)
+  }
+
+  function scoreText(trip) {
+    return trip.scoring ? `Accessibility ${trip.scoring.score}/100 for ${trip.profile.label}` : trip.profile.label
+  }
+
+  function toGeoJSON(trip) {
+    const warnings = trip.scoring ? trip.scoring.warnings : []
+    return {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: trip.route.geometry,
+          properties: {
+            name: trip.name,
+            profile: trip.profile.id,
+            distance: Math.round(trip.route.distance),
+            duration: Math.round(trip.route.duration),
+            score: trip.scoring ? trip.scoring.score : null,
+            level: trip.scoring ? trip.scoring.level : null,
+            departure: new Date(trip.time).toISOString()
+          }
+        },
+        ...trip.points.map(point => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+          properties: { role: point.role, name: point.label || roleLabel(point) }
+        })),
+        ...numbered(warnings).map(({ warning, number }) => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: warning.location.slice(0, 2) },
+          properties: {
+            role: 'warning',
+            number,
+            name: warning.text,
+            severity: warning.severity,
+            impassable: warning.impassable,
+            note: warning.note || null,
+            advice: warning.advice || null,
+            along: warning.along
+          }
+        }))
+      ]
+    }
+  }
+
+  function toGPX(trip) {
+    const warnings = trip.scoring ? trip.scoring.warnings : []
+    const wpt = (lat, lng, name, desc, type) => `  <wpt lat="${lat}" lon="${lng}">\n`
+      + `    <name>${escapeXml(name)}</name>\n`
+      + (desc ? `    <desc>${escapeXml(desc)}</desc>\n` : '')
+      + `    <type>${type}</type>\n  </wpt>`
+
+    const trkpts = trip.route.geometry.coordinates.map(([lng, lat, ele]) => (Number.isFinite(ele)
+      ? `      <trkpt lat="${lat}" lon="${lng}"><ele>${ele}</ele></trkpt>`
+      : `      <trkpt lat="${lat}" lon="${lng}"/>`))
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="UCC Accessibility Map" xmlns="http://www.topografix.com/GPX/1/1">',
+      '  <metadata>',
+      `    <name>${escapeXml(trip.name)}</name>`,
+      `    <desc>${escapeXml(scoreText(trip))}</desc>`,
+      `    <time>${new Date(trip.time).toISOString()}</time>`,
+      '  </metadata>',
+      ...trip.points.map(point => wpt(point.lat, point.lng,
+        point.label ? `${roleLabel(point)}: ${point.label}` : roleLabel(point), '', point.role)),
+      ...numbered(warnings).map(({ warning, number }) => wpt(warning.location[1], warning.location[0],
+        `Warning ${number}: ${warning.text}`, warningDescription(warning), 'warning')),
+      '  <trk>',
+      `    <name>${escapeXml(trip.name)}</name>`,
+      `    <desc>${escapeXml(scoreText(trip))}</desc>`,
+      '    <trkseg>',
+      ...trkpts,
+      '    </trkseg>',
+      '  </trk>',
+      '</gpx>',
+      ''
+    ].join('\n')
+  }
+
+  function download(text, filename, type) {
+    const blob = new Blob([text], { type })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // "step-free-route-to-kane-building.gpx"
+  function fileName(trip, extension) {
+    const slug = trip.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60)
+    return `${slug || 'route'}.${extension}`
+  }
+
+  // World pixel [x, y] of a point at `zoom` (Web Mercator, as the tiles)
+  function project(lng, lat, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom
+    const rad = (lat * Math.PI) / 180
+    return [
+      ((lng + 180) / 360) * scale,
+      ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * scale
+    ]
+  }
+
+  // The closest zoom that fits every point inside the padded image
+  function fitZoom(coords, width, height, padding) {
+    const lngs = coords.map(c => c[0])
+    const lats = coords.map(c => c[1])
+    for (let zoom = SNAPSHOT_ZOOMS.max; zoom > SNAPSHOT_ZOOMS.min; zoom--) {
+      const [x1, y1] = project(Math.min(...lngs), Math.max(...lats), zoom)
+      const [x2, y2] = project(Math.max(...lngs), Math.min(...lats), zoom)
+      if (x2 - x1 <= width - 2 * padding && y2 - y1 <= height - 2 * padding) return zoom
+    }
+    return SNAPSHOT_ZOOMS.min
+  }
+
+  // Resolves with the image, or null if it can't be loaded (e.g. offline
+  // and not cached)
+  function loadImage(url) {
+    return new Promise(resolve => {
+      const img = new Image()
+      img.crossOrigin = 'anonymous'
+      img.onload = () => resolve(img)
+      img.onerror = () => resolve(null)
+      img.src = url
+    })
+  }
+
+  function drawMarker(ctx, [x, y], { color, text = '', square = false }) {
+    const r = 10
+    ctx.beginPath()
+    if (square) ctx.rect(x - r, y - r, 2 * r, 2 * r)
+    else ctx.arc(x, y, r, 0, 2 * Math.PI)
+    ctx.fillStyle = color
+    ctx.fill()
+    ctx.lineWidth = 2
+    ctx.strokeStyle = 'white'
+    ctx.stroke()
+    if (!text) return
+    ctx.fillStyle = color === COLORS.warning ? 'black' : 'white'
+    ctx.font = 'bold 11px sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(text, x, y + 1)
+  }
+
+  /**
+   * The route drawn on the map tiles: S at the start, E at the end,
+   * numbered circles for stops and numbered squares for warnings.
+   *
+   * @returns {Promise<string|null>} a PNG data URL
+   */
+  async function snapshot(trip, { width = 640, height = 400, padding = 32 } = {}) {
+    if (typeof document === 'undefined') return null
+    const coords = [
+      ...trip.route.geometry.coordinates,
+      ...trip.points.map(p => [p.lng, p.lat])
+    ]
+    const zoom = fitZoom(coords, width, height, padding)
+    const xs = coords.map(c => project(c[0], c[1], zoom)[0])
+    const ys = coords.map(c => project(c[0], c[1], zoom)[1])
+    const origin = [
+      (Math.min(...xs) + Math.max(...xs)) / 2 - width / 2,
+      (Math.min(...ys) + Math.max(...ys)) / 2 - height / 2
+    ]
+    const toPixel = ([lng, lat]) => {
+      const [x, y] = project(lng, lat, zoom)
+      return [x - origin[0], y - origin[1]]
+    }
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#eeeeee'
+    ctx.fillRect(0, 0, width, height)
+
+    const tiles = []
+    for (let tx = Math.floor(origin[0] / TILE_SIZE); tx <= Math.floor((origin[0] + width) / TILE_SIZE); tx++) {
+      for (let ty = Math.floor(origin[1] / TILE_SIZE); ty <= Math.floor((origin[1] + height) / TILE_SIZE); ty++) {
+        tiles.push(loadImage(`${TILE_URL}/${zoom}/${tx}/${ty}.png`)
+          .then(img => img && ctx.drawImage(img, tx * TILE_SIZE - origin[0], ty * TILE_SIZE - origin[1])))
+      }
+    }
+    await Promise.all(tiles)
+
+    // The route, on a white casing so it reads on any background
+    const line = trip.route.geometry.coordinates.map(toPixel)
+    ctx.lineJoin = 'round'
+    ctx.lineCap = 'round'
+    for (const [color, lineWidth] of [['white', 9], [COLORS.route, 5]]) {
+      ctx.beginPath()
+      line.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)))
+      ctx.strokeStyle = color
+      ctx.lineWidth = lineWidth
+      ctx.stroke()
+    }
+
+    for (const { warning, number } of numbered(trip.scoring ? trip.scoring.warnings : [])) {
+      drawMarker(ctx, toPixel(warning.location), { color: COLORS.warning, text: String(number), square: true })
+    }
+    let stop = 0
+    for (const point of trip.points) {
+      const options = point.role === 'start' ? { color: COLORS.start, text: 'S' }
+        : point.role === 'end' ? { color: COLORS.end, text: 'E' }
+          : { color: COLORS.stop, text: String(++stop) }
+      drawMarker(ctx, toPixel([point.lng, point.lat]), options)
+    }
+
+    ctx.font = '10px sans-serif'
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'bottom'
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+    ctx.fillRect(width - 150, height - 16, 150, 16)
+    ctx.fillStyle = 'black'
+    ctx.fillText('© OpenStreetMap contributors', width - 4, height - 3)
+
+    try {
+      return canvas.toDataURL('image/png')
+    } catch (e) {
+      // A tile without CORS headers taints the canvas
+      console.warn('Route snapshot unavailable:', e.message)
+      return null
+    }
+  }
+
+  /**
+   * Fill `container` with the printable report.
+   *
+   * @param {Object} report - { title, summary (see route-summary.js),
+   *   image (snapshot data URL or null), imageAlt, link, generated (Date) }
+   */
+  function renderReport(container, { title, summary, image, imageAlt, link, generated = new Date() }) {
+    container.innerHTML = ''
+
+    const heading = document.createElement('h1')
+    heading.textContent = title
+    container.appendChild(heading)
+
+    const meta = document.createElement('p')
+    meta.className = 'report-meta'
+    meta.textContent = `Generated ${generated.toLocaleString()}. Open this route: ${link}`
+    container.appendChild(meta)
+
+    if (image) {
+      const img = document.createElement('img')
+      img.className = 'report-map'
+      img.src = image
+      img.alt = imageAlt
+      container.appendChild(img)
+    } else {
+      const note = document.createElement('p')
+      note.textContent = 'Map snapshot unavailable (the map tiles could not be loaded).'
+      container.appendChild(note)
+    }
+
+    const body = document.createElement('div')
+    RouteSummary.render(summary, body)
+    container.appendChild(body)
+  }
+
+  // Public API
+  return { toGPX, toGeoJSON, snapshot, renderReport, download, fileName }
+})()
+
+if (typeof window !== 'undefined') {
+  window.RouteExport = RouteExport
+}
@@ -0,0 +1,108 @@
+'use strict'
+
+/*
+  Route Links
+  -----------
+  A planned route as URL parameters, so a link (e.g. from disability
+  support staff to a student) opens the same trip:
+
+    from=51.893041,-8.492219&fromName=Boole Library
+    via=...&viaName=...        one pair per stop, in order
+    to=...&toName=...
+    profile=step-free          mobility profile id
+    alt=1                      the alternative chosen (0 = best)
+    router=local               only when not the default
+    depart=2025-03-01T10:30    the "Depart at" field, if set
+    level=2                    destination floor, if picked
+
+  map.js keeps the address bar in step with the route shown and restores a
+  linked route on load. Other parameters (?admin, ?a11y) are left alone.
+*/
+
+const RouteShare = (() => {
+
+  const ROUTE_PARAMS = ['from', 'fromName', 'via', 'viaName', 'to', 'toName', 'profile', 'alt', 'router', 'depart', 'level']
+
+  // ~10 cm, plenty for a map click
+  const DECIMALS = 6
+
+  function formatPoint({ lat, lng }) {
+    return `${lat.toFixed(DECIMALS)},${lng.toFixed(DECIMALS)}`
+  }
+
+  function parsePoint(value) {
+    if (!value) return null
+    const [lat, lng] = value.split(',').map(Number)
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+    return { lat, lng }
+  }
+
+  // A copy of `params` without the route's parameters
+  function clear(params) {
+    const next = new URLSearchParams(params)
+    for (const name of ROUTE_PARAMS) next.delete(name)
+    return next
+  }
+
+  /**
+   * @param {Object} state - { from, to, via, profile, alt, router, depart,
+   *   level }; from, to and each stop are { lat, lng, label }
+   * @param {URLSearchParams} params - the page's other parameters, kept
+   * @returns {URLSearchParams}
+   */
+  function toParams(state, params = new URLSearchParams()) {
+    const next = clear(params)
+    next.set('from', formatPoint(state.from))
+    if (state.from.label) next.set('fromName', state.from.label)
+    for (const stop of state.via || []) {
+      next.append('via', formatPoint(stop))
+      next.append('viaName', stop.label || '')
+    }
+    next.set('to', formatPoint(state.to))
+    if (state.to.label) next.set('toName', state.to.label)
+    if (state.profile) next.set('profile', state.profile)
+    if (state.alt) next.set('alt', String(state.alt))
+    if (state.router && state.router !== 'graphhopper') next.set('router', state.router)
+    if (state.depart) next.set('depart', state.depart)
+    if (state.level !== null && state.level !== undefined) next.set('level', String(state.level))
+    return next
+  }
+
+  /**
+   * The route in `params`, or null if there isn't a whole one. Stops that
+   * can't be read are left out.
+   */
+  function fromParams(params) {
+    const from = parsePoint(params.get('from'))
+    const to = parsePoint(params.get('to'))
+    if (!from || !to) return null
+
+    const names = params.getAll('viaName')
+    const via = params.getAll('via')
+      .map((value, i) => ({ point: parsePoint(value), label: names[i] || '' }))
+      .filter(stop => stop.point)
+      .map(({ point, label }) => ({ ...point, label }))
+
+    const alt = Number(params.get('alt'))
+    const level = params.has('level') ? Number(params.get('level')) : null
+    const depart = params.get('depart')
+
+    return {
+      from: { ...from, label: params.get('fromName') || '' },
+      to: { ...to, label: params.get('toName') || '' },
+      via,
+      profile: params.get('profile') || null,
+      alt: Number.isInteger(alt) && alt > 0 ? alt : 0,
+      router: params.get('router') || 'graphhopper',
+      depart: depart && !Number.isNaN(Date.parse(depart)) ? depart : null,
+      level: Number.isInteger(level) ? level : null
+    }
+  }
+
+  // Public API
+  return { toParams, fromParams, clear, ROUTE_PARAMS }
+})()
+
+if (typeof window !== 'undefined') {
+  window.RouteShare = RouteShare
+}
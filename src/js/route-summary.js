@@ -0,0 +1,96 @@
+'use strict'
+
+/*
+  Route Summary
+  -------------
+  A text-only view of the selected route for screen readers, magnifiers
+  and anyone who would rather read than look at the map. map.js collects
+  the route into
+
+    {
+      title,
+      facts:    [{ label, value }],                  e.g. distance, time, score
+      sections: [{ heading, items: [text], ordered }] warnings, legs, directions
+    }
+
+  and render() turns it into headings, a definition list and lists, with
+  no colour or icons carrying meaning. create({ dialog }) drives the
+  <dialog id="summaryDialog"> in index.html; open(summary) resolves when
+  it is closed.
+*/
+
+const RouteSummary = (() => {
+
+  function render(summary, container) {
+    container.innerHTML = ''
+
+    const facts = document.createElement('dl')
+    facts.className = 'summary-facts'
+    for (const { label, value } of summary.facts) {
+      const dt = document.createElement('dt')
+      dt.textContent = label
+      const dd = document.createElement('dd')
+      dd.textContent = value
+      facts.appendChild(dt)
+      facts.appendChild(dd)
+    }
+    container.appendChild(facts)
+
+    for (const section of summary.sections) {
+      if (section.items.length === 0) continue
+      const heading = document.createElement('h3')
+      heading.textContent = section.heading
+      container.appendChild(heading)
+
+      const list = document.createElement(section.ordered ? 'ol' : 'ul')
+      for (const text of section.items) {
+        const li = document.createElement('li')
+        li.textContent = text
+        list.appendChild(li)
+      }
+      container.appendChild(list)
+    }
+  }
+
+  function create({ dialog }) {
+    const titleEl = dialog.querySelector('#summaryTitle')
+    const contentEl = dialog.querySelector('#summaryContent')
+    const closeBtn = dialog.querySelector('#summaryClose')
+
+    let resolveOpen = null
+
+    function finish() {
+      if (!resolveOpen) return
+      const resolve = resolveOpen
+      resolveOpen = null
+      if (dialog.open) dialog.close()
+      resolve()
+    }
+
+    closeBtn.addEventListener('click', finish)
+    dialog.addEventListener('close', finish)
+
+    /**
+     * @param {Object} summary - { title, facts, sections }, see above
+     * @returns {Promise<void>}
+     */
+    function open(summary) {
+      titleEl.textContent = summary.title
+      render(summary, contentEl)
+      dialog.showModal()
+      titleEl.focus()
+      return new Promise(resolve => {
+        resolveOpen = resolve
+      })
+    }
+
+    return { open }
+  }
+
+  // Public API
+  return { create, render }
+})()
+
+if (typeof window !== 'undefined') {
+  window.RouteSummary = RouteSummary
+}
@@ -0,0 +1,415 @@
+'use strict'
+
+/*
+  Routing Providers
+  -----------------
+  Every provider exposes the same interface so map.js does not care where
+  routes come from:
+
+    provider.getRoutes(start, end, options) -> Promise<Array<route>>
+
+      start, end  - { lat, lng }
+      options     - { profileId, profiles, hazards, barriers, time }
+                    (time: when the route is walked, for time-bounded hazards)
+      route       - { geometry: LineString, distance (m), duration (s),
+                      instructions: [{ text, sign, distance, interval }] }
+                    (coordinates carry heights, [lng, lat, m], when known;
+                    see directions.js for the instruction shape)
+
+  Two providers ship with the app:
+    - graphhopper: GraphHopper foot routing, steering around avoid areas
+    - local:       in-browser A* over the campus footpath GeoJSON in /assets,
+                   with edge costs taken from the active profile's penalties;
+                   heights come from an elevation grid (elevation.js) when
+                   one is passed as createLocalProvider({ demUrl })
+
+  When GraphHopper can't be reached it rejects with `offline: true`
+  (offline.js), and map.js falls back to the local provider.
+*/
+
+const RoutingProviders = (() => {
+
+  // Walking speed used when a provider has no duration of its own (≈ 5 km/h)
+  const WALKING_SPEED = 1.4 // m/s
+
+  // Same path returned twice: keep only the first copy
+  function dedupeRoutes(routes) {
+    const seen = new Set()
+    return routes.filter(route => {
+      const key = `${Math.round(route.distance)}:${route.geometry.coordinates.length}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+  }
+
+  // ---- GraphHopper ----
+
+  function createGraphHopperProvider({ apiKey, baseUrl = 'https://graphhopper.com/api/1' }) {
+
+    // Uses the POST API so a custom model can block avoid areas, and asks for
+    // alternatives so there is something to choose between after scoring.
+    async function request(start, end, avoidAreas = null) {
+      const body = {
+        points: [[start.lng, start.lat], [end.lng, end.lat]],
+        profile: 'foot',
+        points_encoded: false,
+        locale: 'en',
+        algorithm: 'alternative_route',
+        'alternative_route.max_paths': 3,
+        'ch.disable': true,
+        elevation: true
+      }
+
+      if (avoidAreas && avoidAreas.features.length > 0) {
+        body.custom_model = {
+          priority: [{
+            if: avoidAreas.features.map(f => `in_${f.id}`).join(' || '),
+            multiply_by: '0'
+          }],
+          areas: avoidAreas
+        }
+      }
+
+      const response = await fetch(`${baseUrl}/route?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }).catch(err => {
+        throw Offline.networkError(err, 'GraphHopper unreachable: no network connection')
+      })
+
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}))
+        throw new Error(errData.message || `Routing failed: ${response.status}`)
+      }
+
+      const data = await response.json()
+
+      if (!data.paths || data.paths.length === 0) {
+        throw new Error('No route found')
+      }
+
+      return data.paths.map(path => ({
+        geometry: {
+          type: 'LineString',
+          coordinates: path.points.coordinates
+        },
+        distance: path.distance,
+        duration: path.time / 1000,  // GH returns ms → seconds
+        instructions: (path.instructions || []).map(i => ({
+          text: i.text,
+          sign: i.sign,
+          distance: i.distance,
+          interval: i.interval
+        }))
+      }))
+    }
+
+    async function getRoutes(start, end, { profileId, profiles, hazards = [], barriers = [], time = Date.now() } = {}) {
+      const profile = profiles?.[profileId]
+      const avoidAreas = profile
+        ? AccessibilityScorer.buildAvoidAreas(
+          hazards, AccessibilityScorer.barriersForProfile(barriers, profileId, time, profile), profile, time)
+        : null
+
+      // Ask for a hazard-avoiding route and a plain one side by side: avoid
+      // areas can make the destination unreachable, and the plain route may
+      // still be the best compromise.
+      const results = await Promise.allSettled([
+        request(start, end, avoidAreas),
+        request(start, end)
+      ])
+
+      const routes = dedupeRoutes(results
+        .filter(r => r.status === 'fulfilled')
+        .flatMap(r => r.value))
+
+      if (routes.length === 0) {
+        throw results.find(r => r.status === 'rejected').reason
+      }
+
+      return routes
+    }
+
+    return { id: 'graphhopper', label: 'Online (GraphHopper)', getRoutes }
+  }
+
+  // ---- Local campus router ----
+
+  // Extra cost, in metres, per penalty point of a hazard on an edge
+  const PENALTY_METERS = 5
+
+  // Footpath tags that imply a hazard even without a curated entry
+  function tagHazards(properties) {
+    const found = []
+    if (properties.highway === 'steps') {
+      found.push({ type: 'steps', severity: 'high' })
+    }
+    if (['gravel', 'cobblestone', 'sett', 'grass', 'dirt'].includes(properties.surface)) {
+      found.push({ type: 'surface', severity: 'medium' })
+    }
+    return found
+  }
+
+  // A steep edge as a measured hazard, when both ends have heights.
+  // Gradients aren't directional here: steep down is as hard as steep up.
+  function gradientHazard(edge) {
+    const [a, b] = [edge.a.coord, edge.b.coord]
+    if (typeof a[2] !== 'number' || typeof b[2] !== 'number' || edge.length < 1) return null
+    const gradient = Math.abs(b[2] - a[2]) / edge.length * 100
+    const band = AccessibilityScorer.gradientBand(gradient)
+    if (!band.severity) return null
+    return { type: 'steep', severity: band.severity, gradient: Math.round(gradient * 10) / 10 }
+  }
+
+  // Undirected graph keyed by rounded coordinate, so lines that share a
+  // vertex are connected.
+  function buildGraph(geojson, dem = null) {
+    const nodes = new Map()
+    const key = (coord) => `${coord[0].toFixed(7)},${coord[1].toFixed(7)}`
+
+    function node(coord) {
+      const k = key(coord)
+      if (!nodes.has(k)) nodes.set(k, { key: k, coord: dem ? Elevation.withElevation(coord, dem) : coord, edges: [] })
+      return nodes.get(k)
+    }
+
+    for (const feature of geojson.features || []) {
+      if (!feature.geometry || feature.geometry.type !== 'LineString') continue
+      const props = feature.properties || {}
+      const coords = feature.geometry.coordinates
+
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = node(coords[i])
+        const b = node(coords[i + 1])
+        const length = AccessibilityScorer.haversine(a.coord, b.coord)
+        const edge = { a, b, length, properties: props }
+
+        a.edges.push(edge)
+        if (props.oneway !== 'yes') b.edges.push(edge)
+      }
+    }
+
+    return { nodes: [...nodes.values()] }
+  }
+
+  function nearestNode(graph, point) {
+    const coord = [point.lng, point.lat]
+    let best = null
+    let bestDist = Infinity
+
+    for (const n of graph.nodes) {
+      const d = AccessibilityScorer.haversine(coord, n.coord)
+      if (d < bestDist) {
+        best = n
+        bestDist = d
+      }
+    }
+
+    return best
+  }
+
+  // Cost of an edge for a profile, or Infinity if it must not be used
+  function edgeCost(edge, profile, hazards, barriers) {
+    if (!profile) return edge.length
+
+    const segment = [edge.a.coord, edge.b.coord]
+    let penalty = 0
+
+    // Reported barriers carry the same type/severity as curated hazards
+    const reported = barriers.map(AccessibilityScorer.barrierAsHazard)
+    const zones = [...hazards, ...reported].filter(h =>
+      AccessibilityScorer.routePassesNear(segment, h).hit)
+
+    const steep = gradientHazard(edge)
+    for (const hazard of [...zones, ...tagHazards(edge.properties), ...(steep ? [steep] : [])]) {
+      if (AccessibilityScorer.isImpassable(hazard, profile)) return Infinity
+      penalty += AccessibilityScorer.hazardPenalty(hazard, profile)
+    }
+
+    return edge.length + penalty * PENALTY_METERS
+  }
+
+  // Minimal binary heap keyed on `priority`
+  function createQueue() {
+    const heap = []
+
+    function push(item) {
+      heap.push(item)
+      let i = heap.length - 1
+      while (i > 0) {
+        const parent = (i - 1) >> 1
+        if (heap[parent].priority <= heap[i].priority) break
+        ;[heap[parent], heap[i]] = [heap[i], heap[parent]]
+        i = parent
+      }
+    }
+
+    function pop() {
+      const top = heap[0]
+      const last = heap.pop()
+      if (heap.length > 0) {
+        heap[0] = last
+        let i = 0
+        for (;;) {
+          const l = 2 * i + 1
+          const r = l + 1
+          let smallest = i
+          if (l < heap.length && heap[l].priority < heap[smallest].priority) smallest = l
+          if (r < heap.length && heap[r].priority < heap[smallest].priority) smallest = r
+          if (smallest === i) break
+          ;[heap[smallest], heap[i]] = [heap[i], heap[smallest]]
+          i = smallest
+        }
+      }
+      return top
+    }
+
+    return { push, pop, get size() { return heap.length } }
+  }
+
+  // A* from source to target; `cost(edge)` may return Infinity to block an edge.
+  // Returns the list of nodes on the path, or null.
+  function aStar(source, target, cost) {
+    const g = new Map([[source, 0]])
+    const previous = new Map()
+    const done = new Set()
+    const queue = createQueue()
+    const h = (n) => AccessibilityScorer.haversine(n.coord, target.coord)
+
+    queue.push({ node: source, priority: h(source) })
+
+    while (queue.size > 0) {
+      const { node } = queue.pop()
+      if (node === target) break
+      if (done.has(node)) continue
+      done.add(node)
+
+      for (const edge of node.edges) {
+        const next = edge.a === node ? edge.b : edge.a
+        const c = cost(edge)
+        if (c === Infinity) continue
+
+        const tentative = g.get(node) + c
+        if (tentative < (g.has(next) ? g.get(next) : Infinity)) {
+          g.set(next, tentative)
+          previous.set(next, { node, edge })
+          queue.push({ node: next, priority: tentative + h(next) })
+        }
+      }
+    }
+
+    if (!g.has(target)) return null
+
+    const path = []
+    let current = target
+    while (current) {
+      const step = previous.get(current)
+      path.unshift({ node: current, edge: step ? step.edge : null })
+      current = step ? step.node : null
+    }
+    return path
+  }
+
+  // The elevation grid is opt-in: without one routes are flat
+  function loadDem(demUrl) {
+    if (!demUrl || typeof Elevation === 'undefined') return Promise.resolve(null)
+    return Elevation.loadDem(demUrl).catch(err => {
+      console.warn('Elevation grid not used:', err.message)
+      return null
+    })
+  }
+
+  function createLocalProvider({ graphUrl = '/assets/campus_paths.geojson', demUrl = null } = {}) {
+    let graphPromise = null
+    let dem = null
+
+    function loadGraph() {
+      if (!graphPromise) {
+        const paths = fetch(graphUrl).then(res => {
+          if (!res.ok) throw new Error(`Could not load campus paths: ${res.status}`)
+          return res.json()
+        })
+        graphPromise = Promise.all([paths, loadDem(demUrl)])
+          .then(([geojson, grid]) => {
+            dem = grid
+            return buildGraph(geojson, grid)
+          })
+          .catch(err => {
+            graphPromise = null
+            throw err
+          })
+      }
+      return graphPromise
+    }
+
+    function toRoute(start, end, path) {
+      const point = (p) => (dem ? Elevation.withElevation([p.lng, p.lat], dem) : [p.lng, p.lat])
+      const coordinates = [point(start), ...path.map(p => p.node.coord), point(end)]
+      let distance = 0
+      for (let i = 0; i < coordinates.length - 1; i++) {
+        distance += AccessibilityScorer.haversine(coordinates[i], coordinates[i + 1])
+      }
+
+      // Path names for directions; the legs to and from the network take
+      // the name of the path they join
+      const names = path.map(p => p.edge && p.edge.properties.name)
+      names[0] = names[1]
+      names.push(names[names.length - 1])
+
+      return {
+        geometry: { type: 'LineString', coordinates },
+        distance,
+        duration: distance / WALKING_SPEED,
+        instructions: typeof Directions !== 'undefined' ? Directions.fromGeometry(coordinates, names) : []
+      }
+    }
+
+    async function getRoutes(start, end, { profileId, profiles, hazards = [], barriers = [], time = Date.now() } = {}) {
+      const graph = await loadGraph()
+      const profile = profiles?.[profileId]
+      const source = nearestNode(graph, start)
+      const target = nearestNode(graph, end)
+
+      if (!source || !target) throw new Error('Campus path network is empty')
+
+      const relevantBarriers = AccessibilityScorer.barriersForProfile(barriers, profileId, time, profile)
+      const activeHazards = AccessibilityScorer.activeHazards(hazards, time)
+      const baseCost = new Map()
+      const cost = (edge) => {
+        if (!baseCost.has(edge)) baseCost.set(edge, edgeCost(edge, profile, activeHazards, relevantBarriers))
+        return baseCost.get(edge)
+      }
+
+      const best = aStar(source, target, cost)
+      if (!best) throw new Error(`No route found for ${profile?.label || profileId || 'this profile'} on the campus network`)
+
+      // Alternatives: make edges already used more expensive and search again
+      const routes = [toRoute(start, end, best)]
+      const used = new Map()
+      let previous = best
+
+      for (let i = 0; i < 2; i++) {
+        for (const step of previous) {
+          if (step.edge) used.set(step.edge, (used.get(step.edge) || 1) * 2)
+        }
+        const alternative = aStar(source, target, (edge) => cost(edge) * (used.get(edge) || 1))
+        if (!alternative) break
+        routes.push(toRoute(start, end, alternative))
+        previous = alternative
+      }
+
+      return dedupeRoutes(routes)
+    }
+
+    return { id: 'local', label: 'Offline (campus paths)', getRoutes }
+  }
+
+  // Public API
+  return { createGraphHopperProvider, createLocalProvider, buildGraph, aStar }
+})()
+
+if (typeof window !== 'undefined') {
+  window.RoutingProviders = RoutingProviders
+}